@@ -0,0 +1,24 @@
+const templateEngine = require('./templateEngine');
+
+function createSet(options = {}) {
+  const { rng } = options;
+  const template = templateEngine.load('characters', options.templateDirs);
+  const characters = template.data.characters || [];
+  if (characters.length === 0) {
+    throw new Error(`キャラクターが定義されていません: ${template.path}`);
+  }
+
+  const roles = [];
+  characters.forEach(c => { if (!roles.includes(c.role)) roles.push(c.role); });
+  return roles.map(role => {
+    const candidates = characters.filter(c => c.role === role);
+    const chosen = rng ? rng.pick(candidates) : candidates[0];
+    return { ...chosen, sheet: templateEngine.render(template.body, chosen).trim() };
+  });
+}
+
+function byRole(characters, role) {
+  return characters.find(c => c.role === role) || null;
+}
+
+module.exports = { createSet, byRole };
@@ -0,0 +1,108 @@
+const { byRole } = require('./characterDesigner');
+const { settingFor } = require('./worldBuilder');
+
+const HEADINGS = {
+  daily: s => `${s.trend}と暮らす日常`,
+  development: s => `${s.trend}という名の${s.place}`,
+  twist: s => `${s.trend}が奪うもの、${s.trend}が作るもの`,
+  finale: () => 'そして私たちは、それでも明日を生きる'
+};
+
+const HOOKS = {
+  daily: s => `朝7時。${s.device}が私を起こす。`,
+  development: s => `${s.place}を開く。`,
+  twist: s => `「${s.trend}が世界を変える」と人々は言った。`
+};
+
+const PUNCHES = {
+  daily: 'これが進化だ。',
+  development: 'これが現代の年貢だ。',
+  twist: 'これは希望なのか、絶望なのか。たぶん、どちらでもある。'
+};
+
+const BEATS = {
+  hook: (s, kind) => ({ speaker: 'narrator', kind: 'narration', text: HOOKS[kind](s) }),
+  boke: s => ({
+    speaker: 'system',
+    kind: 'dialogue',
+    text: `『${s.promise}』をもっと快適に。新しいご提案です。本日から、${s.absurdity}プランに自動で切り替わりました`
+  }),
+  tsukkomi: s => ({
+    speaker: 'narrator',
+    kind: 'narration',
+    text: `頼んでない。${s.device}に言われなくても、それくらい自分でわかってる。`
+  }),
+  escalate: s => ({
+    speaker: 'system',
+    kind: 'dialogue',
+    text: `なお、このプランは解約するまで続きます。解約には${s.device}の許可が必要です`
+  }),
+  observe: s => ({
+    speaker: 'narrator',
+    kind: 'narration',
+    text: `私たちは確かに便利になった。${s.trend}は「${s.promise}」と約束した。でも誰も教えてくれなかった。その約束の裏で、${s.absurdity}未来が来ることを。`
+  }),
+  bystander: s => ({
+    speaker: 'bystander',
+    kind: 'dialogue',
+    attribution: true,
+    text: `でも、${s.promise}じゃないですか`
+  }),
+  reversal: s => ({
+    speaker: 'narrator',
+    kind: 'narration',
+    text: `結果を言おう。${s.trend}は世界を変えた。ただし、新しい仕事をひとつ増やした。${s.device}の機嫌をとる仕事だ。`
+  }),
+  punch: (s, kind) => ({ speaker: 'narrator', kind: 'narration', text: PUNCHES[kind] })
+};
+
+const FINALE_BEATS = {
+  contrast: settings => ({
+    speaker: 'narrator',
+    kind: 'verse',
+    text: settings.map(s => `${s.promise}はずなのに、${s.absurdity}。`).join('\n')
+  }),
+  history: () => ({
+    speaker: 'narrator',
+    kind: 'narration',
+    text: '電話が普及したとき、「人と人の関係が希薄になる」と言われた。テレビが普及したとき、「馬鹿になる」と言われた。全部、半分当たって、半分外れた。'
+  }),
+  acceptance: settings => ({
+    speaker: 'narrator',
+    kind: 'narration',
+    text: `${settings.map(s => s.trend).join('に、')}に振り回されても、明日も起きる。文句を言いながら、それでも適応する。それが人間だ。`
+  }),
+  closing: () => ({ speaker: 'narrator', kind: 'narration', text: 'カッコ悪い。でも、それでいい。' })
+};
+
+function writeScene(act, settings, characters) {
+  const isFinale = act.kind === 'finale';
+  const setting = isFinale ? null : settings[act.themeSlot % settings.length];
+  const lines = act.beats.map(beat => {
+    const line = isFinale ? FINALE_BEATS[beat](settings) : BEATS[beat](setting, act.kind);
+    const character = characters.find(c => c.id === line.speaker) || byRole(characters, 'tsukkomi');
+    const speakerName = line.speaker === 'system' && setting ? setting.voice : (character ? character.name : line.speaker);
+    return { beat, ...line, speaker: character ? character.id : line.speaker, speakerName };
+  });
+
+  return {
+    act: act.label,
+    kind: act.kind,
+    heading: HEADINGS[act.kind](setting),
+    trend: setting ? setting.trend : null,
+    lines
+  };
+}
+
+function writeScenes(structure, worldview, characters, trends, options = {}) {
+  const pool = worldview.settings.length > 0
+    ? worldview.settings
+    : (trends || []).map(settingFor);
+  if (pool.length === 0) {
+    throw new Error('シーンを書くにはトレンドが1つ以上必要です');
+  }
+  const settings = options.rng ? options.rng.shuffle(pool) : pool;
+  return structure.acts.map(act => writeScene(act, settings, characters));
+}
+
+module.exports = { writeScenes };
@@ -0,0 +1,32 @@
+const templateEngine = require('./templateEngine');
+
+// front matter に書く文字列は YAML として安全になるよう JSON 形式で引用する
+function quote(value) {
+  return JSON.stringify(value === undefined || value === null ? '' : String(value));
+}
+
+// neutralLabel が指定されたら、見出し・front matter のプリセット名を技法の説明に置き換え、人物名を出さない
+// このときプリセットの id と imitatesRealPerson も書き出さない（rights_checker_agent の style_preset に当たらないように）
+function assemble({ title, worldview, characters, scenes, preset, neutralLabel = false, templateDirs }) {
+  const template = templateEngine.load('script', templateDirs);
+  const label = preset ? (neutralLabel ? preset.neutralLabel : preset.label) : null;
+  return templateEngine.render(template.body, {
+    title,
+    worldview,
+    characters,
+    scenes,
+    trends: worldview.settings.map(s => s.trend),
+    presetLabel: label || (scenes.length > 0 ? scenes[0].presetLabel : '標準'),
+    preset: preset ? {
+      id: preset.id,
+      imitatesRealPerson: preset.imitatesRealPerson,
+      declared: !neutralLabel,
+      namesPerson: preset.imitatesRealPerson && !neutralLabel,
+      quotedLabel: quote(label),
+      quotedReferencedPerson: quote(preset.referencedPerson)
+    } : null,
+    quotedTitle: quote(title)
+  });
+}
+
+module.exports = { assemble };
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const templateEngine = require('./templateEngine');
+
+const MANIFEST_VERSION = 1;
+const PACKAGE = require('../package.json');
+const PACKAGE_DIR = path.join(__dirname, '..');
+const TRACKED_MODULES = [
+  'trendAnalyzer', 'structurePlanner', 'worldBuilder', 'characterDesigner',
+  'conflictWriter', 'styleEmulator', 'editor', 'templateEngine', 'random', 'pipeline', 'presetRegistry'
+];
+// 出力を左右するテンプレート（--templates で差し替えた場合は差し替え先のファイルを記録する）
+const TRACKED_TEMPLATES = ['script', 'worldview', 'characters'];
+// パッケージからの相対パスで記録する入力（別の場所にチェックアウトしても再現できるように）
+const PATH_INPUTS = ['templates', 'presets'];
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function fileVersion(file) {
+  return `sha256:${sha256(fs.readFileSync(file)).slice(0, 12)}`;
+}
+
+// モジュールのバージョンは、ソースの内容ハッシュで記録する（コード・テンプレート・プリセットが変われば値も変わる）
+function moduleVersions(preset, templateDirs = []) {
+  const versions = { [PACKAGE.name]: PACKAGE.version };
+  TRACKED_MODULES.forEach(name => {
+    versions[name] = fileVersion(path.join(__dirname, `${name}.js`));
+  });
+  TRACKED_TEMPLATES.forEach(name => {
+    versions[`template:${name}`] = fileVersion(templateEngine.resolve(name, templateDirs));
+  });
+  if (preset && preset.source) {
+    versions[`preset:${preset.id}`] = fileVersion(preset.source);
+  }
+  return versions;
+}
+
+function manifestPathFor(outputPath) {
+  return outputPath.replace(/\.md$/, '') + '.manifest.json';
+}
+
+function mapPathInputs(inputs, fn) {
+  const mapped = { ...inputs };
+  PATH_INPUTS.forEach(key => {
+    if (typeof mapped[key] === 'string') mapped[key] = fn(mapped[key]);
+  });
+  return mapped;
+}
+
+function build({ inputs, seed, preset, stages, outputPath, markdown, templateDirs }) {
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    seed,
+    inputs: mapPathInputs(inputs, p => path.relative(PACKAGE_DIR, p).split(path.sep).join('/')),
+    modules: moduleVersions(preset, templateDirs),
+    preset: {
+      id: preset.id,
+      label: preset.label,
+      imitatesRealPerson: preset.imitatesRealPerson,
+      referencedPerson: preset.referencedPerson
+    },
+    stages,
+    output: {
+      file: path.basename(outputPath),
+      sha256: sha256(markdown)
+    }
+  };
+}
+
+function write(manifest, outputPath) {
+  const manifestPath = manifestPathFor(outputPath);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+  return manifestPath;
+}
+
+function read(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`マニフェストが見つかりません: ${manifestPath}`);
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.manifestVersion !== MANIFEST_VERSION) {
+    throw new Error(`未対応のマニフェストバージョンです: ${manifest.manifestVersion}`);
+  }
+  if (manifest.seed === undefined || !manifest.inputs) {
+    throw new Error(`マニフェストに seed または inputs がありません: ${manifestPath}`);
+  }
+  return { ...manifest, inputs: mapPathInputs(manifest.inputs, p => path.resolve(PACKAGE_DIR, p)) };
+}
+
+function changedModules(manifest, preset, templateDirs) {
+  const current = moduleVersions(preset, templateDirs);
+  return Object.keys(current).filter(name => manifest.modules && manifest.modules[name] !== current[name]);
+}
+
+module.exports = { build, write, read, sha256, changedModules, manifestPathFor, MANIFEST_VERSION };
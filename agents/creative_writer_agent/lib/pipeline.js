@@ -0,0 +1,39 @@
+const trendAnalyzer = require('./trendAnalyzer');
+const structurePlanner = require('./structurePlanner');
+const worldBuilder = require('./worldBuilder');
+const characterDesigner = require('./characterDesigner');
+const conflictWriter = require('./conflictWriter');
+const styleEmulator = require('./styleEmulator');
+const editor = require('./editor');
+const { createRng } = require('./random');
+const { createRegistry } = require('./presetRegistry');
+
+// 乱数はすべて rng 経由で消費する。ステージの呼び出し順を変えると同じシードでも出力が変わる点に注意
+function run({ title, trendsInput, preset: presetId, seed, neutralLabel = false, templateDirs = [], presetDirs = [] }) {
+  const preset = createRegistry(presetDirs).get(presetId);
+  const rng = createRng(seed);
+
+  const trends = trendAnalyzer.sampleFrom(trendAnalyzer.parse(trendsInput), rng);
+  const structure = structurePlanner.plan({ themeActs: trends.length });
+  const worldview = worldBuilder.build(trends, { templateDirs });
+  const characters = characterDesigner.createSet({ templateDirs, rng });
+  const scenes = conflictWriter.writeScenes(structure, worldview, characters, trends, { rng });
+  const styledScenes = scenes.map(s => styleEmulator.apply(s, preset));
+  const markdown = editor.assemble({
+    title,
+    worldview,
+    characters,
+    scenes: styledScenes,
+    preset,
+    neutralLabel,
+    templateDirs
+  });
+
+  return {
+    markdown,
+    preset,
+    stages: { trends, structure, worldview, characters, scenes, styledScenes }
+  };
+}
+
+module.exports = { run };
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'presets');
+const PRESET_EXTENSIONS = ['.json', '.yml', '.yaml'];
+// rights_checker_agent の STYLE_PATTERNS が反応する語尾。中立ラベルには使わない
+const ATTRIBUTION_SUFFIXES = /風|調|スタイル|っぽい|みたいな|のような/;
+
+function parsePresetFile(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file) === '.json' ? JSON.parse(source) : parseYaml(source);
+  } catch (err) {
+    throw new Error(`プリセットを読み込めません: ${file}（${err.message}）`);
+  }
+}
+
+// 省略されたフィールドを既定値で埋め、最低限の型を検証する
+function normalize(raw, file) {
+  const id = raw.id || path.basename(file, path.extname(file));
+  if (!raw.label) {
+    throw new Error(`プリセット "${id}" に label がありません: ${file}`);
+  }
+  if (typeof raw.imitatesRealPerson !== 'boolean') {
+    throw new Error(`プリセット "${id}" は imitatesRealPerson（true/false）を宣言する必要があります: ${file}`);
+  }
+  if (raw.imitatesRealPerson && !raw.referencedPerson) {
+    throw new Error(`プリセット "${id}" は実在人物を模倣するため referencedPerson が必要です: ${file}`);
+  }
+  if (raw.imitatesRealPerson && !raw.neutralLabel) {
+    throw new Error(`プリセット "${id}" は実在人物を模倣するため neutralLabel（人物名を含まない技法の説明）が必要です: ${file}`);
+  }
+  const neutralLabel = raw.neutralLabel || raw.label;
+  if (raw.neutralLabel && ((raw.referencedPerson && neutralLabel.includes(raw.referencedPerson)) || ATTRIBUTION_SUFFIXES.test(neutralLabel))) {
+    throw new Error(`プリセット "${id}" の neutralLabel「${neutralLabel}」に人物名または「〜風」などの帰属表現が含まれています: ${file}`);
+  }
+
+  const tempo = raw.tempo || {};
+  const markers = raw.markers || {};
+  const lineLength = raw.lineLength || {};
+  return {
+    id,
+    label: raw.label,
+    description: raw.description || '',
+    imitatesRealPerson: raw.imitatesRealPerson,
+    referencedPerson: raw.referencedPerson || null,
+    neutralLabel,
+    tempo: {
+      maxSentencesPerParagraph: tempo.maxSentencesPerParagraph || Infinity,
+      splitBefore: tempo.splitBefore || []
+    },
+    endings: (raw.endings || []).map(e => ({ pattern: new RegExp(`${e.pattern}$`), replace: e.replace })),
+    markers: {
+      tsukkomi: { echo: false, echoSuffix: 'よ', prefix: '', ...(markers.tsukkomi || {}) },
+      boke: { prefix: '', suffix: '', ...(markers.boke || {}) }
+    },
+    vocabulary: raw.vocabulary || {},
+    lineLength: {
+      target: lineLength.target || null,
+      max: lineLength.max || Infinity
+    },
+    source: file
+  };
+}
+
+function loadDir(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`プリセットフォルダが見つかりません: ${dir}`);
+  }
+  return fs.readdirSync(dir)
+    .filter(name => PRESET_EXTENSIONS.includes(path.extname(name)))
+    .sort()
+    .map(name => normalize(parsePresetFile(path.join(dir, name)), path.join(dir, name)));
+}
+
+// 後から読み込んだフォルダのプリセットが同じ id の既定プリセットを上書きする
+function createRegistry(presetDirs = []) {
+  const presets = new Map();
+  [BUILTIN_DIR, ...presetDirs].forEach(dir => {
+    loadDir(dir).forEach(preset => presets.set(preset.id, preset));
+  });
+
+  return {
+    list() {
+      return [...presets.values()];
+    },
+    has(id) {
+      return presets.has(id);
+    },
+    get(id) {
+      const preset = presets.get(id);
+      if (!preset) {
+        throw new Error(`未知のプリセットです: ${id}（利用可能: ${[...presets.keys()].join(', ')}）`);
+      }
+      return preset;
+    }
+  };
+}
+
+module.exports = { createRegistry, BUILTIN_DIR };
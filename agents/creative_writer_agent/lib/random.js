@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// 文字列シードを32bit整数に変換（FNV-1a）
+function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  const str = String(seed);
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: 小さく高速で、Node のバージョンに依存しない PRNG
+function mulberry32(a) {
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+function createRng(seed) {
+  const next = mulberry32(hashSeed(seed));
+  const rng = {
+    seed: String(seed),
+    next,
+    int(max) {
+      return Math.floor(next() * max);
+    },
+    pick(list) {
+      return list.length === 0 ? undefined : list[rng.int(list.length)];
+    },
+    shuffle(list) {
+      const out = list.slice();
+      for (let i = out.length - 1; i > 0; i--) {
+        const j = rng.int(i + 1);
+        [out[i], out[j]] = [out[j], out[i]];
+      }
+      return out;
+    },
+    sample(list, count) {
+      return rng.shuffle(list).slice(0, count);
+    }
+  };
+  return rng;
+}
+
+module.exports = { createRng, randomSeed, hashSeed };
@@ -0,0 +1,58 @@
+const path = require('path');
+const { checkText } = require('../../rights_checker_agent/lib/checker');
+const { sanitize, meetsThreshold, RISK_ORDER } = require('../../rights_checker_agent/lib/sanitizer');
+const { generateMarkdownReport } = require('../../rights_checker_agent/lib/reportGenerator');
+
+const REPORTS_DIR = path.join(__dirname, '..', '..', 'rights_checker_agent', 'reports');
+// 生成時に front matter で宣言した文体プリセット（style_preset）は書き換えでは消せないため、解消すべき指摘に数えない
+const DECLARED_TYPES = ['style_preset'];
+
+function flagged(report, threshold) {
+  return [...report.brandIssues.items, ...report.personIssues.items]
+    .filter(issue => !DECLARED_TYPES.includes(issue.type) && meetsThreshold(issue.risk, threshold));
+}
+
+// 閾値以上の指摘がなくなるか、置換できるものがなくなるか、上限回数に達するまで「チェック→置換」を繰り返す
+function checkAndRewrite(markdown, { fileName, threshold = 'medium', maxIterations = 3 } = {}) {
+  if (RISK_ORDER[threshold] === undefined) {
+    throw new Error(`不正なリスク閾値です: ${threshold}（low / medium / high / critical）`);
+  }
+
+  let text = markdown;
+  let report = checkText(text, { metadata: { fileName } });
+  const iterations = [];
+
+  for (let i = 1; i <= maxIterations; i++) {
+    const issues = flagged(report, threshold);
+    if (issues.length === 0) break;
+
+    const result = sanitize(text, issues, { threshold });
+    iterations.push({ iteration: i, flagged: issues.length, replacements: result.replacements });
+    if (result.replacements.length === 0) break;
+
+    text = result.text;
+    report = checkText(text, { metadata: { fileName } });
+  }
+
+  const remaining = flagged(report, threshold);
+  report.metadata.rewrite = {
+    threshold,
+    maxIterations,
+    iterations,
+    remaining: remaining.length,
+    declared: report.personIssues.items.filter(issue => DECLARED_TYPES.includes(issue.type)).length,
+    clean: remaining.length === 0
+  };
+
+  return { text, report };
+}
+
+function reportPathFor(outputPath) {
+  return path.join(REPORTS_DIR, `${path.basename(outputPath, '.md')}_rights_report.md`);
+}
+
+function renderReport(report) {
+  return generateMarkdownReport(report);
+}
+
+module.exports = { checkAndRewrite, reportPathFor, renderReport, REPORTS_DIR };
@@ -0,0 +1,30 @@
+const ACT_LABELS = ['第一幕', '第二幕', '第三幕', '第四幕', '第五幕', '第六幕', '第七幕', '第八幕', '第九幕'];
+
+const BEATS = {
+  daily: ['hook', 'boke', 'tsukkomi', 'escalate', 'observe', 'punch'],
+  development: ['hook', 'observe', 'boke', 'tsukkomi', 'bystander', 'punch'],
+  twist: ['hook', 'boke', 'tsukkomi', 'reversal', 'observe', 'punch'],
+  finale: ['contrast', 'history', 'acceptance', 'closing']
+};
+
+// 最後の幕は終幕に使うため、トレンドを割り当てられる幕はそれより1つ少ない
+const MAX_THEME_ACTS = ACT_LABELS.length - 1;
+
+function plan(options = {}) {
+  const themeActs = Math.max(options.themeActs || 3, 1);
+  // 幕が足りない分のトレンドを黙って捨てないよう、上限を超えたらエラーにする
+  if (themeActs > MAX_THEME_ACTS) {
+    throw new Error(`トレンドは${MAX_THEME_ACTS}件までです（${themeActs}件指定されました）。幕が足りないため、すべてのトレンドを台本に入れられません`);
+  }
+  const acts = [];
+
+  for (let i = 0; i < themeActs; i++) {
+    const kind = i === 0 ? 'daily' : (i === themeActs - 1 && themeActs > 2 ? 'twist' : 'development');
+    acts.push({ index: i, label: ACT_LABELS[i], kind, themeSlot: i, beats: BEATS[kind].slice() });
+  }
+  acts.push({ index: themeActs, label: ACT_LABELS[themeActs], kind: 'finale', themeSlot: null, beats: BEATS.finale.slice() });
+
+  return { acts };
+}
+
+module.exports = { plan, ACT_LABELS, BEATS, MAX_THEME_ACTS };
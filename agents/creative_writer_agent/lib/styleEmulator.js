@@ -0,0 +1,73 @@
+const { createRegistry } = require('./presetRegistry');
+
+let defaultRegistry = null;
+
+function resolvePreset(preset) {
+  if (typeof preset !== 'string') return preset;
+  if (!defaultRegistry) defaultRegistry = createRegistry();
+  return defaultRegistry.get(preset);
+}
+
+function splitSentences(text) {
+  return text.match(/[^。！？]+[。！？]?/g) || [];
+}
+
+function swapVocabulary(text, vocabulary) {
+  return Object.entries(vocabulary).reduce((acc, [from, to]) => acc.split(from).join(to), text);
+}
+
+function applyEndings(sentence, endings) {
+  const rule = endings.find(e => e.pattern.test(sentence));
+  return rule ? sentence.replace(rule.pattern, rule.replace) : sentence;
+}
+
+function echo(text, marker) {
+  const [first, ...rest] = splitSentences(text);
+  if (!first || first.length > 8) return text;
+  const stem = first.replace(/。$/, '');
+  return [first, `${stem}${marker.echoSuffix}。`, ...rest].join('');
+}
+
+function chunk(sentences, preset) {
+  const paragraphs = [];
+  let current = [];
+  sentences.forEach(sentence => {
+    const startsNew = preset.tempo.splitBefore.some(word => sentence.startsWith(word));
+    const tooLong = current.join('').length + sentence.length > preset.lineLength.max;
+    if (current.length > 0 && (startsNew || tooLong || current.length >= preset.tempo.maxSentencesPerParagraph)) {
+      paragraphs.push(current.join(''));
+      current = [];
+    }
+    current.push(sentence);
+  });
+  if (current.length > 0) paragraphs.push(current.join(''));
+  return paragraphs;
+}
+
+function formatLine(line, preset) {
+  const text = swapVocabulary(line.text, preset.vocabulary);
+  if (line.kind === 'dialogue') {
+    const boke = line.beat === 'boke' || line.beat === 'escalate' ? preset.markers.boke : { prefix: '', suffix: '' };
+    const quoted = `「${boke.prefix}${text}${boke.suffix}」`;
+    return [line.attribution ? `${quoted}と${line.speakerName}は言う。` : quoted];
+  }
+  if (line.kind === 'verse') {
+    return [text];
+  }
+
+  const tsukkomi = preset.markers.tsukkomi;
+  let body = text;
+  if (line.beat === 'tsukkomi') {
+    body = `${tsukkomi.prefix}${tsukkomi.echo ? echo(body, tsukkomi) : body}`;
+  }
+  const sentences = splitSentences(body).map(s => applyEndings(s, preset.endings));
+  return chunk(sentences, preset);
+}
+
+function apply(scene, presetOrId) {
+  const preset = resolvePreset(presetOrId);
+  const paragraphs = scene.lines.reduce((acc, line) => acc.concat(formatLine(line, preset)), []);
+  return { ...scene, preset: preset.id, presetLabel: preset.label, paragraphs };
+}
+
+module.exports = { apply };
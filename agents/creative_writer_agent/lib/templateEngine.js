@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'templates');
+const EXTENSIONS = ['', '.md', '.markdown', '.txt'];
+
+// ---------- YAML front matter ----------
+// YAML は lib/yaml.js のサブセットのパーサーで読む（rights_checker_agent のルールパック・許可リストと同じ書き方が使える）
+
+function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, body: source };
+  return { data: parseYaml(match[1]), body: source.slice(match[0].length) };
+}
+
+// ---------- テンプレート構文 ----------
+// {{path}} / {{#if path}}...{{else}}...{{/if}} / {{#unless path}}...{{/unless}}
+// {{#each path}}...{{/each}}（内部で {{this}} {{@index}} {{@first}} {{@last}} が使える）
+
+const TAG = /\{\{\s*([#/]?)([^}]*?)\s*\}\}/g;
+
+function stripStandalone(source) {
+  // ブロックタグだけの行は、行ごと取り除く
+  return source.replace(/^[ \t]*(\{\{\s*(?:[#/][^}]*|else)\s*\}\})[ \t]*(?:\r?\n|$)/gm, '$1');
+}
+
+function compile(source) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const text = stripStandalone(source);
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(text)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > last) current.children.push({ type: 'text', value: text.slice(last, match.index) });
+    last = TAG.lastIndex;
+
+    const [, sigil, expr] = match;
+    if (sigil === '#') {
+      const [kind, arg] = expr.split(/\s+/, 2);
+      if (!['if', 'unless', 'each'].includes(kind) || !arg) {
+        throw new Error(`不明なテンプレートブロックです: {{#${expr}}}`);
+      }
+      const node = { type: kind, path: arg, children: [] };
+      current.children.push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current.type !== expr) {
+        throw new Error(`テンプレートブロックの対応が取れていません: {{/${expr}}}`);
+      }
+      stack.pop();
+    } else if (expr === 'else') {
+      if (current.type !== 'if' && current.type !== 'unless') {
+        throw new Error('{{else}} は #if / #unless の中でのみ使えます');
+      }
+      current.elseIndex = current.children.length;
+    } else {
+      current.children.push({ type: 'var', path: expr });
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(`テンプレートブロックが閉じられていません: {{#${stack[stack.length - 1].type}}}`);
+  }
+  if (last < text.length) root.children.push({ type: 'text', value: text.slice(last) });
+  return root;
+}
+
+function lookup(scopes, expr) {
+  if (expr === 'this' || expr === '.') return scopes[0].this;
+  if (expr.startsWith('@')) return scopes[0][expr];
+  const [head, ...rest] = expr.replace(/^this\./, '').split('.');
+  const scope = scopes.find(s => s.this && typeof s.this === 'object' && head in s.this);
+  let value = scope ? scope.this[head] : undefined;
+  for (const key of rest) {
+    value = value === null || value === undefined ? undefined : value[key];
+  }
+  return value;
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => renderNode(node, scopes)).join('');
+}
+
+function renderNode(node, scopes) {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'var': {
+      const value = lookup(scopes, node.path);
+      return value === null || value === undefined ? '' : String(value);
+    }
+    case 'if':
+    case 'unless': {
+      const split = node.elseIndex === undefined ? node.children.length : node.elseIndex;
+      const pass = truthy(lookup(scopes, node.path)) === (node.type === 'if');
+      return renderNodes(pass ? node.children.slice(0, split) : node.children.slice(split), scopes);
+    }
+    case 'each': {
+      const list = lookup(scopes, node.path) || [];
+      return list.map((item, index) => renderNodes(node.children, [
+        { this: item, '@index': index, '@first': index === 0, '@last': index === list.length - 1 },
+        ...scopes
+      ])).join('');
+    }
+    default:
+      return '';
+  }
+}
+
+function render(source, context) {
+  return renderNodes(compile(source).children, [{ this: context }]);
+}
+
+// ---------- ローダー ----------
+
+function resolve(name, templateDirs = []) {
+  const dirs = [...templateDirs, BUILTIN_DIR];
+  for (const dir of dirs) {
+    for (const ext of EXTENSIONS) {
+      const candidate = path.resolve(dir, name + ext);
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+    }
+  }
+  throw new Error(`テンプレートが見つかりません: ${name}（検索先: ${dirs.join(', ')}）`);
+}
+
+function load(name, templateDirs) {
+  const file = resolve(name, templateDirs);
+  let parsed;
+  try {
+    parsed = parseFrontMatter(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`テンプレートの front matter を解析できません: ${file}（${err.message}）`);
+  }
+  return { name, path: file, data: parsed.data, body: parsed.body };
+}
+
+module.exports = { load, render, resolve, parseFrontMatter, BUILTIN_DIR };
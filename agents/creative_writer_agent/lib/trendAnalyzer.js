@@ -1,13 +1,18 @@
+const DEFAULT_POOL = [
+  'サブスク疲れ', 'リモート礼賛', 'AIアイドル', 'SNS疲れ', '推し活', 'パーソナライズ広告', 'エシカル消費'
+];
+const DEFAULT_COUNT = 3;
+
 function parse(input) {
   if (!input) return [];
   return input.split(',').map(s => s.trim()).filter(Boolean);
 }
 
-function sampleFrom(trends) {
+function sampleFrom(trends, rng) {
   if (!trends || trends.length === 0) {
-    return ['サブスク疲れ', 'リモート礼賛', 'AIアイドル'];
+    return rng ? rng.sample(DEFAULT_POOL, DEFAULT_COUNT) : DEFAULT_POOL.slice(0, DEFAULT_COUNT);
   }
-  return trends;
+  return trends.slice();
 }
 
-module.exports = { parse, sampleFrom };
\ No newline at end of file
+module.exports = { parse, sampleFrom, DEFAULT_POOL };
@@ -0,0 +1,103 @@
+const templateEngine = require('./templateEngine');
+
+const SETTING_RULES = [
+  {
+    pattern: /AI|人工知能|ロボ|アシスタント/i,
+    place: 'スマートホーム',
+    device: 'AIアシスタント',
+    voice: 'AI',
+    absurdity: '機械に生活を採点される',
+    promise: 'なんでも先回りしてくれる'
+  },
+  {
+    pattern: /サブスク|月額|定額/,
+    place: '解約ページの奥',
+    device: '月額課金',
+    voice: 'サポート窓口',
+    absurdity: '使っていないものに毎月お金を払い続ける',
+    promise: 'いつでも解約できる'
+  },
+  {
+    pattern: /リモート|在宅|テレワーク|ワーケーション/,
+    place: 'リビング兼オフィス',
+    device: 'オンライン会議',
+    voice: '上司',
+    absurdity: '家にいるのに常に出勤している',
+    promise: '通勤から解放される'
+  },
+  {
+    pattern: /SNS|いいね|フォロワー|インフルエンサー|バズ/i,
+    place: 'タイムライン',
+    device: '通知',
+    voice: 'タイムライン',
+    absurdity: '他人のハイライトと自分の日常を比べ続ける',
+    promise: 'みんなと繋がれる'
+  },
+  {
+    pattern: /アイドル|推し|ライブ/,
+    place: '画面越しのステージ',
+    device: '推し活アプリ',
+    voice: 'アイドル',
+    absurdity: '応援するほど財布が軽くなる',
+    promise: '毎日会える'
+  },
+  {
+    pattern: /広告|マーケ|宣伝/,
+    place: '空に浮かぶ看板の下',
+    device: 'パーソナライズ広告',
+    voice: '広告',
+    absurdity: '自分より自分の欲しいものを知られている',
+    promise: 'あなたにぴったりのものが見つかる'
+  },
+  {
+    pattern: /エコ|SDGs|サステナ|エシカル|環境/i,
+    place: '分別ステーション',
+    device: 'エコポイント',
+    voice: '啓発ポスター',
+    absurdity: '小さな一歩を毎日監視される',
+    promise: '地球にやさしい'
+  }
+];
+
+function settingFor(trend) {
+  const rule = SETTING_RULES.find(r => r.pattern.test(trend));
+  if (rule) {
+    return {
+      trend,
+      place: rule.place,
+      device: rule.device,
+      voice: rule.voice,
+      absurdity: rule.absurdity,
+      promise: rule.promise
+    };
+  }
+  return {
+    trend,
+    place: `${trend}が当たり前になった街`,
+    device: trend,
+    voice: `${trend}の案内係`,
+    absurdity: `${trend}なしでは一日も回らない`,
+    promise: '生活がもっと便利になる'
+  };
+}
+
+function build(trends, options = {}) {
+  const template = templateEngine.load('worldview', options.templateDirs);
+  const meta = template.data;
+  const settings = (trends || []).map(settingFor);
+
+  const worldview = {
+    era: meta.era,
+    tagline: meta.tagline,
+    premise: settings.length > 0
+      ? templateEngine.render(meta.premise, { trends: settings.map(s => s.trend) })
+      : meta.emptyPremise,
+    rules: settings.map(s => templateEngine.render(meta.rule, s)),
+    settings
+  };
+  worldview.description = templateEngine.render(template.body, worldview);
+
+  return worldview;
+}
+
+module.exports = { build, settingFor, SETTING_RULES };
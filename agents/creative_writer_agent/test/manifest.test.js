@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const manifest = require('../lib/manifest');
+const pipeline = require('../lib/pipeline');
+const { BUILTIN_DIR } = require('../lib/templateEngine');
+
+const PACKAGE_DIR = path.join(__dirname, '..');
+
+function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cw-manifest-'));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function record(dir, { templates = null } = {}) {
+  const inputs = { title: 't', trendsInput: 'AIアイドル', preset: 'plain', templates, presets: null, neutralLabel: false, check: null };
+  const templateDirs = templates ? [templates] : [];
+  const { markdown, preset, stages } = pipeline.run({ ...inputs, seed: '1', templateDirs });
+  const outputPath = path.join(dir, 'out.md');
+  const manifestPath = manifest.write(manifest.build({ inputs, seed: '1', preset, stages, outputPath, markdown, templateDirs }), outputPath);
+  return { manifestPath, preset, templateDirs };
+}
+
+test('build: テンプレートのバージョンも記録する', () => withTempDir(dir => {
+  const { manifestPath } = record(dir);
+  const { modules } = manifest.read(manifestPath);
+  ['script', 'worldview', 'characters'].forEach(name => {
+    assert.match(modules[`template:${name}`], /^sha256:[0-9a-f]{12}$/);
+  });
+}));
+
+test('changedModules: 差し替えたテンプレートの変更を報告する', () => withTempDir(dir => {
+  const templates = path.join(dir, 'templates');
+  fs.mkdirSync(templates);
+  fs.copyFileSync(path.join(BUILTIN_DIR, 'script.md'), path.join(templates, 'script.md'));
+  const { manifestPath, preset, templateDirs } = record(dir, { templates });
+  const recorded = manifest.read(manifestPath);
+  assert.deepEqual(manifest.changedModules(recorded, preset, templateDirs), []);
+
+  fs.appendFileSync(path.join(templates, 'script.md'), '\n追記\n');
+  assert.deepEqual(manifest.changedModules(recorded, preset, templateDirs), ['template:script']);
+}));
+
+test('build / read: パスの入力はパッケージからの相対パスで記録し、読み込み時に戻す', () => withTempDir(dir => {
+  const templates = path.join(PACKAGE_DIR, 'templates');
+  const { manifestPath } = record(dir, { templates });
+  const raw = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  assert.equal(raw.inputs.templates, 'templates');
+  assert.equal(raw.inputs.presets, null);
+  assert.equal(manifest.read(manifestPath).inputs.templates, templates);
+}));
+
+test('read: 未対応のバージョンや必須項目の欠けたマニフェストはエラーにする', () => withTempDir(dir => {
+  const file = path.join(dir, 'bad.manifest.json');
+  fs.writeFileSync(file, JSON.stringify({ manifestVersion: 99, seed: '1', inputs: {} }));
+  assert.throws(() => manifest.read(file), /未対応のマニフェストバージョン/);
+  fs.writeFileSync(file, JSON.stringify({ manifestVersion: manifest.MANIFEST_VERSION }));
+  assert.throws(() => manifest.read(file), /seed または inputs がありません/);
+  assert.throws(() => manifest.read(path.join(dir, 'missing.json')), /マニフェストが見つかりません/);
+}));
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const pipeline = require('../lib/pipeline');
+const { parseFrontMatter } = require('../lib/templateEngine');
+
+const INPUT = { title: '都市の浮遊広告', trendsInput: 'サブスク疲れ,AIアイドル', preset: 'plain', seed: '42' };
+
+test('run: 同じ入力とシードなら同じ台本になる', () => {
+  const first = pipeline.run(INPUT);
+  assert.equal(pipeline.run(INPUT).markdown, first.markdown);
+  assert.notEqual(pipeline.run({ ...INPUT, seed: '43' }).markdown, first.markdown);
+});
+
+test('run: 台本は YAML front matter から始まり、幕ごとの見出しが続く', () => {
+  const { markdown, stages } = pipeline.run(INPUT);
+  const { data, body } = parseFrontMatter(markdown);
+
+  assert.ok(markdown.startsWith('---\n'));
+  assert.deepEqual(data, {
+    title: '都市の浮遊広告',
+    preset: 'plain',
+    presetLabel: '標準',
+    imitatesRealPerson: false
+  });
+  assert.ok(body.startsWith('\n# 「都市の浮遊広告」\n'));
+  const headings = body.match(/^## .+$/gm);
+  assert.deepEqual(headings, [...stages.styledScenes.map(s => `## ${s.act}：${s.heading}`), '## 作者メモ']);
+  assert.deepEqual(stages.structure.acts.map(a => a.kind), ['daily', 'development', 'finale']);
+});
+
+test('run: 実在人物を参照するプリセットは front matter に参照先を書く', () => {
+  const named = parseFrontMatter(pipeline.run({ ...INPUT, preset: 'baka' }).markdown).data;
+  assert.equal(named.imitatesRealPerson, true);
+  assert.equal(named.referencedPerson, 'バカリズム');
+
+  const neutral = parseFrontMatter(pipeline.run({ ...INPUT, preset: 'baka', neutralLabel: true }).markdown).data;
+  assert.equal(neutral.preset, undefined);
+  assert.equal(neutral.imitatesRealPerson, undefined);
+  assert.equal(neutral.referencedPerson, undefined);
+  assert.ok(!neutral.presetLabel.includes('バカリズム'));
+});
+
+test('run: トレンドの指定がなければ既定のプールからシードに応じて選ぶ', () => {
+  const a = pipeline.run({ ...INPUT, trendsInput: '' });
+  const b = pipeline.run({ ...INPUT, trendsInput: '' });
+  assert.equal(a.stages.trends.length, 3);
+  assert.deepEqual(a.stages.trends, b.stages.trends);
+  assert.equal(a.markdown, b.markdown);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createRegistry } = require('../lib/presetRegistry');
+
+const GENERATE = path.join(__dirname, '..', 'cli', 'generate.js');
+
+function withPresets(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cw-presets-'));
+  try {
+    Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dir, name), content));
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const YAML_PRESET = [
+  'label: 早口の掛け合い（社内版）',
+  'imitatesRealPerson: false',
+  'tempo:',
+  '  maxSentencesPerParagraph: 2',
+  'vocabulary:',
+  '  スマートフォン: スマホ',
+  ''
+].join('\n');
+
+test('createRegistry: 既定のプリセットを読み込み、フォルダの YAML で同じ id を上書きする', () => {
+  const builtin = createRegistry();
+  assert.deepEqual(builtin.list().map(p => p.id), ['baka', 'deadpan', 'monologue-essay', 'plain', 'rapid-manzai']);
+  assert.equal(builtin.get('baka').imitatesRealPerson, true);
+  assert.throws(() => builtin.get('missing'), /未知のプリセットです: missing（利用可能: baka, /);
+
+  withPresets({ 'rapid-manzai.yml': YAML_PRESET, 'notes.txt': '対象外' }, dir => {
+    const registry = createRegistry([dir]);
+    const preset = registry.get('rapid-manzai');
+    assert.equal(preset.label, '早口の掛け合い（社内版）');
+    assert.equal(preset.tempo.maxSentencesPerParagraph, 2);
+    assert.deepEqual(preset.vocabulary, { スマートフォン: 'スマホ' });
+    assert.equal(preset.neutralLabel, preset.label);
+    assert.equal(preset.source, path.join(dir, 'rapid-manzai.yml'));
+    assert.equal(registry.list().length, 5);
+  });
+});
+
+test('createRegistry: 不正なプリセットはファイル名つきのエラーにする', () => {
+  const cases = [
+    [{ 'broken.json': '{ "label": ' }, /プリセットを読み込めません: .*broken\.json/],
+    [{ 'nolabel.json': '{ "imitatesRealPerson": false }' }, /プリセット "nolabel" に label がありません/],
+    [{ 'undeclared.json': '{ "label": "a" }' }, /"undeclared" は imitatesRealPerson（true\/false）を宣言する必要があります/],
+    [{ 'noref.json': '{ "label": "a", "imitatesRealPerson": true, "neutralLabel": "b" }' }, /referencedPerson が必要です/],
+    [{ 'noneutral.json': '{ "label": "a", "imitatesRealPerson": true, "referencedPerson": "某" }' }, /neutralLabel（人物名を含まない技法の説明）が必要です/],
+    [{ 'attributed.json': '{ "label": "a", "imitatesRealPerson": true, "referencedPerson": "某", "neutralLabel": "某風の語り" }' }, /帰属表現が含まれています: .*attributed\.json/]
+  ];
+  cases.forEach(([files, expected]) => withPresets(files, dir => {
+    assert.throws(() => createRegistry([dir]), expected);
+  }));
+  assert.throws(() => createRegistry([path.join(os.tmpdir(), 'cw-presets-missing')]), /プリセットフォルダが見つかりません/);
+});
+
+test('--list-presets: 追加のフォルダを含めて一覧し、実在人物を参照するプリセットには中立ラベルを添える', () => withPresets({ 'house.yml': YAML_PRESET }, dir => {
+  const result = spawnSync(process.execPath, [GENERATE, '--list-presets', '--presets', dir], { encoding: 'utf8', input: '', timeout: 30000 });
+  assert.equal(result.status, 0, result.stderr);
+  const lines = result.stdout.split('\n');
+  assert.ok(lines.some(line => /^house\s+早口の掛け合い（社内版）$/.test(line)));
+  const baka = lines.find(line => line.startsWith('baka '));
+  assert.match(baka, /⚠ 実在人物（.+）の語り口を参照 \/ 中立ラベル: /);
+  assert.ok(lines.some(line => /^deadpan\s+淡々とした観察型$/.test(line)));
+}));
+
+test('--list-presets: 不正なプリセットがあれば終了コード1で終わる', () => withPresets({ 'broken.json': '{' }, dir => {
+  const result = spawnSync(process.execPath, [GENERATE, '--list-presets', '--presets', dir], { encoding: 'utf8', input: '', timeout: 30000 });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /プリセットを読み込めません/);
+}));
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const trendAnalyzer = require('../lib/trendAnalyzer');
+const structurePlanner = require('../lib/structurePlanner');
+const worldBuilder = require('../lib/worldBuilder');
+const characterDesigner = require('../lib/characterDesigner');
+const conflictWriter = require('../lib/conflictWriter');
+const styleEmulator = require('../lib/styleEmulator');
+const editor = require('../lib/editor');
+const pipeline = require('../lib/pipeline');
+const rightsGate = require('../lib/rightsGate');
+const { createRng } = require('../lib/random');
+const { createRegistry } = require('../lib/presetRegistry');
+
+const TRENDS = ['サブスク疲れ', 'AIアイドル', 'リモート礼賛'];
+
+function draft(seed = 'stage-test') {
+  const rng = createRng(seed);
+  const structure = structurePlanner.plan({ themeActs: TRENDS.length });
+  const worldview = worldBuilder.build(TRENDS);
+  const characters = characterDesigner.createSet({ rng });
+  const scenes = conflictWriter.writeScenes(structure, worldview, characters, TRENDS, { rng });
+  return { structure, worldview, characters, scenes };
+}
+
+test('random: 同じシードなら同じ乱数列になる', () => {
+  const a = createRng('42');
+  const b = createRng('42');
+  const seq = rng => Array.from({ length: 5 }, () => rng.next());
+  assert.deepEqual(seq(a), seq(b));
+  assert.notDeepEqual(seq(createRng('42')), seq(createRng('43')));
+  assert.deepEqual(createRng('x').sample(TRENDS, 2), createRng('x').sample(TRENDS, 2));
+});
+
+test('trendAnalyzer: カンマ区切りを分解し、指定がなければ既定のプールから抽選する', () => {
+  assert.deepEqual(trendAnalyzer.parse(' サブスク疲れ, ,AIアイドル '), ['サブスク疲れ', 'AIアイドル']);
+  assert.deepEqual(trendAnalyzer.sampleFrom(['推し活']), ['推し活']);
+
+  const sampled = trendAnalyzer.sampleFrom([], createRng('42'));
+  assert.equal(sampled.length, 3);
+  sampled.forEach(trend => assert.ok(trendAnalyzer.DEFAULT_POOL.includes(trend)));
+  assert.deepEqual(trendAnalyzer.sampleFrom([], createRng('42')), sampled);
+});
+
+test('structurePlanner: テーマの幕のあとに終幕が続く', () => {
+  const { acts } = structurePlanner.plan({ themeActs: 3 });
+  assert.deepEqual(acts.map(a => a.kind), ['daily', 'development', 'twist', 'finale']);
+  assert.deepEqual(acts.map(a => a.label), ['第一幕', '第二幕', '第三幕', '第四幕']);
+  assert.deepEqual(acts[3].beats, structurePlanner.BEATS.finale);
+  assert.equal(acts[3].themeSlot, null);
+
+  assert.deepEqual(structurePlanner.plan({ themeActs: 1 }).acts.map(a => a.kind), ['daily', 'finale']);
+  assert.equal(structurePlanner.plan({ themeActs: structurePlanner.MAX_THEME_ACTS }).acts.length, structurePlanner.ACT_LABELS.length);
+});
+
+test('structurePlanner: 幕に入りきらない数のトレンドは切り捨てずにエラーにする', () => {
+  const count = structurePlanner.MAX_THEME_ACTS + 1;
+  assert.throws(() => structurePlanner.plan({ themeActs: count }), new RegExp(`トレンドは${count - 1}件までです（${count}件指定されました）`));
+  const trendsInput = Array.from({ length: count }, (_, i) => `トレンド${i + 1}`).join(',');
+  assert.throws(() => pipeline.run({ title: 't', trendsInput, preset: 'plain', seed: '1' }), /トレンドは8件までです/);
+});
+
+test('worldBuilder: トレンドごとに舞台設定を作る', () => {
+  const worldview = worldBuilder.build(TRENDS);
+  assert.deepEqual(worldview.settings.map(s => s.trend), TRENDS);
+  assert.equal(worldview.settings[0].device, '月額課金');
+  assert.equal(worldview.settings[1].device, 'AIアシスタント');
+  assert.equal(worldview.rules.length, TRENDS.length);
+  assert.ok(worldview.premise.includes('サブスク疲れ'));
+  assert.equal(typeof worldview.description, 'string');
+
+  const fallback = worldBuilder.settingFor('量子家電');
+  assert.equal(fallback.place, '量子家電が当たり前になった街');
+});
+
+test('characterDesigner: 役割ごとに1人ずつ、シードに応じて選ぶ', () => {
+  const characters = characterDesigner.createSet({ rng: createRng('42') });
+  assert.deepEqual(characters.map(c => c.role), ['tsukkomi', 'boke', 'straight']);
+  characters.forEach(c => assert.ok(c.sheet.length > 0));
+  assert.deepEqual(characterDesigner.createSet({ rng: createRng('42') }), characters);
+  assert.equal(characterDesigner.byRole(characters, 'boke').id, 'system');
+  assert.equal(characterDesigner.byRole(characters, 'unknown'), null);
+});
+
+test('conflictWriter: 幕ごとにビートの数だけ台詞を書く', () => {
+  const { structure, scenes } = draft();
+  assert.equal(scenes.length, structure.acts.length);
+  scenes.forEach((scene, i) => {
+    assert.equal(scene.act, structure.acts[i].label);
+    assert.deepEqual(scene.lines.map(l => l.beat), structure.acts[i].beats);
+  });
+  assert.equal(scenes[scenes.length - 1].trend, null);
+  assert.deepEqual(new Set(scenes.slice(0, -1).map(s => s.trend)), new Set(TRENDS));
+  assert.deepEqual(draft().scenes, scenes);
+
+  assert.throws(
+    () => conflictWriter.writeScenes(structurePlanner.plan(), { settings: [] }, [], []),
+    /トレンドが1つ以上必要です/
+  );
+});
+
+test('styleEmulator: プリセットに応じて段落に整形する', () => {
+  const registry = createRegistry();
+  const [scene] = draft().scenes;
+  const plain = styleEmulator.apply(scene, registry.get('plain'));
+  const baka = styleEmulator.apply(scene, 'baka');
+
+  assert.equal(plain.preset, 'plain');
+  assert.equal(baka.preset, 'baka');
+  assert.equal(baka.presetLabel, registry.get('baka').label);
+  assert.ok(plain.paragraphs.length > 0);
+  assert.notDeepEqual(baka.paragraphs, plain.paragraphs);
+  assert.deepEqual(styleEmulator.apply(scene, 'baka'), baka);
+});
+
+test('editor: front matter と幕の見出しを含む台本を組み立てる', () => {
+  const registry = createRegistry();
+  const { worldview, characters, scenes } = draft();
+  const preset = registry.get('baka');
+  const styled = scenes.map(s => styleEmulator.apply(s, preset));
+  const markdown = editor.assemble({ title: 'テスト: "引用"', worldview, characters, scenes: styled, preset });
+
+  assert.ok(markdown.startsWith('---\ntitle: "テスト: \\"引用\\""\npreset: baka\n'));
+  assert.ok(markdown.includes(`referencedPerson: ${JSON.stringify(preset.referencedPerson)}`));
+  assert.ok(markdown.includes('# 「テスト: "引用"」'));
+  styled.forEach(scene => assert.ok(markdown.includes(`## ${scene.act}：${scene.heading}`)));
+
+  const neutral = editor.assemble({ title: 't', worldview, characters, scenes: styled, preset, neutralLabel: true });
+  assert.ok(neutral.includes(`presetLabel: ${JSON.stringify(preset.neutralLabel)}`));
+  assert.ok(!neutral.includes(preset.referencedPerson));
+});
+
+test('rightsGate: 宣言した文体プリセットは書き換えで解消すべき指摘に数えない', () => {
+  const { markdown } = pipeline.run({ title: 't', trendsInput: 'AIアイドル', preset: 'baka', seed: '1' });
+  const { report } = rightsGate.checkAndRewrite(markdown, { fileName: 't.md' });
+  assert.ok(report.personIssues.items.some(i => i.type === 'style_preset'));
+  assert.equal(report.metadata.rewrite.declared, 1);
+  assert.equal(report.metadata.rewrite.remaining, 0);
+  assert.equal(report.metadata.rewrite.clean, true);
+});
+
+test('rightsGate: --neutral-label の出力は style_preset として検出されない', () => {
+  const { markdown } = pipeline.run({ title: 't', trendsInput: 'AIアイドル', preset: 'baka', seed: '1', neutralLabel: true });
+  const { report } = rightsGate.checkAndRewrite(markdown, { fileName: 't.md' });
+  assert.ok(!report.personIssues.items.some(i => i.type === 'style_preset'));
+  assert.equal(report.metadata.rewrite.declared, 0);
+  assert.equal(report.metadata.rewrite.clean, true);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const templateEngine = require('../lib/templateEngine');
+
+test('render: 変数・条件・繰り返しを展開する', () => {
+  const source = [
+    '# {{title}}',
+    '{{#if author.name}}',
+    'by {{author.name}}',
+    '{{else}}',
+    'anonymous',
+    '{{/if}}',
+    '{{#each items}}',
+    '{{@index}}:{{this}}{{#unless @last}},{{/unless}}',
+    '{{/each}}',
+    ''
+  ].join('\n');
+
+  assert.equal(
+    templateEngine.render(source, { title: 'T', author: { name: 'A' }, items: ['x', 'y'] }),
+    '# T\nby A\n0:x,\n1:y\n'
+  );
+  assert.equal(templateEngine.render(source, { title: 'T', items: [] }), '# T\nanonymous\n');
+});
+
+test('render: 外側のスコープの値を参照できる', () => {
+  const out = templateEngine.render('{{#each scenes}}{{title}}/{{act}};{{/each}}', {
+    title: 'T',
+    scenes: [{ act: '第一幕' }, { act: '第二幕' }]
+  });
+  assert.equal(out, 'T/第一幕;T/第二幕;');
+});
+
+test('render: 対応の取れないブロックはエラーにする', () => {
+  assert.throws(() => templateEngine.render('{{#if a}}x', {}), /閉じられていません/);
+  assert.throws(() => templateEngine.render('{{#if a}}x{{/each}}', {}), /対応が取れていません/);
+  assert.throws(() => templateEngine.render('{{#with a}}x{{/with}}', {}), /不明なテンプレートブロック/);
+  assert.throws(() => templateEngine.render('{{else}}', {}), /#if \/ #unless の中でのみ/);
+});
+
+test('load: 指定したフォルダのテンプレートを既定より優先する', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cw-templates-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'worldview.md'), '---\nera: 遠未来\n---\n本文\n');
+    const custom = templateEngine.load('worldview', [dir]);
+    assert.equal(custom.path, path.join(dir, 'worldview.md'));
+    assert.deepEqual(custom.data, { era: '遠未来' });
+    assert.equal(custom.body, '本文\n');
+
+    assert.equal(templateEngine.load('script', [dir]).path, path.join(templateEngine.BUILTIN_DIR, 'script.md'));
+    assert.throws(() => templateEngine.load('missing', [dir]), /テンプレートが見つかりません/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('load: front matter の YAML の誤りはファイル名つきのエラーにする', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cw-templates-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'script.md'), '---\ntitle: a\n  broken\n---\n本文\n');
+    assert.throws(() => templateEngine.load('script', [dir]), /テンプレートの front matter を解析できません: .*script\.md/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
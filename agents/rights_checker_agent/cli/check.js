@@ -7,38 +7,174 @@
  * Usage:
  *   node cli/check.js --file path/to/content.md
  *   node cli/check.js --text "チェックしたいテキスト"
+ *   node cli/check.js --file path/to/content.md --fix --fix-level high
+ *   node cli/check.js --file path/to/content.md --interactive
+ *   node cli/check.js --file path/to/content.md --format sarif --output results.sarif
+ *   node cli/check.js --dir ../creative_writer_agent/outputs
+ *   node cli/check.js --file path/to/content.md --allowlist rights-allowlist.yml
+ *   node cli/check.js --file path/to/content.md --baseline baseline.json --write-baseline
+ *   node cli/check.js --file path/to/content.md --policy broadcast
+ *   node cli/check.js --validate-rules --rules my_rules.yml
+ *   node cli/check.js index ./corpus
+ *   node cli/check.js --file path/to/content.md --corpus ./corpus
+ *   node cli/check.js serve --port 8787
  */
 
 const fs = require('fs');
 const path = require('path');
-const { detectBrands } = require('../lib/brandDetector');
-const { detectPersonReferences } = require('../lib/personDetector');
-const { analyzeOriginality } = require('../lib/copyrightAnalyzer');
-const { generateReport, generateMarkdownReport } = require('../lib/reportGenerator');
+const readline = require('readline');
+const { checkText } = require('../lib/checker');
+const { generateMarkdownReport, getRiskBadge, formatPosition } = require('../lib/reportGenerator');
+const { generateSarifReport } = require('../lib/sarifReport');
+const { generateJunitReport } = require('../lib/junitReport');
+const { generateHtmlReport } = require('../lib/htmlReport');
+const { sanitize, normalizeMapping, replacementFor } = require('../lib/sanitizer');
+const { createUnifiedDiff } = require('../lib/diff');
+const { loadRules, findDuplicates } = require('../lib/rulesLoader');
+const { collectFiles, checkFiles, summarizeBatch, generateIndexReport } = require('../lib/batch');
+const { loadAllowlist, appendAllowlistEntry, applySuppressions } = require('../lib/suppressions');
+const { loadBaseline, writeBaseline, attachBaseline } = require('../lib/baseline');
+const { displayPathFor } = require('../lib/glob');
+const { loadPolicies, selectPolicy, exitCodeFor } = require('../lib/policy');
+const { buildCorpusIndex, openCorpus } = require('../lib/corpus');
+const { reviewableIssues, highlightContext, allowlistEntryFor, applyDecisions, createDecisionLog } = require('../lib/review');
+const { createServer, DEFAULT_PORT, DEFAULT_HOST, DEFAULT_MAX_BODY_SIZE } = require('../lib/server');
+
+// --fix-level で指定できる閾値
+const FIX_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// --format ごとの出力（いずれも generateReport の戻り値から作る。html は本文の表示に元のテキストも使う）
+const RENDERERS = {
+  markdown: report => generateMarkdownReport(report),
+  json: report => JSON.stringify(report, null, 2),
+  sarif: report => JSON.stringify(generateSarifReport(report), null, 2),
+  junit: report => generateJunitReport(report),
+  html: (report, text) => generateHtmlReport(report, text)
+};
+
+// --format ごとのレポートファイルの拡張子（一括チェック時）
+const FORMAT_EXTENSIONS = { markdown: '.md', json: '.json', sarif: '.sarif', junit: '.xml', html: '.html' };
+
+// --interactive で許可を追加する許可リスト（--allowlist も設定ファイルの "allowlist" もない場合）
+const DEFAULT_ALLOWLIST = 'rights-allowlist.yml';
+
+// 一括チェックの個別レポートの既定の出力先
+const REPORTS_DIR = path.join(__dirname, '..', 'reports');
 
 /**
  * コマンドライン引数をパース
  */
 function parseArgs(args) {
   const result = {
+    command: null, // 'index' でコーパスの索引を作成、'serve' で API サーバーを起動
     file: null,
     text: null,
+    dirs: [],
+    globs: [],
+    reportDir: null,
+    concurrency: null,
     output: null,
-    format: 'markdown', // 'json' or 'markdown'
+    format: 'markdown', // RENDERERS のキー
+    fix: false,
+    fixLevel: 'medium',
+    fixMap: null,
+    fixOutput: null,
+    interactive: false,
+    reviewLog: null,
+    rules: [],
+    allowlist: null,
+    baseline: null,
+    writeBaseline: null,
+    policy: null,
+    policyFile: null,
+    listPolicies: false,
+    corpus: null,
+    corpusIndex: null,
+    rebuild: false,
+    validateRules: false,
+    port: null,
+    host: null,
+    apiKey: null,
+    maxBody: null,
     help: false
   };
 
-  for (let i = 0; i < args.length; i++) {
+  let start = 0;
+  if (args[0] === 'index') {
+    result.command = 'index';
+    start = 1;
+    // index <dir> の形でもコーパスを指定できる
+    if (args[1] && !args[1].startsWith('-')) {
+      result.corpus = args[1];
+      start = 2;
+    }
+  } else if (args[0] === 'serve') {
+    result.command = 'serve';
+    start = 1;
+  }
+
+  for (let i = start; i < args.length; i++) {
     const arg = args[i];
     
     if (arg === '--file' || arg === '-f') {
       result.file = args[++i];
     } else if (arg === '--text' || arg === '-t') {
       result.text = args[++i];
+    } else if (arg === '--dir' || arg === '-d') {
+      result.dirs.push(args[++i]);
+    } else if (arg === '--glob' || arg === '-g') {
+      result.globs.push(args[++i]);
+    } else if (arg === '--report-dir') {
+      result.reportDir = args[++i];
+    } else if (arg === '--concurrency') {
+      result.concurrency = parseInt(args[++i], 10);
     } else if (arg === '--output' || arg === '-o') {
       result.output = args[++i];
     } else if (arg === '--format') {
       result.format = args[++i];
+    } else if (arg === '--fix') {
+      result.fix = true;
+    } else if (arg === '--fix-level') {
+      result.fixLevel = args[++i];
+    } else if (arg === '--fix-map') {
+      result.fixMap = args[++i];
+    } else if (arg === '--fix-output') {
+      result.fixOutput = args[++i];
+    } else if (arg === '--interactive' || arg === '-i') {
+      result.interactive = true;
+    } else if (arg === '--review-log') {
+      result.reviewLog = args[++i];
+    } else if (arg === '--rules') {
+      result.rules.push(args[++i]);
+    } else if (arg === '--allowlist') {
+      result.allowlist = args[++i];
+    } else if (arg === '--baseline') {
+      result.baseline = args[++i];
+    } else if (arg === '--write-baseline') {
+      // パスを省略した場合は --baseline のファイルを更新する
+      result.writeBaseline = args[i + 1] && !args[i + 1].startsWith('-') ? args[++i] : true;
+    } else if (arg === '--policy') {
+      result.policy = args[++i];
+    } else if (arg === '--policy-file') {
+      result.policyFile = args[++i];
+    } else if (arg === '--list-policies') {
+      result.listPolicies = true;
+    } else if (arg === '--corpus') {
+      result.corpus = args[++i];
+    } else if (arg === '--corpus-index') {
+      result.corpusIndex = args[++i];
+    } else if (arg === '--rebuild') {
+      result.rebuild = true;
+    } else if (arg === '--validate-rules') {
+      result.validateRules = true;
+    } else if (arg === '--port') {
+      result.port = args[++i];
+    } else if (arg === '--host') {
+      result.host = args[++i];
+    } else if (arg === '--api-key') {
+      result.apiKey = args[++i];
+    } else if (arg === '--max-body') {
+      result.maxBody = args[++i];
     } else if (arg === '--help' || arg === '-h') {
       result.help = true;
     }
@@ -56,18 +192,66 @@ Rights Checker Agent - オリジナリティ・権利チェックエージェン
 
 Usage:
   node cli/check.js [options]
+  node cli/check.js index <corpus-dir> [--corpus-index <path>] [--rebuild]
+  node cli/check.js serve [--port <n>] [--host <host>] [--api-key <key>] [--max-body <size>]
 
 Options:
   --file, -f <path>     チェック対象のファイルパス
   --text, -t <text>     チェック対象のテキスト（直接入力）
-  --output, -o <path>   レポート出力先（省略時は標準出力）
-  --format <type>       出力形式: 'markdown' (default) or 'json'
+  --dir, -d <path>      ディレクトリ以下の .md / .txt をまとめてチェック（複数指定可）
+  --glob, -g <pattern>  glob に一致するファイルをまとめてチェック（例: "outputs/**/*.md"、複数指定可）
+  --report-dir <path>   一括チェック時の個別レポートの出力先（省略時は reports/）
+  --concurrency <n>     一括チェック時に並行して処理するファイル数（省略時は CPU 数）
+  --output, -o <path>   レポート出力先（省略時は標準出力。一括チェック時は索引レポートの出力先）
+  --format <type>       出力形式: 'markdown' (default), 'json', 'sarif', 'junit', 'html'
+  --fix                 指摘箇所を一般名詞・架空の名称に置き換えた修正版を書き出す
+  --fix-level <level>   置換するリスクの下限: 'medium' (default), 'high' など
+  --fix-map <path>      名前ごとの置換先を定義した JSON ファイル
+  --fix-output <path>   修正版の出力先（省略時は <元ファイル名>.fixed<拡張子>、--interactive では .reviewed<拡張子>）
+  --interactive, -i     指摘を1件ずつ確認し、置換・置換先の入力・許可リストへの追加・スキップを選ぶ
+                        （--file と併用。終了時に修正版と判断の記録を書き出す）
+  --review-log <path>   --interactive の判断の記録（JSON）の出力先（省略時は <元ファイル名>.review.json）
+  --rules <path>        追加のルールパック（JSON / YAML、複数指定可）
+  --validate-rules      ルールパックを検証し、スキーマエラーと重複を報告する
+  --allowlist <path>    承認済みの言及を定義した許可リスト（JSON / YAML。省略時は設定ファイルの "allowlist"）
+  --baseline <path>     以前の JSON レポートと比較し、新しい指摘・解消した指摘・変わらない指摘に分ける
+                        （終了コードは新しい指摘だけで判定）
+  --write-baseline [path]
+                        今回の結果をベースラインとして保存（パス省略時は --baseline のファイル）
+  --policy <name>       総合リスクの判定に使うポリシー（用途）: 'default', 'satire-blog', 'commercial-ad', 'broadcast' など
+  --policy-file <path>  用途ごとのポリシーを定義したファイル（JSON / YAML）
+  --list-policies       使用できるポリシーを一覧表示
+  --corpus <dir>        参照コーパス（既存作品のフォルダ）と重なる箇所を調べる（省略時は設定ファイルの "corpus"）
+  --corpus-index <path> コーパスの索引ファイル（省略時はコーパス直下の .rights-checker-index.json）
+  --rebuild             index: 前回の索引を使わずに作り直す
+  --port <n>            serve: 待ち受けるポート（省略時は ${DEFAULT_PORT}）
+  --host <host>         serve: 待ち受けるアドレス（省略時は ${DEFAULT_HOST}）
+  --api-key <key>       serve: API キーを必須にする（省略時は環境変数 RIGHTS_CHECKER_API_KEY。どちらもなければ認証なし）
+  --max-body <size>     serve: リクエスト本文の上限（例: 512kb, 2mb。省略時は 1mb）
   --help, -h            このヘルプを表示
 
 Examples:
   node cli/check.js --file ./outputs/content.md
   node cli/check.js --file ./outputs/content.md --output report.md
   node cli/check.js --text "チェックしたいテキスト" --format json
+  node cli/check.js --file ./outputs/content.md --format sarif --output results.sarif
+  node cli/check.js --file ./outputs/content.md --format junit --output junit.xml
+  node cli/check.js --file ./outputs/content.md --format html --output report.html
+  node cli/check.js --file ./outputs/content.md --fix --fix-map ./replacements.json
+  node cli/check.js --file ./outputs/content.md --interactive --allowlist ./rights-allowlist.yml
+  node cli/check.js --file ./outputs/content.md --rules ./rules/project.yml
+  node cli/check.js --validate-rules --rules ./rules/project.yml
+  node cli/check.js --file ./outputs/content.md --policy commercial-ad
+  node cli/check.js --file ./outputs/content.md --write-baseline ./baseline.json
+  node cli/check.js --file ./outputs/content.md --baseline ./baseline.json
+  node cli/check.js index ./corpus
+  node cli/check.js --file ./outputs/content.md --corpus ./corpus
+  node cli/check.js serve --port 8787 --api-key "$RIGHTS_CHECKER_API_KEY"
+  node cli/check.js --dir ../creative_writer_agent/outputs
+  node cli/check.js --glob "../creative_writer_agent/outputs/**/*.md" --format html
+
+ルールは 既定パック（rules/builtin.json）→ rights-checker.config.json の "rules" → --rules の順に統合されます。
+本文中の <!-- rights-ignore brand:Zoom --> / <!-- rights-ignore-next-line --> で指摘を抑制できます。
 `);
 }
 
@@ -98,6 +282,421 @@ function saveReport(content, outputPath) {
   console.log(`レポートを保存しました: ${absolutePath}`);
 }
 
+/**
+ * 修正版・判断の記録の出力先を決める（例: content.md → content.fixed.md）
+ */
+function fixedPathFor(filePath, suffix = 'fixed', ext = path.extname(filePath)) {
+  return path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}.${suffix}${ext}`);
+}
+
+/**
+ * 指摘を適用した修正版を作成し、差分を表示する
+ */
+function runFix(text, report, args) {
+  if (!FIX_LEVELS.includes(args.fixLevel)) {
+    throw new Error(`--fix-level は ${FIX_LEVELS.join(' / ')} のいずれかを指定してください: ${args.fixLevel}`);
+  }
+  const mapping = args.fixMap ? normalizeMapping(JSON.parse(readFile(args.fixMap))) : {};
+  const issues = [...report.brandIssues.items, ...report.personIssues.items];
+  const result = sanitize(text, issues, { threshold: args.fixLevel, mapping });
+
+  console.log(`\n🔧 自動修正（${args.fixLevel} 以上）: ${result.replacements.length}件を置換しました`);
+  if (result.skipped.length > 0) {
+    console.log(`   置換できない指摘: ${result.skipped.length}件（${[...new Set(result.skipped.map(i => i.type))].join(', ')}）`);
+  }
+
+  const fromLabel = args.file || 'direct_input';
+  const outputPath = args.fixOutput || (args.file ? fixedPathFor(args.file) : null);
+  const diff = createUnifiedDiff(text, result.text, { from: fromLabel, to: outputPath || 'fixed' });
+  console.log(diff ? `\n${diff}` : '   変更はありません');
+
+  if (outputPath) {
+    saveReport(result.text, outputPath);
+  } else {
+    console.log(result.text);
+  }
+}
+
+/**
+ * 端末から1行ずつ読む（パイプで渡した入力も取りこぼさないよう、行の非同期イテレータで読む）
+ * @param {Object} [streams] - { input, output }（省略時は標準入出力。テストでは任意のストリームを渡す）
+ * @returns {Object} { ask(question) → Promise<string|null>（入力が終わったら null）, close }
+ */
+function createPrompter({ input = process.stdin, output = process.stdout } = {}) {
+  const rl = readline.createInterface({ input, output });
+  const lines = rl[Symbol.asyncIterator]();
+  return {
+    async ask(question) {
+      rl.setPrompt(question);
+      rl.prompt();
+      const { value, done } = await lines.next();
+      return done ? null : value.trim();
+    },
+    close: () => rl.close()
+  };
+}
+
+/**
+ * 指摘1件について、どう対処するかを尋ねる
+ * @returns {Promise<Object|null>} 判断（q または入力の終わりで null）
+ */
+async function askDecision(prompter, issue, { suggestion, allowlistPath, filePath }) {
+  const choices = [
+    suggestion ? `[a] 置換候補を適用（${suggestion}）` : null,
+    '[r] 置換先を入力',
+    '[s] 許可リストに追加',
+    '[k] スキップ（Enter）',
+    '[q] 終了'
+  ].filter(Boolean).join('  ');
+
+  for (;;) {
+    const answer = await prompter.ask(`${choices}\n> `);
+    if (answer === null || answer === 'q') return null;
+    if (answer === '' || answer === 'k') return { issue, action: 'skip' };
+    if (answer === 'a' && suggestion) return { issue, action: 'accept', replacement: suggestion };
+    if (answer === 'r') {
+      const replacement = await prompter.ask('置換先: ');
+      if (replacement === null) return null;
+      if (replacement !== '') return { issue, action: 'replace', replacement };
+      console.log('   置換先が空のため、選び直してください');
+      continue;
+    }
+    if (answer === 's') {
+      const reason = await prompter.ask('許可の理由: ');
+      if (reason === null) return null;
+      if (reason === '') {
+        console.log('   許可リストには理由が必要です');
+        continue;
+      }
+      const entry = allowlistEntryFor(issue, { reason, filePath });
+      appendAllowlistEntry(allowlistPath, entry);
+      console.log(`   許可リストに追加しました: ${allowlistPath}`);
+      return { issue, action: 'suppress', entry };
+    }
+    console.log(`   ${suggestion ? 'a / ' : ''}r / s / k / q のいずれかを入力してください`);
+  }
+}
+
+/**
+ * 指摘を1件ずつ端末で確認し、修正版と判断の記録を書き出す（--interactive）
+ * 許可リストへの追加はその場で保存し、同じセッションの後の指摘にも当てはめる
+ * options.input / options.output で回答を読むストリームを差し替えられる（createPrompter に渡す）
+ * @returns {Promise<Object>} { text: 修正版のテキスト, allowlistPath }
+ */
+async function runInteractive(text, report, args, { allowlistFile, filePath, input, output }) {
+  const mapping = args.fixMap ? normalizeMapping(JSON.parse(readFile(args.fixMap))) : {};
+  const allowlistPath = allowlistFile || path.resolve(DEFAULT_ALLOWLIST);
+  const issues = reviewableIssues(report, text);
+  const color = Boolean(process.stdout.isTTY);
+
+  console.log(`\n🔍 対話的レビュー: ${issues.length}件の指摘を確認します（許可リスト: ${allowlistPath}）`);
+  const prompter = createPrompter({ input, output });
+  const decisions = [];
+  const added = [];
+  let quit = false;
+
+  for (const [index, issue] of issues.entries()) {
+    if (quit) {
+      decisions.push({ issue, action: 'unreviewed' });
+      continue;
+    }
+    // このセッションで追加した許可に当てはまる指摘は尋ねない
+    const entry = added.find(e => applySuppressions([issue], { text, allowlist: [e], filePath }).suppressed.length > 0);
+    if (entry) {
+      decisions.push({ issue, action: 'suppress', entry, note: 'このレビューで追加した許可に当てはまります' });
+      continue;
+    }
+
+    const suggestion = replacementFor(issue, mapping);
+    console.log(`\n[${index + 1}/${issues.length}] ${getRiskBadge(issue.risk)} ${issue.type}${issue.category ? ` (${issue.category})` : ''} — ${formatPosition(issue)}`);
+    console.log(`   ${highlightContext(text, issue, { color })}`);
+    if (issue.suggestion) console.log(`   提案: ${issue.suggestion}`);
+
+    const decision = await askDecision(prompter, issue, { suggestion, allowlistPath, filePath });
+    if (!decision) {
+      quit = true;
+      decisions.push({ issue, action: 'unreviewed' });
+      continue;
+    }
+    if (decision.entry) added.push(decision.entry);
+    decisions.push(decision);
+  }
+  prompter.close();
+
+  const { text: revised, applied, conflicts } = applyDecisions(text, decisions);
+  const outputPath = path.resolve(args.fixOutput || fixedPathFor(args.file, 'reviewed'));
+  const logPath = path.resolve(args.reviewLog || fixedPathFor(args.file, 'review', '.json'));
+  const log = createDecisionLog({
+    file: filePath,
+    output: displayPathFor(outputPath),
+    allowlist: added.length > 0 ? displayPathFor(allowlistPath) : null,
+    decisions,
+    conflicts
+  });
+  fs.writeFileSync(outputPath, revised, 'utf-8');
+  fs.writeFileSync(logPath, `${JSON.stringify(log, null, 2)}\n`, 'utf-8');
+
+  const { summary } = log;
+  console.log(`\n📝 レビュー結果: 置換 ${applied.length}件 / 許可 ${summary.suppress}件 / スキップ ${summary.skip}件 / 未確認 ${summary.unreviewed}件`);
+  if (conflicts.length > 0) {
+    console.log(`   先に置換した範囲と重なるため適用しなかった置換: ${conflicts.length}件`);
+  }
+  const diff = createUnifiedDiff(text, revised, { from: args.file, to: displayPathFor(outputPath) });
+  console.log(diff ? `\n${diff}` : '   本文の変更はありません');
+  console.log(`修正版を保存しました: ${outputPath}`);
+  console.log(`判断の記録を保存しました: ${logPath}`);
+
+  return { text: revised, allowlistPath: added.length > 0 ? allowlistPath : null };
+}
+
+/**
+ * ルールパックを検証して結果を表示
+ * @returns {number} 終了コード（スキーマエラーがあれば 1）
+ */
+function runValidateRules(args) {
+  const { ruleset, errors, warnings, config } = loadRules({ rulesFiles: args.rules, strict: false });
+
+  console.log('ルールパック:');
+  ruleset.sources.forEach(s => console.log(`  - ${s.name}${s.version ? ` v${s.version}` : ''} (${s.source})`));
+  if (config) console.log(`プロジェクト設定: ${config.path}`);
+  console.log(`ブランド: ${ruleset.brands.length}件 / 人物: ${ruleset.persons.length}件\n`);
+
+  if (errors.length > 0) {
+    console.log(`❌ スキーマエラー (${errors.length}件)`);
+    errors.forEach(e => console.log(`   - ${e}`));
+  }
+  if (warnings.length > 0) {
+    console.log(`⚠️  警告 (${warnings.length}件)`);
+    warnings.forEach(w => console.log(`   - ${w}`));
+  }
+
+  const duplicates = findDuplicates(ruleset);
+  if (duplicates.length > 0) {
+    console.log(`🔁 重複 (${duplicates.length}件)`);
+    duplicates.forEach(d => {
+      const where = d.entries.map(e => e.name === d.term ? e.category : `${e.category}:${e.name}`).join(', ');
+      console.log(`   - ${d.section}「${d.term}」が複数のエントリに登録されています: ${where}`);
+    });
+  }
+
+  if (errors.length === 0 && warnings.length === 0 && duplicates.length === 0) {
+    console.log('✅ 問題は見つかりませんでした');
+  }
+  return errors.length > 0 ? 1 : 0;
+}
+
+/**
+ * ポリシーを読み込んで用途を選ぶ（--policy → プロジェクト設定の "policy" → ポリシーファイルの default の順）
+ */
+function policyFor(args, config) {
+  const policies = loadPolicies({ policyFile: args.policyFile, config });
+  return selectPolicy(policies, args.policy || (config && config.policy));
+}
+
+/**
+ * 使用できるポリシーを表示
+ */
+function runListPolicies(args) {
+  const { config } = loadRules({ rulesFiles: args.rules });
+  const policies = loadPolicies({ policyFile: args.policyFile, config });
+  console.log('ポリシー（--policy で指定）:');
+  for (const [name, policy] of Object.entries(policies.useCases)) {
+    const mark = name === policies.defaultUseCase ? ' (default)' : '';
+    console.log(`  - ${name}${mark}: ${policy.description || ''}`);
+  }
+}
+
+/**
+ * 参照コーパスの指定（--corpus → プロジェクト設定の "corpus" の順）
+ * @returns {Object|null} { corpusDir, indexPath }
+ */
+function corpusFor(args, config) {
+  const corpusDir = args.corpus ? path.resolve(args.corpus) : config && config.corpus;
+  if (!corpusDir) return null;
+  const indexPath = args.corpusIndex ? path.resolve(args.corpusIndex) : config && config.corpusIndex;
+  return { corpusDir, indexPath: indexPath || undefined };
+}
+
+/**
+ * 参照コーパスの索引を作成・更新する（index サブコマンド）
+ */
+function runIndex(args) {
+  const { config } = loadRules({ rulesFiles: args.rules });
+  const corpus = corpusFor(args, config);
+  if (!corpus) {
+    throw new Error('索引を作るコーパスのフォルダを指定してください（index <dir> / --corpus / 設定ファイルの "corpus"）');
+  }
+  const { index, indexPath, stats } = buildCorpusIndex(corpus.corpusDir, { indexPath: corpus.indexPath, rebuild: args.rebuild });
+  const characters = index.documents.reduce((sum, doc) => sum + doc.length, 0);
+  console.log(`コーパス: ${index.corpusDir}`);
+  console.log(`索引: ${indexPath}`);
+  console.log(`文書: ${index.documents.length}件（${characters}文字）— 追加 ${stats.added} / 更新 ${stats.updated} / 変更なし ${stats.reused} / 削除 ${stats.removed}`);
+}
+
+/**
+ * 大きさの指定（"512kb" / "2mb" / バイト数）をバイト数にする
+ */
+function parseSize(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+)\s*(b|kb|k|mb|m)?$/);
+  if (!match || parseInt(match[1], 10) === 0) {
+    throw new Error(`--max-body には 512kb / 2mb のような大きさを指定してください: ${value}`);
+  }
+  const units = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 };
+  return parseInt(match[1], 10) * units[match[2] || 'b'];
+}
+
+/**
+ * API サーバーを起動する（serve サブコマンド）
+ * ルール・許可リスト・ポリシー・コーパスは起動時に1度だけ読み込む
+ */
+function runServe(args) {
+  const port = args.port === null ? DEFAULT_PORT : parseInt(args.port, 10);
+  if (!(port >= 0 && port <= 65535)) {
+    throw new Error(`--port には 0〜65535 の整数を指定してください: ${args.port}`);
+  }
+  const host = args.host || DEFAULT_HOST;
+  const maxBodySize = args.maxBody ? parseSize(args.maxBody) : DEFAULT_MAX_BODY_SIZE;
+  const apiKey = args.apiKey || process.env.RIGHTS_CHECKER_API_KEY || null;
+
+  const { ruleset, config } = loadRules({ rulesFiles: args.rules });
+  const allowlistFile = allowlistFileFor(args, config);
+  const allowlist = allowlistFile ? loadAllowlist(allowlistFile) : [];
+  const policies = loadPolicies({ policyFile: args.policyFile, config });
+  const policy = selectPolicy(policies, args.policy || (config && config.policy));
+  const corpusOptions = corpusFor(args, config);
+  const corpus = corpusOptions ? openCorpus(corpusOptions.corpusDir, { indexPath: corpusOptions.indexPath }) : null;
+
+  const server = createServer({
+    ruleset,
+    policies,
+    policy,
+    allowlist,
+    corpus,
+    apiKey,
+    maxBodySize,
+    onRequest: ({ method, path: route, status, ms }) => console.log(`${new Date().toISOString()} ${method} ${route} ${status} ${ms}ms`)
+  });
+  server.on('error', err => {
+    console.error(`Error: サーバーを起動できません（${err.message}）`);
+    process.exit(1);
+  });
+  server.listen(port, host, () => {
+    const address = server.address();
+    console.log(`Rights Checker API: http://${host.includes(':') ? `[${host}]` : host}:${address.port}`);
+    console.log(`   ルール: ブランド ${ruleset.brands.length}件 / 人物 ${ruleset.persons.length}件、ポリシー: ${policy.name}、本文の上限: ${maxBodySize}バイト`);
+    console.log(`   認証: ${apiKey ? 'API キーが必要' : 'なし'}${!apiKey && !['127.0.0.1', 'localhost', '::1'].includes(host) ? '（⚠️ 外部から到達できるアドレスです。--api-key の指定を推奨します）' : ''}`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+/**
+ * 許可リストのパス（--allowlist → プロジェクト設定の "allowlist" の順）
+ */
+function allowlistFileFor(args, config) {
+  if (args.allowlist) return path.resolve(args.allowlist);
+  return config ? config.allowlist : null;
+}
+
+/**
+ * 一括チェックの個別レポートのパス
+ * 対象ファイルに共通する親ディレクトリからの相対パスをファイル名にする（例: sub/a.md → sub_a_rights_report.md）
+ */
+function batchReportPathFor(filePath, commonDir, reportDir, format) {
+  const relative = path.relative(commonDir, filePath);
+  const base = relative.slice(0, relative.length - path.extname(relative).length).split(path.sep).join('_');
+  return path.join(reportDir, `${base}_rights_report${FORMAT_EXTENSIONS[format]}`);
+}
+
+function commonDirOf(files) {
+  return files.map(path.dirname).reduce((common, dir) => {
+    while (dir !== common && !dir.startsWith(common + path.sep)) common = path.dirname(common);
+    return common;
+  });
+}
+
+/**
+ * 索引レポートを出力形式に合わせて作る
+ * sarif / junit は全ファイルを1つにまとめ、それ以外はマークダウン（json は集計結果そのもの）
+ */
+function renderIndex(summary, results, format, baseDir) {
+  const reports = results.filter(r => r.report).map(r => r.report);
+  if (format === 'json') return { content: JSON.stringify(summary, null, 2), ext: '.json' };
+  if (format === 'sarif') return { content: JSON.stringify(generateSarifReport(reports), null, 2), ext: '.sarif' };
+  if (format === 'junit') return { content: generateJunitReport(reports), ext: '.xml' };
+  return { content: generateIndexReport(summary, { baseDir }), ext: '.md' };
+}
+
+/**
+ * ディレクトリ・glob で指定したファイルをまとめてチェック
+ * @returns {Promise<number>} 終了コード（最もリスクの高いファイルに合わせる）
+ */
+async function runBatch(args) {
+  if (args.fix || args.interactive || args.baseline || args.writeBaseline) {
+    throw new Error('--fix / --interactive / --baseline / --write-baseline は --dir / --glob と同時に指定できません');
+  }
+  if (args.concurrency !== null && !(args.concurrency >= 1)) {
+    throw new Error('--concurrency には1以上の整数を指定してください');
+  }
+
+  // ルール・許可リストのエラーはワーカーを起動する前に報告する
+  const { config } = loadRules({ rulesFiles: args.rules });
+  const allowlistFile = allowlistFileFor(args, config);
+  if (allowlistFile) loadAllowlist(allowlistFile);
+  const policy = policyFor(args, config);
+  // 索引はワーカーを起動する前に更新しておき、ワーカーは保存済みの索引を読むだけにする
+  const corpus = corpusFor(args, config);
+  const corpusIndex = corpus ? buildCorpusIndex(corpus.corpusDir, { indexPath: corpus.indexPath }).indexPath : null;
+
+  const reportDir = path.resolve(args.reportDir || REPORTS_DIR);
+  const files = collectFiles({ dirs: args.dirs, globs: args.globs, exclude: [reportDir] });
+  if (files.length === 0) {
+    console.error('Error: チェック対象のファイルが見つかりません');
+    return 1;
+  }
+
+  console.log(`${files.length}件のファイルをチェックします...\n`);
+  fs.mkdirSync(reportDir, { recursive: true });
+  const commonDir = commonDirOf(files);
+
+  const results = await checkFiles(files, {
+    rulesFiles: args.rules,
+    allowlistFile,
+    policy,
+    corpusIndex,
+    concurrency: args.concurrency,
+    onFile: (result, done, total) => {
+      const progress = `[${done}/${total}]`;
+      if (result.error) {
+        console.log(`${progress} ❌ ${result.displayPath}: ${result.error}`);
+        return;
+      }
+      result.reportPath = batchReportPathFor(result.filePath, commonDir, reportDir, args.format);
+      fs.writeFileSync(result.reportPath, RENDERERS[args.format](result.report, result.text), 'utf-8');
+      console.log(`${progress} ${result.report.summary.overallRisk.toUpperCase().padEnd(8)} ${result.report.summary.totalIssues}件  ${result.displayPath}`);
+    }
+  });
+
+  const summary = summarizeBatch(results);
+  const index = renderIndex(summary, results, args.format, reportDir);
+  const indexPath = path.resolve(args.output || path.join(reportDir, `index_rights_report${index.ext}`));
+  fs.writeFileSync(indexPath, index.content, 'utf-8');
+
+  console.log(`\n個別レポート: ${reportDir}`);
+  console.log(`索引レポート: ${indexPath}`);
+  console.log('\n✅ 一括チェック完了');
+  console.log(`   最も高いリスク: ${summary.overallRisk.toUpperCase()}`);
+  console.log(`   検出された問題: ${summary.totalIssues}件（${summary.fileCount}ファイル）`);
+  if (summary.errors.length > 0) {
+    console.log(`   読み込みエラー: ${summary.errors.length}件`);
+  }
+
+  const code = exitCodeFor(summary.overallRisk, policy);
+  return summary.errors.length > 0 ? Math.max(code, 1) : code;
+}
+
 /**
  * メイン処理
  */
@@ -109,18 +708,98 @@ function main() {
     process.exit(0);
   }
 
+  if (args.validateRules) {
+    process.exit(runValidateRules(args));
+  }
+
+  if (args.listPolicies) {
+    runListPolicies(args);
+    process.exit(0);
+  }
+
+  if (args.command === 'serve') {
+    try {
+      runServe(args);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (args.command === 'index') {
+    try {
+      runIndex(args);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  if (!RENDERERS[args.format]) {
+    console.error(`Error: --format は ${Object.keys(RENDERERS).join(' / ')} のいずれかを指定してください: ${args.format}`);
+    process.exit(1);
+  }
+
+  if (args.dirs.length > 0 || args.globs.length > 0) {
+    runBatch(args)
+      .then(code => process.exit(code))
+      .catch(err => {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+      });
+    return;
+  }
+
+  if (args.interactive && (!args.file || args.fix)) {
+    console.error('Error: --interactive は --file と組み合わせて指定してください（--fix とは同時に指定できません）');
+    process.exit(1);
+  }
+
+  try {
+    runCheck(args);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * --file / --text で指定した1件をチェックする
+ * ルール・許可リスト・ポリシー・コーパス・ベースラインの読み込みの失敗は例外として呼び出し元に返す
+ */
+function runCheck(args) {
+  const { ruleset, config } = loadRules({ rulesFiles: args.rules });
+  const allowlistFile = allowlistFileFor(args, config);
+  const allowlist = allowlistFile ? loadAllowlist(allowlistFile) : [];
+  const policy = policyFor(args, config);
+  const corpusOptions = corpusFor(args, config);
+  const corpus = corpusOptions ? openCorpus(corpusOptions.corpusDir, { indexPath: corpusOptions.indexPath }) : null;
+  const baselineOutput = args.writeBaseline === true ? args.baseline : args.writeBaseline;
+  if (args.writeBaseline === true && !args.baseline) {
+    console.error('Error: --write-baseline の保存先を指定するか、--baseline と組み合わせてください');
+    process.exit(1);
+  }
+  // ベースラインを新しく作る場合（まだファイルがない場合）は比較しない
+  const baseline = args.baseline && !(baselineOutput === args.baseline && !fs.existsSync(args.baseline))
+    ? loadBaseline(args.baseline)
+    : null;
+
   // 入力の取得
   let text = '';
   let fileName = 'direct_input';
+  let filePath;
 
   if (args.file) {
     text = readFile(args.file);
     fileName = path.basename(args.file);
+    filePath = displayPathFor(args.file);
     console.log(`ファイルを読み込みました: ${args.file}`);
   } else if (args.text) {
     text = args.text;
   } else {
-    console.error('Error: --file または --text オプションでチェック対象を指定してください');
+    console.error('Error: --file / --text / --dir / --glob のいずれかでチェック対象を指定してください');
     showHelp();
     process.exit(1);
   }
@@ -128,57 +807,102 @@ function main() {
   console.log('\n分析を開始します...\n');
 
   // 分析実行
-  console.log('📋 ブランド・商標を検出中...');
-  const brandIssues = detectBrands(text);
-  console.log(`   ${brandIssues.length}件検出`);
-
-  console.log('👤 人物・著名人参照を検出中...');
-  const personIssues = detectPersonReferences(text);
-  console.log(`   ${personIssues.length}件検出`);
+  const progress = {
+    'brands:start': () => console.log('📋 ブランド・商標を検出中...'),
+    'brands:done': issues => console.log(`   ${issues.length}件検出`),
+    'persons:start': () => console.log('👤 人物・著名人参照を検出中...'),
+    'persons:done': issues => console.log(`   ${issues.length}件検出`),
+    'quotations:start': () => console.log('💬 引用の形式を確認中...'),
+    'quotations:done': issues => console.log(`   ${issues.length}件検出`),
+    'originality:start': () => console.log('📝 オリジナリティを分析中...'),
+    'originality:done': result => console.log(result.similarityAnalysis
+      ? `   参照コーパス ${result.similarityAnalysis.documents}件と比較: ${result.similarityAnalysis.matches.length}件の文書と重なり（本文の${Math.round(result.similarityAnalysis.coverage * 100)}%）`
+      : '   完了')
+  };
 
-  console.log('📝 オリジナリティを分析中...');
-  const originalityAnalysis = analyzeOriginality(text);
-  console.log('   完了');
+  const report = checkText(text, {
+    metadata: { fileName, ...(filePath ? { filePath } : {}) },
+    rules: ruleset,
+    allowlist,
+    policy,
+    corpus,
+    onStage: (stage, result) => progress[stage](result)
+  });
+  if (report.suppressedIssues.count > 0) {
+    console.log(`🔕 抑制された指摘: ${report.suppressedIssues.count}件（レポートに理由とともに記載します）`);
+  }
+  report.suppressedIssues.expired.forEach(e => {
+    console.log(`⚠️  許可リストの期限切れ: ${e.target}（${e.expires}まで）— ${e.count}件を再び指摘しています`);
+  });
+  report.suppressedIssues.warnings.forEach(w => console.log(`⚠️  ${w}`));
+  if (baseline) {
+    attachBaseline(report, baseline, args.baseline, policy);
+  }
 
   // レポート生成
   console.log('\n📊 レポートを生成中...\n');
-  
-  const report = generateReport({
-    brandIssues,
-    personIssues,
-    originalityAnalysis,
-    metadata: {
-      fileName,
-      wordCount: text.replace(/\s/g, '').length
-    }
-  });
 
-  // 出力
-  let output;
-  if (args.format === 'json') {
-    output = JSON.stringify(report, null, 2);
-  } else {
-    output = generateMarkdownReport(report);
-  }
+  // 出力（--interactive では、--output を指定した場合だけレポートを書き出す）
+  const output = RENDERERS[args.format](report, text);
 
   if (args.output) {
     saveReport(output, args.output);
-  } else {
+  } else if (!args.interactive) {
     console.log('='.repeat(60));
     console.log(output);
     console.log('='.repeat(60));
   }
 
+  if (args.fix) {
+    runFix(text, report, args);
+  }
+
+  if (baselineOutput) {
+    writeBaseline(report, baselineOutput);
+    console.log(`ベースラインを保存しました: ${path.resolve(baselineOutput)}`);
+  }
+
+  if (args.interactive) {
+    runInteractive(text, report, args, { allowlistFile, filePath })
+      .then(reviewed => {
+        // 修正版を同じ条件（追加した許可を含む）で検査し直し、残ったリスクで終了コードを決める
+        const recheck = checkText(reviewed.text, {
+          metadata: { fileName, filePath },
+          rules: ruleset,
+          allowlist: reviewed.allowlistPath ? loadAllowlist(reviewed.allowlistPath) : allowlist,
+          policy,
+          corpus
+        });
+        console.log('\n✅ レビュー完了');
+        console.log(`   レビュー前の総合リスクレベル: ${report.summary.overallRisk.toUpperCase()}（${report.summary.totalIssues}件）`);
+        console.log(`   修正版の総合リスクレベル: ${recheck.summary.overallRisk.toUpperCase()}（${recheck.summary.totalIssues}件、ポリシー: ${policy.name}）\n`);
+        process.exit(exitCodeFor(recheck.summary.overallRisk, policy));
+      })
+      .catch(err => {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+      });
+    return;
+  }
+
   // サマリーを表示
   console.log('\n✅ 分析完了');
-  console.log(`   総合リスクレベル: ${report.summary.overallRisk.toUpperCase()}`);
+  console.log(`   総合リスクレベル: ${report.summary.overallRisk.toUpperCase()}（ポリシー: ${policy.name}、スコア: ${report.summary.riskAssessment.score}）`);
   console.log(`   検出された問題: ${report.summary.totalIssues}件`);
+  if (report.baseline) {
+    const { counts, risk } = report.baseline;
+    console.log(`   ベースライン比較: 新規 ${counts.new}件 / 解消 ${counts.resolved}件 / 変化なし ${counts.unchanged}件（新規のリスク: ${risk.toUpperCase()}）`);
+  }
   console.log(`   推奨事項: ${report.summary.recommendation}\n`);
 
-  // 終了コード（リスクレベルに応じて）
-  const exitCodes = { low: 0, medium: 0, high: 1, critical: 2 };
-  process.exit(exitCodes[report.summary.overallRisk] || 0);
+  // 終了コード（リスクレベルに応じて。ベースラインと比較した場合は新しい指摘だけで判定する）
+  const risk = report.baseline ? report.baseline.risk : report.summary.overallRisk;
+  process.exit(exitCodeFor(risk, policy));
+}
+
+// 実行（テストから require した場合は実行しない）
+if (require.main === module) {
+  main();
 }
 
-// 実行
-main();
+module.exports = { parseArgs, createPrompter, runInteractive };
@@ -0,0 +1,161 @@
+/**
+ * ベースライン比較モジュール
+ * 以前に保存した JSON レポートと現在の指摘を比べ、新しく増えた指摘・解消した指摘・変わらない指摘に分ける
+ * 原稿を直すと行番号はずれるため、種別と名前が同じ指摘どうしを文脈の近さで対応付ける
+ */
+
+const fs = require('fs');
+const { aggregateRisk } = require('./reportGenerator');
+
+// この類似度未満の文脈どうしは同じ指摘とみなさない
+const MIN_CONTEXT_SIMILARITY = 0.3;
+
+/**
+ * ベースライン（--format json で保存したレポート）を読み込む
+ * @param {string} filePath - JSON レポートのパス
+ * @returns {Object} レポート
+ */
+function loadBaseline(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`ベースラインが見つかりません: ${filePath}（--write-baseline で作成できます）`);
+  }
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`ベースラインを解析できません: ${filePath}（${err.message}）`);
+  }
+  if (!report || !report.brandIssues || !report.personIssues) {
+    throw new Error(`ベースラインは --format json で保存したレポートである必要があります: ${filePath}`);
+  }
+  return report;
+}
+
+/**
+ * 現在のレポートをベースラインとして保存する
+ * ベースラインは --format json の出力と同じ形式（比較結果は含めない）
+ */
+function writeBaseline(report, filePath) {
+  const { baseline, ...rest } = report;
+  fs.writeFileSync(filePath, JSON.stringify(rest, null, 2), 'utf-8');
+}
+
+function issuesOf(report) {
+  const quotations = report.quotationIssues ? report.quotationIssues.items : [];
+  return [...report.brandIssues.items, ...report.personIssues.items, ...quotations];
+}
+
+/**
+ * 対応付けのキー（種別と名前。表記ゆれは正式名にそろえる）
+ */
+function keyOf(issue) {
+  return `${issue.type}\u0000${(issue.canonical || issue.content).toLowerCase()}`;
+}
+
+/**
+ * 文字バイグラムの Dice 係数で文脈の類似度を求める（0〜1）
+ * 切り詰めの「…」と空白は無視する
+ */
+function contextSimilarity(a, b) {
+  const normalize = s => (s || '').replace(/[…\s]/g, '');
+  const bigrams = s => {
+    const counts = new Map();
+    for (let i = 0; i < s.length - 1; i++) {
+      const gram = s.slice(i, i + 2);
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const x = normalize(a);
+  const y = normalize(b);
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+
+  const gx = bigrams(x);
+  const gy = bigrams(y);
+  let overlap = 0;
+  gx.forEach((count, gram) => {
+    overlap += Math.min(count, gy.get(gram) || 0);
+  });
+  return (2 * overlap) / (x.length - 1 + y.length - 1);
+}
+
+/**
+ * 現在のレポートとベースラインを比較
+ * 同じキーの指摘どうしで文脈の類似度が高い組から順に対応付け、残ったものを新規・解消とする
+ * @param {Object} report - 現在のレポート
+ * @param {Object} baseline - loadBaseline の戻り値
+ * @param {Object} [policy] - 新しい指摘のリスク判定に使うポリシー
+ * @returns {Object} { added, resolved, unchanged, risk }
+ */
+function compareWithBaseline(report, baseline, policy) {
+  const current = issuesOf(report);
+  const previous = issuesOf(baseline);
+
+  const pairs = [];
+  current.forEach((issue, i) => {
+    previous.forEach((old, j) => {
+      if (keyOf(issue) !== keyOf(old)) return;
+      const similarity = contextSimilarity(issue.context, old.context);
+      if (similarity >= MIN_CONTEXT_SIMILARITY) {
+        // 類似度が同じなら行の近いものを優先する
+        pairs.push({ i, j, similarity, distance: Math.abs((issue.line || 0) - (old.line || 0)) });
+      }
+    });
+  });
+  pairs.sort((a, b) => b.similarity - a.similarity || a.distance - b.distance);
+
+  const matchedCurrent = new Set();
+  const matchedPrevious = new Set();
+  const unchanged = [];
+  pairs.forEach(({ i, j, similarity }) => {
+    if (matchedCurrent.has(i) || matchedPrevious.has(j)) return;
+    matchedCurrent.add(i);
+    matchedPrevious.add(j);
+    unchanged.push({ ...current[i], baselineLine: previous[j].line, similarity: Math.round(similarity * 100) / 100 });
+  });
+
+  const added = current.filter((_, i) => !matchedCurrent.has(i));
+  const resolved = previous.filter((_, j) => !matchedPrevious.has(j));
+  unchanged.sort((a, b) => a.line - b.line);
+
+  return {
+    added,
+    resolved,
+    unchanged,
+    // 終了コードは新しい指摘だけで判定する
+    risk: aggregateRisk(added, policy)
+  };
+}
+
+/**
+ * 比較結果をレポートに記録する（report.baseline）
+ * @param {Object} report - 現在のレポート
+ * @param {Object} baseline - loadBaseline の戻り値
+ * @param {string} source - ベースラインのパス
+ * @param {Object} [policy] - 新しい指摘のリスク判定に使うポリシー
+ * @returns {Object} 比較結果
+ */
+function attachBaseline(report, baseline, source, policy) {
+  const result = compareWithBaseline(report, baseline, policy);
+  report.baseline = {
+    source,
+    analyzedAt: baseline.metadata?.analyzedAt || null,
+    risk: result.risk,
+    counts: { new: result.added.length, resolved: result.resolved.length, unchanged: result.unchanged.length },
+    new: result.added,
+    resolved: result.resolved,
+    unchanged: result.unchanged
+  };
+  return report.baseline;
+}
+
+module.exports = {
+  loadBaseline,
+  writeBaseline,
+  compareWithBaseline,
+  attachBaseline,
+  contextSimilarity,
+  MIN_CONTEXT_SIMILARITY
+};
@@ -0,0 +1,265 @@
+/**
+ * 一括チェックモジュール
+ * ディレクトリ・glob で指定した複数ファイルを並行してチェックし、ファイルごとの結果と集計を返す
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { checkText } = require('./checker');
+const { loadRules } = require('./rulesLoader');
+const { loadAllowlist } = require('./suppressions');
+const { loadCorpusIndex } = require('./corpus');
+const { getRiskBadge } = require('./reportGenerator');
+const { toPosix, displayPathFor, walk, expandGlob } = require('./glob');
+
+// --dir で対象にする拡張子
+const BATCH_EXTENSIONS = ['.md', '.txt'];
+const RISK_ORDER = { low: 0, medium: 1, high: 2, critical: 3 };
+
+const WORKER_PATH = path.join(__dirname, 'batchWorker.js');
+
+/**
+ * --dir / --glob の指定から対象ファイルを集める
+ * @param {Object} options
+ * @param {Array} [options.dirs] - 走査するディレクトリ（.md / .txt のみ対象）
+ * @param {Array} [options.globs] - glob パターン
+ * @param {Array} [options.exclude] - 対象から外すディレクトリ（レポートの出力先など）
+ * @param {string} [options.cwd]
+ * @returns {Array} 絶対パスの一覧（重複なし・パス順）
+ */
+function collectFiles({ dirs = [], globs = [], exclude = [], cwd = process.cwd() }) {
+  const files = new Set();
+
+  dirs.forEach(dir => {
+    const root = path.resolve(cwd, dir);
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+      throw new Error(`ディレクトリが見つかりません: ${root}`);
+    }
+    walk(root)
+      .filter(file => BATCH_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .forEach(file => files.add(file));
+  });
+  globs.forEach(pattern => expandGlob(pattern, cwd).forEach(file => files.add(file)));
+
+  const excluded = exclude.map(dir => path.resolve(cwd, dir) + path.sep);
+  return [...files].filter(file => !excluded.some(dir => file.startsWith(dir))).sort();
+}
+
+/**
+ * 1ファイルをチェック（ワーカーからも使う）
+ * @param {string} filePath - 絶対パス
+ * @param {string} displayPath - レポートに表示するパス（許可リストの file とも照合する）
+ * @param {Object} options - { rules, allowlist, policy, corpus }
+ * @returns {Object} { filePath, displayPath, text, report } または { filePath, displayPath, error }
+ */
+function checkFile(filePath, displayPath, { rules, allowlist, policy, corpus }) {
+  try {
+    const text = fs.readFileSync(filePath, 'utf-8');
+    const report = checkText(text, {
+      metadata: { fileName: path.basename(filePath), filePath: displayPath },
+      rules,
+      allowlist,
+      policy,
+      corpus
+    });
+    return { filePath, displayPath, text, report };
+  } catch (err) {
+    return { filePath, displayPath, error: err.message };
+  }
+}
+
+/**
+ * ファイル群を並行してチェック
+ * concurrency が2以上ならワーカースレッドに振り分け、1ならこのスレッドで順に処理する
+ * @param {Array} files - 絶対パスの一覧
+ * @param {Object} [options]
+ * @param {Array} [options.rulesFiles] - 追加のルールパック（--rules）
+ * @param {string} [options.allowlistFile] - 許可リストのパス
+ * @param {Object} [options.policy] - リスクポリシー（selectPolicy の戻り値）
+ * @param {string} [options.corpusIndex] - 参照コーパスの索引ファイル（buildCorpusIndex で作成済みのもの）
+ * @param {number} [options.concurrency] - 同時に処理するファイル数（既定は CPU 数）
+ * @param {string} [options.cwd]
+ * @param {Function} [options.onFile] - 1ファイル終わるごとに呼ばれる（result, done, total）
+ * @returns {Promise<Array>} ファイル順の結果
+ */
+function checkFiles(files, options = {}) {
+  const { rulesFiles = [], allowlistFile = null, policy, corpusIndex = null, cwd = process.cwd() } = options;
+  const concurrency = Math.max(1, Math.min(options.concurrency || os.cpus().length, files.length));
+  const onFile = options.onFile || (() => {});
+  const results = new Array(files.length);
+  let done = 0;
+
+  if (concurrency <= 1) {
+    const { ruleset } = loadRules({ rulesFiles, cwd });
+    const allowlist = allowlistFile ? loadAllowlist(allowlistFile) : [];
+    const corpus = corpusIndex ? loadCorpusIndex(corpusIndex) : null;
+    files.forEach((file, index) => {
+      results[index] = checkFile(file, displayPathFor(file, cwd), { rules: ruleset, allowlist, policy, corpus });
+      onFile(results[index], ++done, files.length);
+    });
+    return Promise.resolve(results);
+  }
+
+  return new Promise((resolve, reject) => {
+    let next = 0;
+    let active = 0;
+    const workers = [];
+    const finish = err => {
+      workers.forEach(worker => worker.terminate());
+      if (err) reject(err);
+      else resolve(results);
+    };
+
+    const dispatch = worker => {
+      if (next >= files.length) {
+        if (active === 0) finish();
+        return;
+      }
+      const index = next++;
+      active++;
+      worker.postMessage({ index, filePath: files[index], displayPath: displayPathFor(files[index], cwd) });
+    };
+
+    for (let i = 0; i < concurrency; i++) {
+      const worker = new Worker(WORKER_PATH, { workerData: { rulesFiles, allowlistFile, policy, corpusIndex, cwd } });
+      worker.on('message', ({ index, result }) => {
+        results[index] = result;
+        active--;
+        onFile(result, ++done, files.length);
+        dispatch(worker);
+      });
+      worker.on('error', finish);
+      workers.push(worker);
+    }
+    workers.forEach(dispatch);
+  });
+}
+
+/**
+ * 結果のうち最も高いリスク（読み込みに失敗したファイルは除く）
+ */
+function worstRiskOf(results) {
+  return results
+    .filter(r => r.report)
+    .map(r => r.report.summary.overallRisk)
+    .reduce((worst, risk) => (RISK_ORDER[risk] > RISK_ORDER[worst] ? risk : worst), 'low');
+}
+
+/**
+ * 結果を集計（リスクの高いファイル順、頻出するブランド・人物）
+ * @param {Array} results - checkFiles の戻り値
+ * @returns {Object} 集計結果
+ */
+function summarizeBatch(results) {
+  const checked = results.filter(r => r.report);
+  const files = checked
+    .map(r => ({
+      path: r.displayPath,
+      risk: r.report.summary.overallRisk,
+      totalIssues: r.report.summary.totalIssues,
+      riskBreakdown: r.report.summary.riskBreakdown,
+      reportPath: r.reportPath || null
+    }))
+    .sort((a, b) => RISK_ORDER[b.risk] - RISK_ORDER[a.risk] || b.totalIssues - a.totalIssues || a.path.localeCompare(b.path));
+
+  const tally = items => {
+    const counts = new Map();
+    items.forEach(({ issue, file }) => {
+      const name = issue.canonical || issue.content;
+      const key = `${issue.category}\u0000${name}`;
+      if (!counts.has(key)) counts.set(key, { name, category: issue.category, mentions: 0, files: new Set() });
+      const entry = counts.get(key);
+      entry.mentions++;
+      entry.files.add(file);
+    });
+    return [...counts.values()]
+      .map(entry => ({ ...entry, files: entry.files.size }))
+      .sort((a, b) => b.mentions - a.mentions || b.files - a.files || a.name.localeCompare(b.name));
+  };
+  const mentionsOf = type => checked.flatMap(r =>
+    [...r.report.brandIssues.items, ...r.report.personIssues.items]
+      .filter(issue => issue.type === type)
+      .map(issue => ({ issue, file: r.displayPath })));
+
+  return {
+    analyzedAt: new Date().toISOString(),
+    overallRisk: worstRiskOf(results),
+    fileCount: results.length,
+    totalIssues: checked.reduce((sum, r) => sum + r.report.summary.totalIssues, 0),
+    files,
+    errors: results.filter(r => r.error).map(r => ({ path: r.displayPath, error: r.error })),
+    topBrands: tally(mentionsOf('brand_mention')),
+    topPersons: tally(mentionsOf('person_mention'))
+  };
+}
+
+/**
+ * 一括チェックの索引レポート（マークダウン）を生成
+ * @param {Object} summary - summarizeBatch の戻り値
+ * @param {Object} [options]
+ * @param {string} [options.baseDir] - 個別レポートへのリンクをこのディレクトリからの相対パスにする
+ * @param {number} [options.top=10] - 頻出ブランド・人物の表示件数
+ */
+function generateIndexReport(summary, options = {}) {
+  const { baseDir = process.cwd(), top = 10 } = options;
+  const link = file => (file.reportPath ? `[レポート](${toPosix(path.relative(baseDir, file.reportPath))})` : '-');
+
+  let md = `# 権利チェック一括レポート
+
+## 概要
+
+- **分析日時**: ${summary.analyzedAt}
+- **ファイル数**: ${summary.fileCount}件${summary.errors.length > 0 ? `（うち読み込みエラー ${summary.errors.length}件）` : ''}
+- **最も高いリスク**: ${getRiskBadge(summary.overallRisk)}
+- **検出された問題数**: ${summary.totalIssues}件
+
+---
+
+## ファイル別（リスクの高い順）
+
+| リスク | 問題数 | 🔴 | 🟠 | 🟡 | 🟢 | ファイル | 詳細 |
+|--------|--------|----|----|----|----|----------|------|
+`;
+  summary.files.forEach(file => {
+    const b = file.riskBreakdown;
+    md += `| ${getRiskBadge(file.risk)} | ${file.totalIssues} | ${b.critical} | ${b.high} | ${b.medium} | ${b.low} | ${file.path} | ${link(file)} |\n`;
+  });
+
+  const ranking = (title, entries) => {
+    let section = `\n---\n\n## ${title}\n\n`;
+    if (entries.length === 0) return `${section}検出されませんでした。\n`;
+    section += '| 名前 | カテゴリ | 出現回数 | ファイル数 |\n|------|----------|----------|------------|\n';
+    entries.slice(0, top).forEach(e => {
+      section += `| ${e.name} | ${e.category} | ${e.mentions} | ${e.files} |\n`;
+    });
+    return section;
+  };
+  md += ranking('頻出するブランド・商標', summary.topBrands);
+  md += ranking('頻出する人物', summary.topPersons);
+
+  if (summary.errors.length > 0) {
+    md += '\n---\n\n## 読み込みエラー\n\n';
+    summary.errors.forEach(e => {
+      md += `- ${e.path}: ${e.error}\n`;
+    });
+  }
+
+  md += `
+---
+
+*このレポートは自動生成されたものです。法的アドバイスとしてではなく、参考情報としてご利用ください。*
+`;
+  return md;
+}
+
+module.exports = {
+  collectFiles,
+  checkFile,
+  checkFiles,
+  summarizeBatch,
+  generateIndexReport,
+  worstRiskOf,
+  BATCH_EXTENSIONS
+};
@@ -0,0 +1,18 @@
+/**
+ * 一括チェック用ワーカー
+ * 起動時にルール・許可リスト・コーパスの索引を1度だけ読み込み、受け取ったファイルを順にチェックして結果を返す
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { loadRules } = require('./rulesLoader');
+const { loadAllowlist } = require('./suppressions');
+const { checkFile } = require('./batch');
+const { loadCorpusIndex } = require('./corpus');
+
+const { ruleset } = loadRules({ rulesFiles: workerData.rulesFiles, cwd: workerData.cwd });
+const allowlist = workerData.allowlistFile ? loadAllowlist(workerData.allowlistFile) : [];
+const corpus = workerData.corpusIndex ? loadCorpusIndex(workerData.corpusIndex) : null;
+
+parentPort.on('message', ({ index, filePath, displayPath }) => {
+  parentPort.postMessage({ index, result: checkFile(filePath, displayPath, { rules: ruleset, allowlist, policy: workerData.policy, corpus }) });
+});
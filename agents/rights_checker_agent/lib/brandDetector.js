@@ -3,110 +3,65 @@
  * 実在する企業名、製品名、サービス名を検出
  */
 
-// よく使用される企業・サービス名のデータベース
-const KNOWN_BRANDS = {
-  // 動画配信サービス
-  streaming: [
-    'Netflix', 'Amazon Prime', 'Disney+', 'Hulu', 'U-NEXT', 'dTV', 'Paravi', 'ABEMA',
-    'YouTube Premium', 'Apple TV+', 'HBO Max', 'Peacock'
-  ],
-  // 音楽配信
-  music: [
-    'Spotify', 'Apple Music', 'Amazon Music', 'LINE MUSIC', 'AWA', 'YouTube Music'
-  ],
-  // SNS・コミュニケーション
-  social: [
-    'Twitter', 'X', 'Facebook', 'Instagram', 'TikTok', 'LINE', 'Discord', 'Slack',
-    'Teams', 'Zoom', 'WeChat', 'WhatsApp', 'Threads'
-  ],
-  // テック企業
-  tech: [
-    'Google', 'Apple', 'Microsoft', 'Amazon', 'Meta', 'OpenAI', 'ChatGPT', 'NVIDIA',
-    'Tesla', 'Sony', 'Samsung', 'Huawei', 'ByteDance'
-  ],
-  // フードデリバリー
-  food: [
-    'Uber Eats', 'ウーバーイーツ', '出前館', 'Wolt', 'menu', 'foodpanda'
-  ],
-  // ファッション
-  fashion: [
-    'UNIQLO', 'ユニクロ', 'ZARA', 'H&M', 'GU', 'しまむら', 'SHEIN'
-  ],
-  // コンビニ・小売
-  retail: [
-    'セブンイレブン', 'ローソン', 'ファミリーマート', 'Amazon', '楽天', 'メルカリ'
-  ],
-  // AIサービス
-  ai: [
-    'ChatGPT', 'Claude', 'Gemini', 'Copilot', 'Midjourney', 'Stable Diffusion',
-    'DALL-E', 'Sora', 'Perplexity'
-  ]
-};
-
-// カテゴリごとのリスクレベル
-const CATEGORY_RISK = {
-  streaming: 'low',
-  music: 'low',
-  social: 'low',
-  tech: 'medium',
-  food: 'low',
-  fashion: 'medium',
-  retail: 'low',
-  ai: 'low'
-};
+const { getBuiltinRules } = require('./rulesLoader');
+const { getMatcher } = require('./matcher');
+const { createPositionIndex, describeSpan } = require('./textPosition');
+const { parseMarkdown } = require('./markdownDocument');
 
 /**
  * テキスト内のブランド名を検出
  * @param {string} text - 検査対象のテキスト
- * @returns {Array} 検出されたブランドのリスト
+ * @param {Object} [options]
+ * @param {Object} [options.rules] - loadRules で読み込んだルールセット（省略時は既定パック）
+ * @param {Object} [options.document] - parseMarkdown の戻り値（省略時はここで解析する）
+ * @returns {Array} 検出されたブランドのリスト（region・section に見出し・引用などの種類と属する節を付ける）
  */
-function detectBrands(text) {
-  const results = [];
-  const lines = text.split('\n');
-
-  for (const [category, brands] of Object.entries(KNOWN_BRANDS)) {
-    for (const brand of brands) {
-      // 大文字小文字を区別しない検索
-      const regex = new RegExp(brand.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-      
-      lines.forEach((line, index) => {
-        const matches = line.match(regex);
-        if (matches) {
-          matches.forEach(match => {
-            results.push({
-              type: 'brand_mention',
-              category: category,
-              content: match,
-              line: index + 1,
-              context: line.trim().substring(0, 100),
-              risk: CATEGORY_RISK[category],
-              suggestion: getBrandSuggestion(category, match)
-            });
-          });
-        }
-      });
-    }
-  }
+function detectBrands(text, options = {}) {
+  const rules = options.rules || getBuiltinRules();
+  const document = options.document || parseMarkdown(text);
+  const positions = createPositionIndex(text);
 
-  return results;
+  // 単語・文字種の境界で区切られ、重なりがあれば最長のものだけが残る
+  // コード・URL・コメントを空白にしたテキストで照合する（オフセットは元のテキストと同じ）
+  return getMatcher(rules, 'brands').findAll(document.maskedText).map(found => {
+    const { entry, match } = found;
+    const category = rules.brandCategories[entry.category];
+    return {
+      type: 'brand_mention',
+      category: entry.category,
+      content: match,
+      ...(match !== entry.name ? { canonical: entry.name } : {}),
+      ...(found.alternates.length > 0 ? { alsoIn: found.alternates.map(e => e.category) } : {}),
+      ...describeSpan(text, found.start, found.end, positions),
+      ...document.locate(found.start),
+      risk: entry.risk || category.risk,
+      suggestion: getBrandSuggestion(category, match),
+      ...(entry.note ? { note: entry.note } : {})
+    };
+  });
 }
 
 /**
  * ブランド使用に対する提案を生成
+ * 提案文はルールパックのカテゴリ定義（suggestion）から作る。{name} は検出された名前に置き換わる
  */
 function getBrandSuggestion(category, brand) {
-  const suggestions = {
-    streaming: `「${brand}」は商標です。風刺目的での使用は一般に許容されますが、商用利用時は「動画配信サービス」などの一般名詞への置換を検討してください。`,
-    music: `「${brand}」への言及は風刺として許容される可能性が高いですが、否定的な文脈での使用には注意が必要です。`,
-    social: `SNSサービス名の言及は一般に問題ありませんが、特定の批判を行う場合は事実確認を。`,
-    tech: `大手テック企業への言及は注目を集めやすいため、事実に基づかない批判は避けてください。`,
-    food: `フードデリバリーサービス名の使用は風刺目的であれば問題ありません。`,
-    fashion: `ファッションブランドへの言及は、品質や労働環境への批判時には根拠が必要です。`,
-    retail: `小売ブランドの使用は一般に問題ありませんが、虚偽の情報は避けてください。`,
-    ai: `AIサービス名の使用は現在活発に議論されている分野のため、最新の動向に注意してください。`
-  };
+  if (!category || !category.suggestion) {
+    return '商標使用には注意が必要です。';
+  }
+  return category.suggestion.replace(/\{name\}/g, brand);
+}
 
-  return suggestions[category] || '商標使用には注意が必要です。';
+/**
+ * カテゴリごとのブランド名一覧（既定パックから生成。互換性のために残している）
+ */
+function buildKnownBrands(rules) {
+  return rules.brands.reduce((acc, entry) => {
+    (acc[entry.category] = acc[entry.category] || []).push(entry.name);
+    return acc;
+  }, {});
 }
 
+const KNOWN_BRANDS = buildKnownBrands(getBuiltinRules());
+
 module.exports = { detectBrands, KNOWN_BRANDS };
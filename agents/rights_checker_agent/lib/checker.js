@@ -0,0 +1,96 @@
+/**
+ * 権利チェック実行モジュール
+ * 各検出器を順に実行し、generateReport の形式で結果を返す
+ */
+
+const { detectBrands } = require('./brandDetector');
+const { detectPersonReferences } = require('./personDetector');
+const { analyzeOriginality } = require('./copyrightAnalyzer');
+const { analyzeQuotations } = require('./quotationAnalyzer');
+const { classifySatire, applySatireAssessment } = require('./satireClassifier');
+const { applySentimentAnalysis } = require('./sentimentAnalyzer');
+const { generateReport } = require('./reportGenerator');
+const { parseMarkdown } = require('./markdownDocument');
+const { applySuppressions } = require('./suppressions');
+
+/**
+ * テキストに全ての検出器を適用してレポートを生成
+ * @param {string} text - 検査対象のテキスト
+ * @param {Object} [options]
+ * @param {Object} [options.metadata] - レポートに含めるメタデータ（fileName など。filePath は許可リストの file と照合する）
+ * @param {Object} [options.rules] - loadRules で読み込んだルールセット（省略時は既定パック）
+ * @param {Array} [options.allowlist] - loadAllowlist で読み込んだ許可リスト
+ * @param {Object} [options.policy] - selectPolicy で選んだリスクポリシー（省略時は既定のポリシー）
+ * @param {Object} [options.corpus] - 参照コーパスの索引（openCorpus の戻り値。指定すると既存作品との重なりを調べる）
+ * @param {Function} [options.onStage] - 進捗通知用のコールバック（stage, result）
+ * @returns {Object} generateReport の戻り値
+ */
+function checkText(text, options = {}) {
+  const { metadata = {}, rules, allowlist, policy, corpus } = options;
+  const notify = options.onStage || (() => {});
+
+  // 見出し・引用・コードなどの構造は1度だけ解析し、各検出器で共有する
+  const document = parseMarkdown(text);
+
+  // ブランド・人物の指摘には、同じ段落が風刺・論評として読めるかの判定と、
+  // 同じ文が否定的な内容を事実として断定しているかの分析を付けてリスクを調整する
+  const satire = classifySatire(text, { document });
+  const assessContext = issues => applySentimentAnalysis(applySatireAssessment(issues, satire), satire.paragraphs);
+
+  notify('brands:start');
+  const brandIssues = assessContext(detectBrands(text, { rules, document }));
+  notify('brands:done', brandIssues);
+
+  notify('persons:start');
+  // ブランド名として検出した範囲は人物候補にしない
+  const personIssues = assessContext(detectPersonReferences(text, { rules, document, exclude: brandIssues }));
+  notify('persons:done', personIssues);
+
+  notify('quotations:start');
+  const quotations = analyzeQuotations(text, { document });
+  notify('quotations:done', quotations.issues);
+
+  // 許可リストと抑制コメントに当てはまる指摘は、抑制済みとして別に扱う
+  const filePath = metadata.filePath || metadata.fileName;
+  const brands = applySuppressions(brandIssues, { text, document, allowlist, filePath });
+  const persons = applySuppressions(personIssues, { text, document, allowlist, filePath });
+  const quotes = applySuppressions(quotations.issues, { text, document, allowlist, filePath });
+
+  notify('originality:start');
+  const originalityAnalysis = analyzeOriginality(text, { corpus, filePath: metadata.filePath, document });
+  notify('originality:done', originalityAnalysis);
+
+  return generateReport({
+    brandIssues: brands.issues,
+    personIssues: persons.issues,
+    quotationIssues: quotes.issues,
+    quotationAnalysis: quotations.analysis,
+    suppressedIssues: [...brands.suppressed, ...persons.suppressed, ...quotes.suppressed],
+    suppressionNotes: {
+      expired: mergeExpired(brands.expired, persons.expired, quotes.expired),
+      warnings: brands.warnings
+    },
+    originalityAnalysis,
+    policy,
+    metadata: {
+      fileName: 'direct_input',
+      wordCount: text.replace(/\s/g, '').length,
+      ...metadata
+    }
+  });
+}
+
+/**
+ * ブランドと人物で別々に集計した期限切れの許可をまとめる
+ */
+function mergeExpired(...lists) {
+  const merged = new Map();
+  lists.flat().forEach(item => {
+    const key = `${item.source}\u0000${item.target}`;
+    const current = merged.get(key);
+    merged.set(key, current ? { ...current, count: current.count + item.count } : item);
+  });
+  return [...merged.values()];
+}
+
+module.exports = { checkText };
@@ -0,0 +1,58 @@
+/**
+ * プロジェクト設定モジュール
+ * カレントディレクトリから上位に向かって rights-checker.config.json を探す
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILENAME = 'rights-checker.config.json';
+
+/**
+ * 設定ファイルを探す
+ * @param {string} startDir - 探索を始めるディレクトリ
+ * @returns {string|null} 見つかった設定ファイルのパス
+ */
+function findConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const candidate = path.join(dir, CONFIG_FILENAME);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * プロジェクト設定を読み込む
+ * 設定内の相対パスは設定ファイルのあるディレクトリからの相対として解決する
+ * @param {string} [cwd] - 探索を始めるディレクトリ
+ * @returns {Object|null} 設定（見つからない場合は null）
+ */
+function loadProjectConfig(cwd = process.cwd()) {
+  const file = findConfigFile(cwd);
+  if (!file) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`設定ファイルを読み込めません: ${file}（${err.message}）`);
+  }
+
+  const dir = path.dirname(file);
+  const resolveAll = value => [].concat(value || []).map(p => path.resolve(dir, p));
+  return {
+    ...raw,
+    path: file,
+    dir,
+    rules: resolveAll(raw.rules),
+    allowlist: raw.allowlist ? path.resolve(dir, raw.allowlist) : null,
+    policyFile: raw.policyFile ? path.resolve(dir, raw.policyFile) : null,
+    corpus: raw.corpus ? path.resolve(dir, raw.corpus) : null,
+    corpusIndex: raw.corpusIndex ? path.resolve(dir, raw.corpusIndex) : null
+  };
+}
+
+module.exports = { loadProjectConfig, findConfigFile, CONFIG_FILENAME };
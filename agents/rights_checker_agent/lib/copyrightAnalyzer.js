@@ -3,6 +3,10 @@
  * 既存作品との類似性リスクを評価
  */
 
+const { findSimilarPassages } = require('./corpus');
+const { classifySatire } = require('./satireClassifier');
+const { parseMarkdown } = require('./markdownDocument');
+
 // 一般的なフレーズ・クリシェのパターン
 const COMMON_PHRASES = [
   '〜という時代',
@@ -13,24 +17,25 @@ const COMMON_PHRASES = [
   '要するに',
 ];
 
-// 風刺作品でよく使われる構造パターン
-const SATIRE_PATTERNS = {
-  contrast: /(.+?)なのに(.+?)/g,  // 対比構造
-  irony: /(.+?)と言われる[。が]/g,  // アイロニー
-  rhetorical: /(.+?)だろうか[。？]/g,  // 修辞疑問
-  listing: /(.+?)、(.+?)、(.+?)。/g,  // 列挙
-};
-
 /**
  * テキストのオリジナリティを分析
  * @param {string} text - 検査対象のテキスト
+ * @param {Object} [options]
+ * @param {Object} [options.corpus] - 参照コーパスの索引（openCorpus の戻り値。指定すると既存作品との重なりを調べる）
+ * @param {string} [options.filePath] - 検査対象のパス（コーパス内の同じファイルは比較しない）
+ * @param {Object} [options.document] - parseMarkdown の戻り値（省略時はここで解析する）
  * @returns {Object} 分析結果
  */
-function analyzeOriginality(text) {
+function analyzeOriginality(text, options = {}) {
+  const document = options.document || parseMarkdown(text);
+  // テーマ・文体はコード・URL・コメントを除いた本文で数える
   const results = {
-    structureAnalysis: analyzeStructure(text),
-    themeAnalysis: analyzeThemes(text),
-    styleAnalysis: analyzeStyle(text),
+    structureAnalysis: analyzeStructure(document),
+    themeAnalysis: analyzeThemes(document.maskedText, document),
+    styleAnalysis: analyzeStyle(document.maskedText),
+    similarityAnalysis: options.corpus
+      ? findSimilarPassages(text, options.corpus, { filePath: options.filePath })
+      : null,
     overallAssessment: null
   };
 
@@ -41,26 +46,27 @@ function analyzeOriginality(text) {
 }
 
 /**
- * 構造分析
+ * 構造分析（見出しの階層から節・幕の数と目次を作る）
  */
-function analyzeStructure(text) {
-  const lines = text.split('\n');
-  const sections = text.split(/^## /m).length - 1;
-  const wordCount = text.replace(/\s/g, '').length;
+function analyzeStructure(document) {
+  const sections = document.sections.filter(s => s.depth === 2).length;
+  const wordCount = document.text.replace(/\s/g, '').length;
 
   return {
     sections: sections,
     wordCount: wordCount,
-    hasTitle: /^# /.test(text),
-    hasConclusion: /おわり|終わり|結論|まとめ/i.test(text),
+    hasTitle: document.sections.some(s => s.depth === 1),
+    hasConclusion: /おわり|終わり|結論|まとめ/i.test(document.maskedText),
+    outline: document.sections.map(s => ({ depth: s.depth, title: s.title, line: s.line })),
+    codeBlocks: document.blocks.filter(b => b.type === 'code').length,
     assessment: sections > 3 ? 'structured' : 'simple'
   };
 }
 
 /**
- * テーマ分析
+ * テーマ分析（見出しに現れるテーマは作品の主題として扱い、見出しでの出現数も記録する）
  */
-function analyzeThemes(text) {
+function analyzeThemes(text, document) {
   const themes = [];
   
   const themePatterns = {
@@ -76,9 +82,11 @@ function analyzeThemes(text) {
   for (const [theme, pattern] of Object.entries(themePatterns)) {
     const matches = text.match(pattern);
     if (matches && matches.length > 0) {
+      const inHeadings = document.sections.filter(s => s.title.match(pattern)).length;
       themes.push({
         theme: theme,
         frequency: matches.length,
+        ...(inHeadings > 0 ? { inHeadings } : {}),
         risk: 'low',
         note: 'テーマ自体は一般的であり、著作権の対象にはなりません'
       });
@@ -100,8 +108,9 @@ function analyzeStyle(text) {
     essayStyle: false
   };
 
-  // 風刺的表現の検出
-  if (/皮肉|風刺|矛盾|カッコ悪い|でも、それでいい/g.test(text)) {
+  // 風刺的表現の検出（段落ごとの構造パターンによる判定と、風刺を示す言葉）
+  const satire = classifySatire(text);
+  if (satire.satirical || /皮肉|風刺|矛盾|カッコ悪い|でも、それでいい/.test(text)) {
     style.usesSatire = true;
   }
 
@@ -127,12 +136,21 @@ function analyzeStyle(text) {
 
   return {
     ...style,
+    satireScore: satire.score,
     assessment: '風刺エッセイ形式',
     risk: 'low',
     note: '文体・スタイル自体は著作権保護の対象外ですが、特定作家の文体を明示的に模倣する場合は注意が必要です'
   };
 }
 
+// 参照コーパスと重なる箇所があった場合の総合評価
+const SIMILARITY_MESSAGES = {
+  critical: '本文の大部分が参照コーパスの既存作品と一致しています。出典の確認と書き直しが必要です。',
+  high: '参照コーパスの既存作品と長く一致する箇所があります。引用として扱うか、書き直してください。',
+  medium: '参照コーパスの既存作品と一致する箇所があります。出典と利用条件を確認してください。',
+  low: '参照コーパスと短く一致する箇所がありますが、慣用的な表現の範囲と考えられます。'
+};
+
 /**
  * 総合評価を生成
  */
@@ -157,9 +175,27 @@ function generateOverallAssessment(results) {
     });
   }
 
+  // 参照コーパスとの重なり
+  const similarity = results.similarityAnalysis;
+  if (similarity && similarity.matches.length > 0) {
+    const passages = similarity.matches.reduce((sum, m) => sum + m.passages.length, 0);
+    issues.push({
+      type: 'similarity',
+      risk: similarity.risk,
+      message: `参照コーパスの${similarity.matches.length}件の文書と${passages}箇所が重なっています（本文の${Math.round(similarity.coverage * 100)}%）`
+    });
+    return {
+      overallRisk: similarity.risk,
+      message: SIMILARITY_MESSAGES[similarity.risk],
+      issues: issues
+    };
+  }
+
   return {
     overallRisk: 'low',
-    message: 'この作品は一般的な社会風刺エッセイの形式を取っており、著作権上の大きな問題は検出されませんでした。',
+    message: similarity
+      ? `参照コーパス（${similarity.documents}件）と重なる箇所は見つかりませんでした。一般的な社会風刺エッセイの形式であり、著作権上の大きな問題は検出されませんでした。`
+      : 'この作品は一般的な社会風刺エッセイの形式を取っており、著作権上の大きな問題は検出されませんでした。',
     issues: issues
   };
 }
@@ -0,0 +1,460 @@
+/**
+ * 参照コーパスとの類似度チェックモジュール
+ * 手元のフォルダにある既存のテキスト（過去の出力、既知の台本、利用許諾を受けた作品など）を
+ * 文字 n-gram のシングルに分割して索引化し、検査対象と重なる箇所を出典・位置・類似度つきで返す
+ *
+ * 日本語は単語の区切りがないため、形態素解析ではなく正規化した文字列の n-gram を使う
+ * 文書全体の類似度は MinHash で推定し、重なる箇所はシングルの一致を連結して求める
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { walk, toPosix } = require('./glob');
+const { createPositionIndex } = require('./textPosition');
+
+const INDEX_VERSION = 1;
+const INDEX_FILENAME = '.rights-checker-index.json';
+// 索引化する拡張子
+const CORPUS_EXTENSIONS = ['.md', '.txt'];
+// シングルの文字数（正規化後）
+const SHINGLE_SIZE = 5;
+// MinHash の署名の長さ
+const MINHASH_PERMUTATIONS = 128;
+// これより短い重なり（正規化後の文字数）は偶然の一致として報告しない
+const MIN_PASSAGE_LENGTH = 20;
+// 重なりの長さ・本文に占める割合とリスクの対応（上から順に判定）
+const PASSAGE_RISKS = [
+  { minLength: 120, risk: 'high' },
+  { minLength: 50, risk: 'medium' },
+  { minLength: 0, risk: 'low' }
+];
+const COVERAGE_RISKS = [
+  { minCoverage: 0.5, risk: 'critical' },
+  { minCoverage: 0.2, risk: 'high' },
+  { minCoverage: 0.05, risk: 'medium' },
+  { minCoverage: 0, risk: 'low' }
+];
+const RISK_ORDER = { low: 0, medium: 1, high: 2, critical: 3 };
+// 一覧に表示する抜粋の最大文字数
+const EXCERPT_WIDTH = 60;
+
+// 空白・句読点・記号は比較に使わない（改行や「」の有無で一致を逃さないため）
+const SKIP_CHAR = /[\p{White_Space}\p{P}\p{S}]/u;
+
+/**
+ * 比較用に正規化する（NFKC・小文字化、空白・句読点・記号の除去）
+ * @param {string} text
+ * @returns {Object} { text: 正規化後の文字列, offsets: 正規化後の各文字に対応する元のオフセット }
+ */
+function normalizeForShingles(text) {
+  let normalized = '';
+  const offsets = [];
+  let offset = 0;
+  for (const ch of text) {
+    for (const folded of ch.normalize('NFKC').toLowerCase()) {
+      if (!SKIP_CHAR.test(folded)) {
+        normalized += folded;
+        offsets.push(offset);
+      }
+    }
+    offset += ch.length;
+  }
+  return { text: normalized, offsets };
+}
+
+/**
+ * 文字列の 32bit ハッシュ（FNV-1a）
+ */
+function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * 32bit の値をかき混ぜる（MurmurHash3 の fmix32）
+ */
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: MINHASH_PERMUTATIONS }, (_, i) => mix32(i + 1));
+
+/**
+ * 正規化済みの文字列を先頭から1文字ずつずらしたシングルのハッシュ列にする
+ * @returns {Uint32Array} i 番目は正規化後の i 文字目から始まるシングル
+ */
+function shingle(normalized, size = SHINGLE_SIZE) {
+  const count = Math.max(0, normalized.length - size + 1);
+  const hashes = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    hashes[i] = hashString(normalized.slice(i, i + size));
+  }
+  return hashes;
+}
+
+/**
+ * シングルの集合の MinHash 署名
+ */
+function minhashSignature(hashes) {
+  const signature = new Array(MINHASH_PERMUTATIONS).fill(0xffffffff);
+  const unique = new Set(hashes);
+  unique.forEach(h => {
+    for (let i = 0; i < MINHASH_PERMUTATIONS; i++) {
+      const v = mix32(h ^ SEEDS[i]);
+      if (v < signature[i]) signature[i] = v;
+    }
+  });
+  return signature;
+}
+
+/**
+ * 2つの署名から Jaccard 係数を推定（0〜1）
+ */
+function estimateJaccard(a, b) {
+  let same = 0;
+  for (let i = 0; i < MINHASH_PERMUTATIONS; i++) {
+    if (a[i] === b[i] && a[i] !== 0xffffffff) same++;
+  }
+  return same / MINHASH_PERMUTATIONS;
+}
+
+// 索引には環境のバイト順によらずリトルエンディアンで書く（decodeHashes と対になる）
+function encodeHashes(hashes) {
+  const buffer = Buffer.alloc(hashes.length * 4);
+  hashes.forEach((hash, i) => buffer.writeUInt32LE(hash, i * 4));
+  return buffer.toString('base64');
+}
+
+function decodeHashes(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  const hashes = new Uint32Array(buffer.byteLength / 4);
+  for (let i = 0; i < hashes.length; i++) hashes[i] = buffer.readUInt32LE(i * 4);
+  return hashes;
+}
+
+/**
+ * 1文書を索引化
+ */
+function indexDocument(file, corpusDir, stat) {
+  const text = fs.readFileSync(file, 'utf-8');
+  const { text: normalized } = normalizeForShingles(text);
+  const hashes = shingle(normalized);
+  return {
+    path: toPosix(path.relative(corpusDir, file)),
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    sha1: crypto.createHash('sha1').update(text).digest('hex'),
+    length: normalized.length,
+    signature: minhashSignature(hashes),
+    shingles: encodeHashes(hashes)
+  };
+}
+
+/**
+ * 索引ファイルの既定のパス（コーパスのフォルダ直下）
+ */
+function defaultIndexPath(corpusDir) {
+  return path.join(corpusDir, INDEX_FILENAME);
+}
+
+/**
+ * 索引ファイルを読み込む（存在しない・形式が古い場合は null）
+ */
+function readIndexFile(indexPath) {
+  if (!fs.existsSync(indexPath)) return null;
+  let index;
+  try {
+    index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`コーパスの索引を解析できません: ${indexPath}（${err.message}）`);
+  }
+  if (index.version !== INDEX_VERSION || index.shingleSize !== SHINGLE_SIZE || index.permutations !== MINHASH_PERMUTATIONS) {
+    return null;
+  }
+  return index;
+}
+
+/**
+ * コーパスの索引を作成・更新してディスクに保存する
+ * サイズと更新日時が変わっていない文書は前回の索引を使い回す
+ * @param {string} corpusDir - 参照テキストのフォルダ
+ * @param {Object} [options]
+ * @param {string} [options.indexPath] - 索引ファイルのパス（既定はコーパス直下の .rights-checker-index.json）
+ * @param {boolean} [options.rebuild] - 前回の索引を使わずに作り直す
+ * @returns {Object} { index, indexPath, stats: { added, updated, reused, removed } }
+ */
+function buildCorpusIndex(corpusDir, options = {}) {
+  const root = path.resolve(corpusDir);
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new Error(`コーパスのフォルダが見つかりません: ${root}`);
+  }
+  const indexPath = path.resolve(options.indexPath || defaultIndexPath(root));
+  const previous = options.rebuild ? null : readIndexFile(indexPath);
+  const previousDocs = new Map((previous ? previous.documents : []).map(doc => [doc.path, doc]));
+
+  const stats = { added: 0, updated: 0, reused: 0, removed: 0 };
+  const documents = walk(root)
+    .filter(file => CORPUS_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .filter(file => path.resolve(file) !== indexPath)
+    .sort()
+    .map(file => {
+      const stat = fs.statSync(file);
+      const relative = toPosix(path.relative(root, file));
+      const cached = previousDocs.get(relative);
+      previousDocs.delete(relative);
+      if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+        stats.reused++;
+        return cached;
+      }
+      stats[cached ? 'updated' : 'added']++;
+      return indexDocument(file, root, stat);
+    });
+  stats.removed = previousDocs.size;
+
+  const index = {
+    version: INDEX_VERSION,
+    shingleSize: SHINGLE_SIZE,
+    permutations: MINHASH_PERMUTATIONS,
+    corpusDir: root,
+    builtAt: new Date().toISOString(),
+    documents
+  };
+  if (stats.added + stats.updated + stats.removed > 0 || !previous) {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    fs.writeFileSync(indexPath, JSON.stringify(index), 'utf-8');
+  } else {
+    index.builtAt = previous.builtAt;
+  }
+  return { index, indexPath, stats };
+}
+
+/**
+ * チェック用にコーパスを開く（索引が古ければ更新する）
+ * @param {string} corpusDir - 参照テキストのフォルダ
+ * @param {Object} [options] - { indexPath }
+ * @returns {Object} 索引
+ */
+function openCorpus(corpusDir, options = {}) {
+  return buildCorpusIndex(corpusDir, options).index;
+}
+
+/**
+ * 保存済みの索引をそのまま読み込む（一括チェックのワーカー用）
+ */
+function loadCorpusIndex(indexPath) {
+  const index = readIndexFile(indexPath);
+  if (!index) {
+    throw new Error(`コーパスの索引が見つからないか形式が古くなっています: ${indexPath}（index サブコマンドで作成してください）`);
+  }
+  return index;
+}
+
+/**
+ * 検査対象と1文書のシングルの一致を連結して、重なる区間を求める
+ * 同じ対角線（検査対象の位置 − 文書の位置）上で連続する一致を1つの区間にまとめる
+ * @returns {Array} { queryStart, queryEnd, sourceStart, sourceEnd }（正規化後の位置）
+ */
+function alignShingles(queryHashes, positionsByHash, sourceHashes) {
+  const runs = [];
+  let active = new Map();
+  for (let j = 0; j < sourceHashes.length; j++) {
+    const positions = positionsByHash.get(sourceHashes[j]);
+    const next = new Map();
+    if (positions) {
+      positions.forEach(i => {
+        const diagonal = i - j;
+        const run = active.get(diagonal);
+        if (run) {
+          run.length++;
+          next.set(diagonal, run);
+        } else {
+          const created = { queryStart: i, sourceStart: j, length: 1 };
+          runs.push(created);
+          next.set(diagonal, created);
+        }
+      });
+    }
+    active = next;
+  }
+
+  // 長い区間から順に、検査対象側で重ならないものだけを残す
+  const taken = [];
+  return runs
+    .map(run => ({
+      queryStart: run.queryStart,
+      queryEnd: run.queryStart + run.length + SHINGLE_SIZE - 1,
+      sourceStart: run.sourceStart,
+      sourceEnd: run.sourceStart + run.length + SHINGLE_SIZE - 1
+    }))
+    .filter(span => span.queryEnd - span.queryStart >= MIN_PASSAGE_LENGTH)
+    .sort((a, b) => (b.queryEnd - b.queryStart) - (a.queryEnd - a.queryStart) || a.queryStart - b.queryStart)
+    .filter(span => {
+      if (taken.some(t => span.queryStart < t.queryEnd && t.queryStart < span.queryEnd)) return false;
+      taken.push(span);
+      return true;
+    })
+    .sort((a, b) => a.queryStart - b.queryStart);
+}
+
+function riskForLength(length) {
+  return PASSAGE_RISKS.find(r => length >= r.minLength).risk;
+}
+
+function riskForCoverage(coverage) {
+  return COVERAGE_RISKS.find(r => coverage >= r.minCoverage).risk;
+}
+
+function worstRisk(risks) {
+  return risks.reduce((worst, risk) => (RISK_ORDER[risk] > RISK_ORDER[worst] ? risk : worst), 'low');
+}
+
+function excerptOf(text, start, end) {
+  const passage = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return passage.length > EXCERPT_WIDTH ? `${passage.slice(0, EXCERPT_WIDTH)}…` : passage;
+}
+
+/**
+ * 正規化後の位置 end（この位置を含まない）に対応する元のテキストの終了オフセット
+ */
+function endOffset(text, offsets, end) {
+  const last = offsets[end - 1];
+  return last + (text.codePointAt(last) > 0xffff ? 2 : 1);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * 参照コーパスと重なる箇所を探す
+ * @param {string} text - 検査対象のテキスト
+ * @param {Object} corpus - openCorpus / loadCorpusIndex の戻り値
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - 検査対象のパス（コーパス内の同じファイルは比較しない）
+ * @returns {Object} { corpusDir, documents, matches, coverage, risk }
+ */
+function findSimilarPassages(text, corpus, options = {}) {
+  const query = normalizeForShingles(text);
+  const queryHashes = shingle(query.text);
+  const signature = minhashSignature(queryHashes);
+  const positions = createPositionIndex(text);
+  const self = options.filePath ? path.resolve(options.filePath) : null;
+
+  const positionsByHash = new Map();
+  queryHashes.forEach((h, i) => {
+    const list = positionsByHash.get(h);
+    if (list) list.push(i);
+    else positionsByHash.set(h, [i]);
+  });
+
+  const covered = new Uint8Array(query.text.length);
+  const matches = [];
+  corpus.documents.forEach(doc => {
+    const sourcePath = path.join(corpus.corpusDir, doc.path);
+    if (self && path.resolve(sourcePath) === self) return;
+
+    const spans = alignShingles(queryHashes, positionsByHash, decodeHashes(doc.shingles));
+    if (spans.length === 0) return;
+
+    // 出典側の位置は元のファイルを読み直して求める（索引には正規化後の位置しかないため）
+    const sourceText = fs.existsSync(sourcePath) ? fs.readFileSync(sourcePath, 'utf-8') : null;
+    const source = sourceText !== null ? normalizeForShingles(sourceText) : null;
+    const sourcePositions = sourceText !== null ? createPositionIndex(sourceText) : null;
+
+    const passages = spans
+      // ハッシュの衝突による誤った一致を除く
+      .filter(span => !source || source.text.slice(span.sourceStart, span.sourceEnd) === query.text.slice(span.queryStart, span.queryEnd))
+      .map(span => {
+        for (let i = span.queryStart; i < span.queryEnd; i++) covered[i] = 1;
+        const start = query.offsets[span.queryStart];
+        const end = endOffset(text, query.offsets, span.queryEnd);
+        const length = span.queryEnd - span.queryStart;
+        const passage = {
+          start,
+          end,
+          ...positions.position(start),
+          length,
+          excerpt: excerptOf(text, start, end),
+          risk: riskForLength(length)
+        };
+        if (source) {
+          const sourceStart = source.offsets[span.sourceStart];
+          const sourceEnd = endOffset(sourceText, source.offsets, span.sourceEnd);
+          const { line, column } = sourcePositions.position(sourceStart);
+          Object.assign(passage, { sourceStart, sourceEnd, sourceLine: line, sourceColumn: column });
+        }
+        return passage;
+      });
+    if (passages.length === 0) return;
+
+    const overlap = passages.reduce((sum, p) => sum + p.length, 0);
+    const coverage = query.text.length > 0 ? overlap / query.text.length : 0;
+    matches.push({
+      source: doc.path,
+      // MinHash で推定した文書全体の Jaccard 係数
+      similarity: round(estimateJaccard(signature, doc.signature)),
+      // 検査対象（正規化後）のうち、この文書と重なる文字の割合
+      coverage: round(coverage),
+      risk: worstRisk([riskForCoverage(coverage), ...passages.map(p => p.risk)]),
+      stale: sourceText === null || crypto.createHash('sha1').update(sourceText).digest('hex') !== doc.sha1,
+      passages
+    });
+  });
+
+  matches.sort((a, b) => RISK_ORDER[b.risk] - RISK_ORDER[a.risk] || b.coverage - a.coverage);
+  const coverage = query.text.length > 0 ? covered.reduce((sum, c) => sum + c, 0) / query.text.length : 0;
+  return {
+    corpusDir: corpus.corpusDir,
+    documents: corpus.documents.length,
+    coverage: round(coverage),
+    risk: worstRisk([riskForCoverage(coverage), ...matches.map(m => m.risk)]),
+    matches
+  };
+}
+
+/**
+ * 重なる箇所を指摘と同じ形にする（SARIF / JUnit の出力用）
+ * リスクは文書ごとの判定（本文に占める割合と最長の重なり）を使う
+ * @param {Object} similarity - findSimilarPassages の戻り値
+ * @returns {Array} 指摘の一覧
+ */
+function similarityFindings(similarity) {
+  if (!similarity) return [];
+  return similarity.matches.flatMap(m => m.passages.map(p => ({
+    type: 'similarity',
+    content: m.source,
+    line: p.line,
+    column: p.column,
+    start: p.start,
+    end: p.end,
+    match: p.excerpt,
+    risk: m.risk,
+    suggestion: `${m.source}${p.sourceLine ? ` の${p.sourceLine}行目` : ''}と${p.length}文字が一致しています。書き直すか、引用として出典を明記してください`
+  })));
+}
+
+module.exports = {
+  buildCorpusIndex,
+  openCorpus,
+  loadCorpusIndex,
+  findSimilarPassages,
+  similarityFindings,
+  defaultIndexPath,
+  normalizeForShingles,
+  shingle,
+  minhashSignature,
+  estimateJaccard,
+  SHINGLE_SIZE,
+  MIN_PASSAGE_LENGTH,
+  CORPUS_EXTENSIONS
+};
@@ -0,0 +1,152 @@
+/**
+ * 差分生成モジュール
+ * 行単位の unified diff を生成（外部依存なし）
+ */
+
+const CONTEXT_LINES = 3;
+
+// 編集距離（削除・追加の行数）がこれを超えたら最短の差分を探すのをやめ、変更範囲をまとめて置き換える
+// Myers の方法は各ステップの到達位置を記録するため、記録の量が編集距離の2乗に比例する
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * 2つの行配列の最短編集スクリプトを Myers の O(ND) の方法で求める
+ * @returns {Array|null} [{ op, line }]（編集距離が MAX_EDIT_DISTANCE を超える場合は null）
+ */
+function shortestEdit(a, b) {
+  const max = Math.min(a.length + b.length, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] は d 回目の探索を始める前の到達位置（対角線 -d〜d の分）
+  const trace = [];
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) {
+        found = true;
+        break;
+      }
+    }
+  }
+  if (!found) return null;
+
+  // 終点から記録を辿り直す
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const reached = k => trace[d][k + d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && reached(k - 1) < reached(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : reached(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ op: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      ops.push(x === prevX ? { op: '+', line: b[--y] } : { op: '-', line: a[--x] });
+    }
+  }
+  return ops.reverse();
+}
+
+/**
+ * 2つの行配列の編集スクリプトを求める
+ * 共通の先頭・末尾を先に取り除き、残りを shortestEdit で比べる。編集距離が大きすぎる場合は
+ * 残りの範囲全体を1つの置き換え（すべて削除してからすべて追加）として扱う
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const middle = shortestEdit(midA, midB) || [
+    ...midA.map(line => ({ op: '-', line })),
+    ...midB.map(line => ({ op: '+', line }))
+  ];
+
+  const ops = a.slice(0, start).map(line => ({ op: ' ', line }));
+  // 連続する変更の中では「-」を先に並べる
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    ops.push(...removed, ...added);
+    removed = [];
+    added = [];
+  };
+  middle.forEach(o => {
+    if (o.op === '-') removed.push(o);
+    else if (o.op === '+') added.push(o);
+    else {
+      flush();
+      ops.push(o);
+    }
+  });
+  flush();
+  a.slice(endA).forEach(line => ops.push({ op: ' ', line }));
+
+  return ops;
+}
+
+/**
+ * unified diff 形式の文字列を生成
+ * @param {string} oldText - 変更前のテキスト
+ * @param {string} newText - 変更後のテキスト
+ * @param {Object} [labels] - { from, to } ヘッダーに表示するファイル名
+ * @returns {string} 差分（変更がなければ空文字列）
+ */
+function createUnifiedDiff(oldText, newText, labels = {}) {
+  const ops = diffLines(oldText.split('\n'), newText.split('\n'));
+  const changed = ops.map((o, index) => (o.op !== ' ' ? index : -1)).filter(index => index !== -1);
+  if (changed.length === 0) return '';
+
+  // 変更箇所を前後の文脈行ごとにまとめてハンクにする
+  const ranges = [];
+  changed.forEach(index => {
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.end <= CONTEXT_LINES * 2) {
+      last.end = index;
+    } else {
+      ranges.push({ start: index, end: index });
+    }
+  });
+
+  let out = `--- ${labels.from || 'a'}\n+++ ${labels.to || 'b'}\n`;
+  ranges.forEach(range => {
+    const from = Math.max(range.start - CONTEXT_LINES, 0);
+    const to = Math.min(range.end + CONTEXT_LINES, ops.length - 1);
+    let oldLine = 1;
+    let newLine = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k].op !== '+') oldLine++;
+      if (ops[k].op !== '-') newLine++;
+    }
+    const hunk = ops.slice(from, to + 1);
+    const oldCount = hunk.filter(o => o.op !== '+').length;
+    const newCount = hunk.filter(o => o.op !== '-').length;
+    out += `@@ -${oldLine},${oldCount} +${newLine},${newCount} @@\n`;
+    hunk.forEach(o => {
+      out += `${o.op}${o.line}\n`;
+    });
+  });
+
+  return out;
+}
+
+module.exports = { createUnifiedDiff, MAX_EDIT_DISTANCE };
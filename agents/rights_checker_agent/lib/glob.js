@@ -0,0 +1,88 @@
+/**
+ * glob モジュール
+ * 外部ライブラリを使わずに、*, **, ? だけの簡単な glob でファイルを探す
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 走査しないディレクトリ
+const SKIP_DIRS = ['node_modules', '.git'];
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+/**
+ * 表示用のパス（カレントディレクトリ以下は相対パス、それ以外は絶対パス。区切りは /）
+ */
+function displayPathFor(file, cwd = process.cwd()) {
+  const absolute = path.resolve(cwd, file);
+  const relative = path.relative(cwd, absolute);
+  return toPosix(relative.startsWith('..') ? absolute : relative);
+}
+
+/**
+ * ディレクトリ以下のファイルを再帰的に列挙
+ */
+function walk(dir, files = []) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIP_DIRS.includes(entry.name)) walk(full, files);
+    } else if (entry.isFile()) {
+      files.push(full);
+    }
+  });
+  return files;
+}
+
+/**
+ * glob パターンを正規表現に変換（*, **, ? のみ対応）
+ * @param {string} pattern - 例: "outputs/**\/*.md"
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  const p = toPosix(pattern);
+  for (let i = 0; i < p.length; i++) {
+    const ch = p[i];
+    if (ch === '*' && p[i + 1] === '*') {
+      // "**/" は0個以上のディレクトリ、末尾の "**" は以下すべて
+      if (p[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * glob パターンに一致するファイルを列挙
+ * ワイルドカードを含まない先頭部分のディレクトリから走査する
+ */
+function expandGlob(pattern, cwd) {
+  const segments = toPosix(pattern).split('/');
+  const firstWild = segments.findIndex(s => /[*?]/.test(s));
+  if (firstWild === -1) {
+    const file = path.resolve(cwd, pattern);
+    return fs.existsSync(file) ? [file] : [];
+  }
+
+  const base = path.resolve(cwd, segments.slice(0, firstWild).join('/') || '.');
+  if (!fs.existsSync(base)) return [];
+  const regex = globToRegExp(toPosix(path.resolve(cwd, pattern)));
+  return walk(base).filter(file => regex.test(toPosix(file)));
+}
+
+module.exports = { toPosix, displayPathFor, walk, globToRegExp, expandGlob, SKIP_DIRS };
@@ -0,0 +1,317 @@
+/**
+ * HTML 形式のレポート生成モジュール
+ * 原稿全文に指摘箇所をリスク別の色で重ねて表示する、外部ファイルに依存しない1枚の HTML を作る
+ */
+
+const { getRiskBadge, formatPosition } = require('./reportGenerator');
+const { similarityFindings } = require('./corpus');
+
+const RISK_ORDER = ['low', 'medium', 'high', 'critical'];
+
+// リスクごとの配色（getRiskBadge の 🔴🟠🟡🟢 に合わせる）
+const RISK_COLORS = {
+  critical: { mark: '#f8c4c4', border: '#d32f2f' },
+  high: { mark: '#fddcb5', border: '#ef6c00' },
+  medium: { mark: '#fff1a8', border: '#f9a825' },
+  low: { mark: '#d3ecd4', border: '#388e3c' }
+};
+
+const NO_CATEGORY = '（なし）';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function worstRisk(risks) {
+  return risks.reduce((worst, risk) => (RISK_ORDER.indexOf(risk) > RISK_ORDER.indexOf(worst) ? risk : worst), 'low');
+}
+
+/**
+ * 指摘の範囲で原稿を区切り、区間ごとにかかっている指摘の番号を求める
+ * 範囲が重なる指摘（「〜風」と人物名など）も区間に分けて両方を表示する
+ * @returns {Array} [{ start, end, ids }]
+ */
+function segmentText(text, findings) {
+  const points = new Set([0, text.length]);
+  findings.forEach(f => {
+    points.add(f.start);
+    points.add(f.end);
+  });
+  const sorted = [...points].sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const start = sorted[i];
+    const end = sorted[i + 1];
+    const ids = findings.filter(f => f.start <= start && end <= f.end).map(f => f.id);
+    segments.push({ start, end, ids });
+  }
+  return segments;
+}
+
+/**
+ * 原稿本文をハイライト付きで描画
+ */
+function renderManuscript(text, findings) {
+  const byId = new Map(findings.map(f => [f.id, f]));
+  const anchored = new Set();
+
+  return segmentText(text, findings).map(({ start, end, ids }) => {
+    const chunk = escapeHtml(text.slice(start, end));
+    if (ids.length === 0) return chunk;
+
+    const covering = ids.map(id => byId.get(id));
+    const tip = covering.map(f => `[${f.risk.toUpperCase()}] ${f.content}: ${f.suggestion}`).join('\n');
+    // 各指摘の先頭の区間にだけアンカーを付け、一覧から移動できるようにする
+    const anchors = ids.filter(id => !anchored.has(id) && byId.get(id).start === start);
+    anchors.forEach(id => anchored.add(id));
+    const targets = anchors.map(id => `<a id="finding-${id}"></a>`).join('');
+
+    return `${targets}<mark class="risk-${worstRisk(covering.map(f => f.risk))}" data-ids="${ids.join(' ')}" title="${escapeHtml(tip)}">${chunk}</mark>`;
+  }).join('');
+}
+
+/**
+ * 種別・カテゴリ・リスクの絞り込み用チェックボックス
+ */
+function renderFilters(findings) {
+  const groups = [
+    ['type', '種別', [...new Set(findings.map(f => f.type))]],
+    ['category', 'カテゴリ', [...new Set(findings.map(f => f.category))]],
+    ['risk', 'リスク', RISK_ORDER.slice().reverse().filter(risk => findings.some(f => f.risk === risk))]
+  ];
+
+  return groups.map(([name, label, values]) => `
+      <fieldset>
+        <legend>${label}</legend>
+${values.map(value => `        <label><input type="checkbox" name="${name}" value="${escapeHtml(value)}" checked> ${escapeHtml(name === 'risk' ? getRiskBadge(value) : value)}</label>`).join('\n')}
+      </fieldset>`).join('');
+}
+
+function renderFindingRows(findings) {
+  if (findings.length === 0) {
+    return '<tr><td colspan="6">特に問題は検出されませんでした。</td></tr>';
+  }
+  return findings.map(f => `
+        <tr data-id="${f.id}">
+          <td>${escapeHtml(getRiskBadge(f.risk))}</td>
+          <td><a href="#finding-${f.id}">${escapeHtml(formatPosition(f))}</a></td>
+          <td>${escapeHtml(f.content)}</td>
+          <td>${escapeHtml(f.type)}</td>
+          <td>${escapeHtml(f.category)}</td>
+          <td>${escapeHtml(f.suggestion)}${f.satire ? `<br><small>風刺判定: ${escapeHtml(f.satire.explanation)}</small>` : ''}${f.sentiment ? `<br><small>否定的文脈: ${escapeHtml(f.sentiment.reason)}</small>` : ''}</td>
+        </tr>`).join('');
+}
+
+function renderSuppressed(report) {
+  const suppressed = report.suppressedIssues;
+  if (!suppressed || suppressed.count === 0) return '';
+  const rows = suppressed.items.map(issue => {
+    const s = issue.suppression;
+    const how = s.source === 'inline' ? `抑制コメント（${s.line}行目）` : `許可リスト${s.expires ? `（${s.expires}まで）` : ''}`;
+    return `
+          <tr>
+            <td>${escapeHtml(getRiskBadge(issue.risk))}</td>
+            <td>${escapeHtml(formatPosition(issue))}</td>
+            <td>${escapeHtml(issue.content)}</td>
+            <td>${escapeHtml(how)}</td>
+            <td>${escapeHtml(s.reason || '（理由なし）')}</td>
+          </tr>`;
+  }).join('');
+
+  return `
+      <section>
+        <h2>抑制された指摘 (${suppressed.count}件)</h2>
+        <table>
+          <tr><th>リスク</th><th>位置</th><th>内容</th><th>抑制</th><th>理由</th></tr>${rows}
+        </table>
+      </section>`;
+}
+
+/**
+ * 引用の件数と割合（本文上に位置を持たない「引用の割合」の指摘もここに表示する）
+ */
+function renderQuotationSummary(report) {
+  const quotations = report.quotationIssues;
+  if (!quotations || !quotations.analysis) return '';
+  const { quotes, attributed, quotedShare } = quotations.analysis;
+  const share = quotations.items.find(issue => !issue.line);
+  return `
+        <li><strong>引用</strong>: ${quotes}件（出典あり ${attributed}件）/ 引用の割合 ${Math.round(quotedShare * 100)}%${share ? ` ${escapeHtml(getRiskBadge(share.risk))} ${escapeHtml(share.suggestion)}` : ''}</li>`;
+}
+
+function renderSummary(report) {
+  const breakdown = report.summary.riskBreakdown;
+  return `
+    <section>
+      <h2>概要</h2>
+      <ul>
+        <li><strong>分析日時</strong>: ${escapeHtml(report.metadata.analyzedAt)}</li>
+        <li><strong>ファイル</strong>: ${escapeHtml(report.metadata.fileName)}</li>
+        <li><strong>文字数</strong>: ${escapeHtml(report.metadata.wordCount)}文字</li>
+        <li><strong>総合リスクレベル</strong>: ${escapeHtml(getRiskBadge(report.summary.overallRisk))}</li>
+        <li><strong>検出された問題数</strong>: ${report.summary.totalIssues}件</li>${renderQuotationSummary(report)}
+      </ul>
+      <p>${escapeHtml(report.summary.recommendation)}</p>
+      <table class="breakdown">
+        <tr><th>レベル</th><th>件数</th></tr>
+${RISK_ORDER.slice().reverse().map(risk => `        <tr><td>${escapeHtml(getRiskBadge(risk))}</td><td>${breakdown[risk]}</td></tr>`).join('\n')}
+      </table>
+    </section>`;
+}
+
+function renderSimilarity(similarity) {
+  const rows = similarity.matches.flatMap(m => m.passages.map(p => `
+        <tr><td>${escapeHtml(formatPosition(p))}</td><td>${escapeHtml(m.source)}${p.sourceLine ? ` ${escapeHtml(formatPosition({ line: p.sourceLine, column: p.sourceColumn }))}` : ''}${m.stale ? '（索引作成後に変更あり）' : ''}</td><td>${p.length}文字</td><td>${escapeHtml(getRiskBadge(m.risk))}</td><td>${escapeHtml(p.excerpt)}</td></tr>`)).join('');
+  return `<h3>既存作品との類似（参照コーパス ${similarity.documents}件）</h3>
+      <p>本文の${Math.round(similarity.coverage * 100)}%が参照コーパスと重なっています（${escapeHtml(getRiskBadge(similarity.risk))}）</p>
+      ${rows ? `<table>
+        <tr><th>位置</th><th>出典</th><th>長さ</th><th>リスク</th><th>抜粋</th></tr>${rows}
+      </table>` : '<p>重なる箇所は見つかりませんでした</p>'}`;
+}
+
+function renderOriginality(report) {
+  const analysis = report.originalityAnalysis || {};
+  const themes = (analysis.themeAnalysis || [])
+    .map(t => `<li><strong>${escapeHtml(t.theme)}</strong>: ${t.frequency}回言及${t.inHeadings ? `（うち見出し ${t.inHeadings}件）` : ''} (${escapeHtml(t.note)})</li>`)
+    .join('');
+  const style = analysis.styleAnalysis;
+  const yesNo = value => (value ? 'あり' : 'なし');
+
+  return `
+    <section>
+      <h2>オリジナリティ分析</h2>
+      <h3>テーマ分析</h3>
+      ${themes ? `<ul>${themes}</ul>` : '<p>該当なし</p>'}
+      <h3>文体分析</h3>
+      ${style ? `<ul>
+        <li>形式: ${escapeHtml(style.assessment)}</li>
+        <li>風刺表現: ${yesNo(style.usesSatire)}${style.satireScore !== undefined ? `（風刺スコア ${style.satireScore}）` : ''}</li>
+        <li>アイロニー: ${yesNo(style.usesIrony)}</li>
+        <li>対話形式: ${yesNo(style.dialogueStyle)}</li>
+      </ul>` : '<p>分析データなし</p>'}
+      ${analysis.similarityAnalysis ? renderSimilarity(analysis.similarityAnalysis) : ''}
+      <h3>総合評価</h3>
+      <p>${escapeHtml(analysis.overallAssessment?.message || '評価なし')}</p>
+    </section>`;
+}
+
+function renderStyles() {
+  const riskRules = RISK_ORDER.map(risk => `
+    mark.risk-${risk} { background: ${RISK_COLORS[risk].mark}; border-bottom: 2px solid ${RISK_COLORS[risk].border}; }`).join('');
+  return `
+    body { font-family: "Hiragino Sans", "Noto Sans JP", sans-serif; margin: 0; color: #222; line-height: 1.7; }
+    header { padding: 1rem 2rem; border-bottom: 1px solid #ddd; }
+    main { display: grid; grid-template-columns: minmax(0, 3fr) minmax(0, 2fr); gap: 2rem; padding: 1rem 2rem; }
+    h1 { margin: 0; font-size: 1.4rem; }
+    .manuscript { white-space: pre-wrap; word-break: break-word; font-family: inherit; background: #fafafa; padding: 1rem; border: 1px solid #eee; }
+    mark { color: inherit; cursor: help; }
+    mark.filtered { background: none; border-bottom: none; cursor: auto; }${riskRules}
+    fieldset { border: 1px solid #ddd; margin: 0 0 .5rem; }
+    fieldset label { margin-right: .8rem; white-space: nowrap; }
+    table { border-collapse: collapse; width: 100%; font-size: .9rem; }
+    th, td { border: 1px solid #ddd; padding: .3rem .5rem; text-align: left; vertical-align: top; }
+    tr.filtered { display: none; }
+    footer { padding: 1rem 2rem; color: #777; font-size: .85rem; }`;
+}
+
+/**
+ * 絞り込みを反映するスクリプト（外部ライブラリは使わない）
+ */
+function renderScript() {
+  return `
+    (function () {
+      var findings = JSON.parse(document.getElementById('findings-data').textContent);
+      var order = ${JSON.stringify(RISK_ORDER)};
+      var inputs = Array.prototype.slice.call(document.querySelectorAll('.filters input'));
+
+      function update() {
+        var enabled = {};
+        inputs.forEach(function (input) { enabled[input.name + ':' + input.value] = input.checked; });
+        var visible = findings.map(function (f) {
+          return enabled['type:' + f.type] && enabled['category:' + f.category] && enabled['risk:' + f.risk];
+        });
+
+        document.querySelectorAll('mark[data-ids]').forEach(function (mark) {
+          var ids = mark.getAttribute('data-ids').split(' ').map(Number).filter(function (id) { return visible[id]; });
+          if (ids.length === 0) {
+            mark.className = 'filtered';
+            return;
+          }
+          var worst = ids.reduce(function (acc, id) {
+            return order.indexOf(findings[id].risk) > order.indexOf(acc) ? findings[id].risk : acc;
+          }, 'low');
+          mark.className = 'risk-' + worst;
+        });
+        document.querySelectorAll('tr[data-id]').forEach(function (row) {
+          row.className = visible[Number(row.getAttribute('data-id'))] ? '' : 'filtered';
+        });
+      }
+
+      inputs.forEach(function (input) { input.addEventListener('change', update); });
+    })();`;
+}
+
+/**
+ * HTML レポートを生成
+ * @param {Object} report - generateReport の戻り値
+ * @param {string} text - 検査したテキスト（指摘の start / end はこのテキストの位置）
+ * @returns {string} HTML
+ */
+function generateHtmlReport(report, text) {
+  // 参照コーパスと重なる箇所も本文上でハイライトする
+  const similar = similarityFindings(report.originalityAnalysis?.similarityAnalysis);
+  const quotations = report.quotationIssues ? report.quotationIssues.items : [];
+  const findings = [...report.brandIssues.items, ...report.personIssues.items, ...quotations, ...similar]
+    .filter(issue => Number.isInteger(issue.start) && Number.isInteger(issue.end))
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .map((issue, id) => ({ ...issue, id, category: issue.category || NO_CATEGORY }));
+  const data = findings.map(({ id, type, category, risk }) => ({ id, type, category, risk }));
+
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>権利チェックレポート - ${escapeHtml(report.metadata.fileName)}</title>
+  <style>${renderStyles()}
+  </style>
+</head>
+<body>
+  <header>
+    <h1>権利チェックレポート</h1>
+    <p>${escapeHtml(report.metadata.fileName)} / 総合リスクレベル: ${escapeHtml(getRiskBadge(report.summary.overallRisk))} / 検出された問題: ${report.summary.totalIssues}件</p>
+  </header>
+  <main>
+    <section>
+      <h2>本文</h2>
+      <pre class="manuscript">${renderManuscript(text, findings)}</pre>
+    </section>
+    <div>
+${renderSummary(report)}
+      <section>
+        <h2>指摘一覧</h2>
+        <form class="filters">${renderFilters(findings)}
+        </form>
+        <table>
+          <tr><th>リスク</th><th>位置</th><th>内容</th><th>種別</th><th>カテゴリ</th><th>提案</th></tr>${renderFindingRows(findings)}
+        </table>
+      </section>
+${renderSuppressed(report)}
+${renderOriginality(report)}
+    </div>
+  </main>
+  <footer>このレポートは自動生成されたものです。法的アドバイスとしてではなく、参考情報としてご利用ください。</footer>
+  <script type="application/json" id="findings-data">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>
+  <script>${renderScript()}
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = { generateHtmlReport };
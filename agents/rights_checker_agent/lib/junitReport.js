@@ -0,0 +1,76 @@
+/**
+ * JUnit XML 形式のレポート生成モジュール
+ * generateReport の出力をテストダッシュボード向けに変換する
+ * 1ファイルを1テストケースとし、high / critical の指摘があれば失敗として扱う
+ */
+
+const { similarityFindings } = require('./corpus');
+
+// 失敗として扱うリスクレベル
+const FAILURE_RISKS = ['high', 'critical'];
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 指摘1件を1行で表す
+ */
+function describeIssue(issue) {
+  const position = issue.column ? `${issue.line}:${issue.column}` : `${issue.line || '-'}`;
+  return `[${issue.risk}] ${position} ${issue.type}${issue.category ? `/${issue.category}` : ''} 「${issue.content}」 ${issue.suggestion}`;
+}
+
+/**
+ * 1ファイル分のテストケースを生成
+ */
+function generateTestCase(report) {
+  const name = report.metadata.filePath || report.metadata.fileName || 'unknown';
+  const issues = [
+    ...report.brandIssues.items,
+    ...report.personIssues.items,
+    ...(report.quotationIssues ? report.quotationIssues.items : []),
+    ...similarityFindings(report.originalityAnalysis?.similarityAnalysis)
+  ];
+  const failures = issues.filter(issue => FAILURE_RISKS.includes(issue.risk));
+  const others = issues.filter(issue => !FAILURE_RISKS.includes(issue.risk));
+
+  let xml = `    <testcase classname="rights-checker" name="${escapeXml(name)}" time="0">\n`;
+  if (failures.length > 0) {
+    const message = `high / critical の指摘が${failures.length}件あります（総合リスク: ${report.summary.overallRisk}）`;
+    const worst = failures.some(issue => issue.risk === 'critical') ? 'critical' : 'high';
+    xml += `      <failure message="${escapeXml(message)}" type="${worst}">${escapeXml(failures.map(describeIssue).join('\n'))}</failure>\n`;
+  }
+  if (others.length > 0) {
+    xml += `      <system-out>${escapeXml(others.map(describeIssue).join('\n'))}</system-out>\n`;
+  }
+  xml += '    </testcase>\n';
+  return { xml, failed: failures.length > 0 };
+}
+
+/**
+ * JUnit XML レポートを生成
+ * @param {Object|Array} reports - generateReport の戻り値（複数ファイルの場合は配列）
+ * @returns {string} JUnit XML
+ */
+function generateJunitReport(reports) {
+  const list = [].concat(reports);
+  const cases = list.map(generateTestCase);
+  const failures = cases.filter(c => c.failed).length;
+  const timestamp = list.length > 0 ? list[0].metadata.analyzedAt : new Date().toISOString();
+  const counts = `tests="${cases.length}" failures="${failures}" errors="0"`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="rights-checker" ${counts}>
+  <testsuite name="rights-checker" ${counts} skipped="0" timestamp="${escapeXml(timestamp)}" time="0">
+${cases.map(c => c.xml).join('')}  </testsuite>
+</testsuites>
+`;
+}
+
+module.exports = { generateJunitReport, FAILURE_RISKS };
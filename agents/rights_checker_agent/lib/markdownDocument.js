@@ -0,0 +1,247 @@
+/**
+ * マークダウン文書モデル
+ * テキストをブロック（見出し・段落・引用・リスト・表・コード・front matter）に分け、見出しから節（幕）の階層を作る
+ * 検出器はこのモデルで、指摘がどの節・どの種類のブロックにあるかを調べ、
+ * コード・URL・HTML コメントの中を照合の対象から外す
+ */
+
+const { createPositionIndex } = require('./textPosition');
+
+const FENCE_PATTERN = /^\s{0,3}(```|~~~)/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*)$/;
+const THEMATIC_BREAK_PATTERN = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE_PATTERN = /^\s{0,3}>/;
+const LIST_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+/;
+const TABLE_PATTERN = /^\s*\|/;
+const COMMENT_START_PATTERN = /^\s*<!--/;
+
+// 本文中で照合の対象から外す範囲
+const INLINE_EXCLUSIONS = [
+  ['comment', /<!--[\s\S]*?-->/g],
+  ['inline_code', /(`+)[^`\n]+?\1/g],
+  ['url', /\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g],
+  ['url', /<(https?:\/\/[^>\s]+)>/g],
+  ['url', /https?:\/\/[^\s<>()（）「」『』、。]+/g]
+];
+
+// ブロックの種類の表示名
+const REGION_LABELS = {
+  front_matter: 'front matter',
+  heading: '見出し',
+  paragraph: '本文',
+  blockquote: '引用ブロック',
+  list: 'リスト',
+  table: '表',
+  code: 'コード',
+  comment: 'コメント',
+  thematic_break: '区切り線'
+};
+
+/**
+ * 行の種類を判定する（段落の続きかどうかはブロック分割の側で決める）
+ */
+function lineKind(content) {
+  if (content.trim() === '') return 'blank';
+  if (HEADING_PATTERN.test(content)) return 'heading';
+  if (THEMATIC_BREAK_PATTERN.test(content)) return 'thematic_break';
+  if (BLOCKQUOTE_PATTERN.test(content)) return 'blockquote';
+  if (LIST_PATTERN.test(content)) return 'list';
+  if (TABLE_PATTERN.test(content)) return 'table';
+  return 'paragraph';
+}
+
+/**
+ * 見出し行から見出しの文字列を取り出す（末尾の # と強調記号は除く）
+ */
+function headingTitle(raw) {
+  return raw.replace(/\s+#+\s*$/, '').replace(/[*_]{1,3}([^*_]+)[*_]{1,3}/g, '$1').trim();
+}
+
+/**
+ * テキストをブロックに分ける
+ * @returns {Array} [{ type, start, end, line, endLine, depth?, title? }]
+ */
+function parseBlocks(text, positions) {
+  const blocks = [];
+  let current = null;
+
+  const open = (type, line, extra = {}) => {
+    current = { type, start: positions.lineStart(line), end: positions.lineEnd(line), line, endLine: line, ...extra };
+    blocks.push(current);
+  };
+  const extend = line => {
+    current.end = positions.lineEnd(line);
+    current.endLine = line;
+  };
+
+  let line = 1;
+  if (positions.lineText(1) === '---') {
+    for (let end = 2; end <= positions.lineCount; end++) {
+      if (positions.lineText(end) === '---') {
+        open('front_matter', 1);
+        extend(end);
+        current = null;
+        line = end + 1;
+        break;
+      }
+    }
+  }
+
+  for (; line <= positions.lineCount; line++) {
+    const content = positions.lineText(line);
+
+    const fence = content.match(FENCE_PATTERN);
+    if (fence) {
+      // 閉じるフェンスまで（なければ文書の最後まで）をコードとする
+      open('code', line);
+      for (line++; line <= positions.lineCount; line++) {
+        extend(line);
+        if (positions.lineText(line).trim().startsWith(fence[1])) break;
+      }
+      current = null;
+      continue;
+    }
+
+    if (COMMENT_START_PATTERN.test(content) && !content.includes('-->')) {
+      open('comment', line);
+      for (line++; line <= positions.lineCount; line++) {
+        extend(line);
+        if (positions.lineText(line).includes('-->')) break;
+      }
+      current = null;
+      continue;
+    }
+
+    const kind = lineKind(content);
+    if (kind === 'blank') {
+      current = null;
+    } else if (kind === 'heading') {
+      const [, marks, raw] = content.match(HEADING_PATTERN);
+      open('heading', line, { depth: marks.length, title: headingTitle(raw) });
+      current = null;
+    } else if (kind === 'thematic_break') {
+      open('thematic_break', line);
+      current = null;
+    } else if (current && (current.type === kind || (kind === 'paragraph' && current.type !== 'table'))) {
+      // 同じ種類の行と、段落の折り返し（引用・リストの続きの行を含む）は前のブロックに含める
+      extend(line);
+    } else {
+      open(kind, line);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * 見出しから節の階層を作る。節は見出しの行から、同じか浅い見出しの直前までの範囲
+ * @returns {Array} [{ title, depth, line, start, end, parent }]（parent は親の節の添字。なければ null）
+ */
+function buildSections(blocks, textLength) {
+  const headings = blocks.filter(b => b.type === 'heading');
+  return headings.map((heading, index) => {
+    const next = headings.slice(index + 1).find(h => h.depth <= heading.depth);
+    let parent = null;
+    for (let i = index - 1; i >= 0; i--) {
+      if (headings[i].depth < heading.depth) {
+        parent = i;
+        break;
+      }
+    }
+    return {
+      title: heading.title,
+      depth: heading.depth,
+      line: heading.line,
+      start: heading.start,
+      end: next ? next.start : textLength,
+      parent
+    };
+  });
+}
+
+/**
+ * 照合の対象から外す範囲（コードブロック・HTML コメント・インラインコード・URL）を集める
+ */
+function collectExclusions(text, blocks) {
+  const ranges = blocks
+    .filter(b => b.type === 'code' || b.type === 'comment')
+    .map(b => ({ type: b.type, start: b.start, end: b.end }));
+  const inBlock = offset => ranges.some(r => offset >= r.start && offset < r.end);
+
+  INLINE_EXCLUSIONS.forEach(([type, pattern]) => {
+    pattern.lastIndex = 0;
+    let m;
+    while ((m = pattern.exec(text)) !== null) {
+      // リンク先・<URL> は括弧の中だけを外す（リンクの文言は本文として照合する）
+      const start = m[1] && type === 'url' ? m.index + m[0].indexOf(m[1]) : m.index;
+      const end = m[1] && type === 'url' ? start + m[1].length : m.index + m[0].length;
+      if (!inBlock(start)) ranges.push({ type, start, end });
+    }
+  });
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * マークダウンを解析して文書モデルを作る
+ * @param {string} text - 対象テキスト
+ * @returns {Object} { text, blocks, sections, exclusions, frontMatter, maskedText, regionAt, sectionAt, isExcluded, locate }
+ */
+function parseMarkdown(text) {
+  const positions = createPositionIndex(text);
+  const blocks = parseBlocks(text, positions);
+  const sections = buildSections(blocks, text.length);
+  const exclusions = collectExclusions(text, blocks);
+  const frontMatter = blocks.find(b => b.type === 'front_matter') || null;
+
+  // 外す範囲を空白に置き換えたテキスト（改行と文字数は保つので、オフセットは元のテキストと一致する）
+  let maskedText = text;
+  if (exclusions.length > 0) {
+    const chars = text.split('');
+    exclusions.forEach(({ start, end }) => {
+      for (let i = start; i < end; i++) {
+        if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+      }
+    });
+    maskedText = chars.join('');
+  }
+
+  const blockAt = offset => blocks.find(b => offset >= b.start && offset <= b.end) || null;
+  const sectionAt = offset => {
+    // 最も深い（最後に始まった）節を返す
+    for (let i = sections.length - 1; i >= 0; i--) {
+      if (offset >= sections[i].start && offset < sections[i].end) return sections[i];
+    }
+    return null;
+  };
+  const regionAt = offset => {
+    const block = blockAt(offset);
+    return block ? block.type : 'paragraph';
+  };
+
+  return {
+    text,
+    blocks,
+    sections,
+    exclusions,
+    frontMatter,
+    maskedText,
+    // オフセットのあるブロックの種類（どのブロックにも属さなければ 'paragraph'）
+    regionAt,
+    sectionAt,
+    /**
+     * 範囲が照合の対象外（コード・URL・コメント）と重なるか
+     */
+    isExcluded(start, end) {
+      return exclusions.some(r => start < r.end && r.start < end);
+    },
+    /**
+     * 指摘に付ける文書上の位置（ブロックの種類と、属する節の見出し）
+     * @returns {Object} { region, section? }
+     */
+    locate(offset) {
+      const section = sectionAt(offset);
+      return { region: regionAt(offset), ...(section ? { section: section.title } : {}) };
+    }
+  };
+}
+
+module.exports = { parseMarkdown, REGION_LABELS };
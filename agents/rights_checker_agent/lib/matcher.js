@@ -0,0 +1,188 @@
+/**
+ * 名前照合モジュール
+ * ルールの名前・別名をテキストから探す。文字種の境界を考慮し、重なった候補は最長一致で1件にまとめる
+ * 名前とテキストは normalizer で正規化してから照合し（全角・半角、ひらがな・カタカナ、長音記号・中黒）、
+ * 一致の位置は元のテキストに戻して返す
+ */
+
+const { normalize, normalizeTerm, resolveNormalization, romajiToKatakana, katakanaToRomaji } = require('./normalizer');
+
+// 境界判定の対象になる文字種
+const CHAR_CLASSES = [
+  ['latin', /[A-Za-z0-9０-９Ａ-Ｚａ-ｚ]/],
+  ['katakana', /[ァ-ヺーㇰ-ㇿｦ-ﾟ]/],
+  ['kanji', /[㐀-䶿一-鿿豈-﫿々]/]
+];
+
+// 名前の直後に同じ文字種が続いても境界とみなす接尾語（敬称・肩書き・「楽天市場」のような複合語の後半）
+// 「楽天的」「楽天家」のように別の語になるものは含めない
+const RIGHT_EDGE_SUFFIXES = {
+  kanji: [
+    '氏', '様', '君', '殿', '社長', '副社長', '会長', '代表', '監督', '選手', '議員', '首相', '総理', '大臣', '知事',
+    '市長', '教授', '部長', '課長', '先生', '容疑者', '被告', '一家', '夫妻',
+    '市場', '銀行', '証券', '本社', '支社', '社員', '公式', '製品', '株', '傘下', '系列'
+  ],
+  katakana: ['グループ', 'ストア', 'ショップ', 'アプリ', 'ユーザー', 'プレミアム']
+};
+
+// japaneseContext のエントリで、一致の前後にあれば日本語の文中とみなす文字（かな・漢字・和文の約物）
+const JAPANESE_CHAR = /[ぁ-ゖァ-ヺー㐀-䶿一-鿿豈-﫿々「」『』【】（）、。・]/;
+
+// ルールごとに組み立てた照合器のキャッシュ
+const cache = new WeakMap();
+
+// 正規化後にこれより短い名前は、表記ゆれを許すと一般の語と重なりやすいため、全角・半角の違いだけを許す
+const MIN_FOLDED_LENGTH = 3;
+// ローマ字 ↔ カタカナの別表記を作る名前の最小の長さ（変換後の文字数）
+const MIN_KATAKANA_VARIANT = 3;
+const MIN_ROMAJI_VARIANT = 4;
+
+/**
+ * 1文字の文字種を返す（境界判定の対象外なら 'other'）
+ */
+function charClass(ch) {
+  if (!ch) return 'none';
+  const found = CHAR_CLASSES.find(([, pattern]) => pattern.test(ch));
+  return found ? found[0] : 'other';
+}
+
+/**
+ * 一致箇所の前後が単語・文字種の境界になっているか
+ * 英数字で始まる（終わる）名前は前（後）が英数字でないこと、
+ * カタカナ・漢字も同様に、同じ文字種が続いていないことを条件にする
+ * ただし後ろに続くのが敬称・肩書きなどの接尾語（RIGHT_EDGE_SUFFIXES）なら境界とみなす
+ * 例: "Netflix" の中の "x"、"LINEMO" の中の "LINE"、「楽天的」の中の「楽天」は一致としない
+ *     「孫正義氏」の「孫正義」、「楽天市場」の「楽天」は一致とする
+ */
+function isBounded(text, start, end) {
+  const first = charClass(text[start]);
+  const last = charClass(text[end - 1]);
+  if (first !== 'other' && charClass(text[start - 1]) === first) return false;
+  if (last !== 'other' && charClass(text[end]) === last) {
+    return (RIGHT_EDGE_SUFFIXES[last] || []).some(suffix => text.startsWith(suffix, end));
+  }
+  return true;
+}
+
+/**
+ * 一致箇所が日本語の文中にあるか（前後の空白を除いた最も近い文字のどちらかが JAPANESE_CHAR）
+ * 一般の英単語と同じ綴りのエントリ（"menu" など）を英文中で検出しないために使う
+ * 例: "menuで注文" は日本語の文中、"Open the menu please" はそうでない
+ */
+function inJapaneseContext(text, start, end) {
+  const before = text.slice(0, start).match(/(\S)[ \t]*$/);
+  const after = text.slice(end).match(/^[ \t]*(\S)/);
+  return [before, after].some(m => m && JAPANESE_CHAR.test(m[1]));
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 名前のローマ字 ↔ カタカナの別表記（"Toyota" → "トヨタ"、「しまむら」→ "shimamura"）
+ * 大文字小文字を区別するエントリは綴りを厳密に扱うため、別表記を作らない
+ */
+function transliterations(entry, term, settings) {
+  if (!settings.transliterate || entry.transliterate === false || entry.caseSensitive) return [];
+  const variants = [];
+  const katakana = romajiToKatakana(term);
+  if (katakana && katakana.length >= MIN_KATAKANA_VARIANT) variants.push(katakana);
+  const romaji = katakanaToRomaji(normalizeTerm(term, { ...settings, foldKana: true }));
+  if (romaji && romaji.length >= MIN_ROMAJI_VARIANT) variants.push(romaji);
+  return variants;
+}
+
+/**
+ * 正規化前の一致が名前と全角・半角の違いしかないか（短い名前の表記ゆれを許さないために使う）
+ */
+function matchesLiterally(match, term, caseSensitive) {
+  const fold = s => (caseSensitive ? s.normalize('NFKC') : s.normalize('NFKC').toLowerCase());
+  return fold(match) === fold(term);
+}
+
+/**
+ * エントリ一覧から照合器を作る
+ * @param {Array} entries - ルールセットの brands / persons
+ * @param {Object} [normalization] - ルールセットの normalization（省略時はすべて有効）
+ * @returns {Object} { findAll(text) }
+ */
+function createMatcher(entries, normalization) {
+  const settings = resolveNormalization(normalization);
+  const patterns = [];
+  const seen = new Set();
+  entries.forEach((entry, order) => {
+    const terms = [entry.name, ...(entry.aliases || [])];
+    [...terms, ...terms.flatMap(term => transliterations(entry, term, settings))].forEach(term => {
+      const normalized = normalizeTerm(term, settings);
+      const key = `${order}\u0000${entry.caseSensitive ? normalized : normalized.toLowerCase()}`;
+      if (normalized === '' || seen.has(key)) return;
+      seen.add(key);
+      patterns.push({
+        entry,
+        order,
+        term,
+        literal: normalized.length < MIN_FOLDED_LENGTH,
+        regex: new RegExp(escapeRegExp(normalized), entry.caseSensitive ? 'g' : 'gi')
+      });
+    });
+  });
+
+  return {
+    /**
+     * テキスト中の一致を列挙
+     * @param {string} text - 検査対象のテキスト
+     * @returns {Array} [{ start, end, match, term, entry, alternates }]（出現順。位置と match は元のテキストのもの）
+     */
+    findAll(text) {
+      const normalized = normalize(text, settings);
+      const candidates = [];
+      patterns.forEach(({ entry, order, term, literal, regex }) => {
+        regex.lastIndex = 0;
+        let m;
+        while ((m = regex.exec(normalized.text)) !== null) {
+          const { start, end } = normalized.toOriginal(m.index, m.index + m[0].length);
+          const match = text.slice(start, end);
+          // 境界は元のテキストの文字種で判定する（ひらがなをカタカナにそろえると助詞まで同じ文字種になるため）
+          if (isBounded(text, start, end) && (!literal || matchesLiterally(match, term, entry.caseSensitive)) &&
+              (!entry.japaneseContext || inJapaneseContext(text, start, end))) {
+            candidates.push({ start, end, match, term, entry, order });
+          }
+        }
+      });
+
+      // 左から順に、同じ位置では長い一致を優先（同じ長さならルールの定義順）
+      candidates.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start) || a.order - b.order);
+
+      const accepted = [];
+      candidates.forEach(candidate => {
+        const previous = accepted[accepted.length - 1];
+        if (previous && candidate.start === previous.start && candidate.end === previous.end) {
+          // 同じ範囲に複数のエントリが一致した場合は1件にまとめ、他のエントリを記録する
+          if (candidate.entry !== previous.entry && !previous.alternates.includes(candidate.entry)) {
+            previous.alternates.push(candidate.entry);
+          }
+          return;
+        }
+        if (previous && candidate.start < previous.end) return;
+        accepted.push({ ...candidate, alternates: [] });
+      });
+
+      return accepted.map(({ order, ...match }) => match);
+    }
+  };
+}
+
+/**
+ * ルールセットの brands / persons に対する照合器を返す（ルールセットごとにキャッシュ）
+ * @param {Object} rules - loadRules で読み込んだルールセット
+ * @param {string} section - 'brands' または 'persons'
+ */
+function getMatcher(rules, section) {
+  if (!cache.has(rules)) cache.set(rules, {});
+  const matchers = cache.get(rules);
+  if (!matchers[section]) matchers[section] = createMatcher(rules[section], rules.normalization);
+  return matchers[section];
+}
+
+module.exports = { createMatcher, getMatcher, isBounded, inJapaneseContext, charClass };
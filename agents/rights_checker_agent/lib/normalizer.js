@@ -0,0 +1,224 @@
+/**
+ * 日本語テキスト正規化モジュール
+ * 全角・半角（NFKC）、ひらがな・カタカナ、長音記号・中黒の有無をそろえて、表記ゆれのある名前を照合できるようにする
+ * 正規化後の1文字ごとに元のテキストでの範囲を記録し、照合結果を元のテキストの位置に戻せるようにする
+ * ローマ字とカタカナの相互変換（ヘボン式）で、ルールの名前の読みの別表記も作る
+ */
+
+// 正規化の既定値（ルールパックの "normalization" で個別に無効にできる）
+const DEFAULT_NORMALIZATION = {
+  foldWidth: true,        // NFKC（全角英数字・半角カタカナ・丸数字などをそろえる）
+  foldKana: true,         // ひらがなをカタカナにそろえる
+  ignoreLongVowel: true,  // カタカナの後の長音記号（ー）を無視する
+  ignoreMiddleDot: true,  // 中黒（・）と、カタカナの間の空白を無視する
+  transliterate: true     // ローマ字 ↔ カタカナの別表記をルールの名前から作る
+};
+const NORMALIZATION_KEYS = Object.keys(DEFAULT_NORMALIZATION);
+
+const KATAKANA = /[ァ-ヺ]/;
+const HALFWIDTH_KATAKANA = /[ｦ-ﾝ]/;
+const VOICED_MARKS = /[ﾞﾟ゙゚]/;
+const MIDDLE_DOTS = /[・·]/;
+const LONG_VOWELS = /[ー〜]/;
+const INLINE_SPACE = /[ \t　]/;
+
+/**
+ * 正規化の設定を既定値と合わせる
+ * @param {Object} [options] - ルールセットの normalization
+ */
+function resolveNormalization(options = {}) {
+  return { ...DEFAULT_NORMALIZATION, ...options };
+}
+
+/**
+ * 元のテキストの1単位（1文字。半角カタカナ・かなの後の濁点・半濁点は前の文字とまとめる）を切り出す
+ */
+function unitAt(text, index) {
+  const code = text.codePointAt(index);
+  let length = code > 0xffff ? 2 : 1;
+  if (VOICED_MARKS.test(text[index + length] || '') && (HALFWIDTH_KATAKANA.test(text[index]) || /[ぁ-ゖァ-ヺ]/.test(text[index]))) {
+    length++;
+  }
+  return text.slice(index, index + length);
+}
+
+function foldKana(ch) {
+  const code = ch.charCodeAt(0);
+  return code >= 0x3041 && code <= 0x3096 ? String.fromCharCode(code + 0x60) : ch;
+}
+
+/**
+ * テキストを正規化する
+ * @param {string} text - 対象テキスト
+ * @param {Object} [options] - 正規化の設定（resolveNormalization で既定値と合わせる）
+ * @returns {Object} { text, starts, ends, toOriginal(start, end) }
+ *   starts[i] / ends[i] は正規化後の i 文字目が元のテキストで占める範囲
+ */
+function normalize(text, options = {}) {
+  const settings = resolveNormalization(options);
+  const chars = [];
+  const starts = [];
+  const ends = [];
+  // カタカナの後の空白は、次もカタカナなら捨てる（「ウーバー イーツ」）
+  let pendingSpaces = [];
+
+  const last = () => chars[chars.length - 1] || '';
+  // サロゲートペアも1コード単位ずつ記録し、正規化後の文字列の添字と starts / ends をそろえる
+  const emit = (ch, start, end) => {
+    for (const unit of ch.split('')) {
+      chars.push(unit);
+      starts.push(start);
+      ends.push(end);
+    }
+  };
+
+  for (let i = 0; i < text.length;) {
+    const unit = unitAt(text, i);
+    const start = i;
+    const end = i + unit.length;
+    i = end;
+
+    const folded = settings.foldWidth ? unit.normalize('NFKC') : unit;
+    for (const raw of folded) {
+      const ch = settings.foldKana ? foldKana(raw) : raw;
+      if (settings.ignoreMiddleDot && MIDDLE_DOTS.test(ch)) continue;
+      if (settings.ignoreLongVowel && LONG_VOWELS.test(ch) && KATAKANA.test(last())) continue;
+      if (settings.ignoreMiddleDot && INLINE_SPACE.test(ch) && KATAKANA.test(last())) {
+        pendingSpaces.push({ ch, start, end });
+        continue;
+      }
+      if (pendingSpaces.length > 0) {
+        if (!(settings.ignoreMiddleDot && KATAKANA.test(ch))) pendingSpaces.forEach(s => emit(s.ch, s.start, s.end));
+        pendingSpaces = [];
+      }
+      emit(ch, start, end);
+    }
+  }
+  pendingSpaces.forEach(s => emit(s.ch, s.start, s.end));
+
+  return {
+    text: chars.join(''),
+    starts,
+    ends,
+    /**
+     * 正規化後の範囲 [start, end) を元のテキストの範囲に戻す
+     */
+    toOriginal(from, to) {
+      return { start: starts[from], end: ends[to - 1] };
+    }
+  };
+}
+
+/**
+ * 照合に使う名前の正規化（テキストと同じ規則を適用した文字列）
+ */
+function normalizeTerm(term, options = {}) {
+  return normalize(term, options).text;
+}
+
+// ---------- ローマ字 ↔ カタカナ（ヘボン式。訓令式の一部も受け付ける） ----------
+
+const ROMAJI_TABLE = {
+  a: 'ア', i: 'イ', u: 'ウ', e: 'エ', o: 'オ',
+  ka: 'カ', ki: 'キ', ku: 'ク', ke: 'ケ', ko: 'コ',
+  sa: 'サ', shi: 'シ', si: 'シ', su: 'ス', se: 'セ', so: 'ソ',
+  ta: 'タ', chi: 'チ', ti: 'チ', tsu: 'ツ', tu: 'ツ', te: 'テ', to: 'ト',
+  na: 'ナ', ni: 'ニ', nu: 'ヌ', ne: 'ネ', no: 'ノ',
+  ha: 'ハ', hi: 'ヒ', fu: 'フ', hu: 'フ', he: 'ヘ', ho: 'ホ',
+  ma: 'マ', mi: 'ミ', mu: 'ム', me: 'メ', mo: 'モ',
+  ya: 'ヤ', yu: 'ユ', yo: 'ヨ',
+  ra: 'ラ', ri: 'リ', ru: 'ル', re: 'レ', ro: 'ロ',
+  wa: 'ワ', wo: 'ヲ',
+  ga: 'ガ', gi: 'ギ', gu: 'グ', ge: 'ゲ', go: 'ゴ',
+  za: 'ザ', ji: 'ジ', zi: 'ジ', zu: 'ズ', ze: 'ゼ', zo: 'ゾ',
+  da: 'ダ', de: 'デ', do: 'ド',
+  ba: 'バ', bi: 'ビ', bu: 'ブ', be: 'ベ', bo: 'ボ',
+  pa: 'パ', pi: 'ピ', pu: 'プ', pe: 'ペ', po: 'ポ',
+  kya: 'キャ', kyu: 'キュ', kyo: 'キョ', sha: 'シャ', shu: 'シュ', sho: 'ショ',
+  cha: 'チャ', chu: 'チュ', cho: 'チョ', nya: 'ニャ', nyu: 'ニュ', nyo: 'ニョ',
+  hya: 'ヒャ', hyu: 'ヒュ', hyo: 'ヒョ', mya: 'ミャ', myu: 'ミュ', myo: 'ミョ',
+  rya: 'リャ', ryu: 'リュ', ryo: 'リョ', gya: 'ギャ', gyu: 'ギュ', gyo: 'ギョ',
+  ja: 'ジャ', ju: 'ジュ', jo: 'ジョ', bya: 'ビャ', byu: 'ビュ', byo: 'ビョ',
+  pya: 'ピャ', pyu: 'ピュ', pyo: 'ピョ'
+};
+// カタカナ → ローマ字はヘボン式の綴りを使う
+const KANA_TABLE = Object.entries(ROMAJI_TABLE).reduce((acc, [romaji, kana]) => {
+  if (!acc[kana] || romaji.length > acc[kana].length) acc[kana] = romaji;
+  return acc;
+}, { ヂ: 'ji', ヅ: 'zu', ヰ: 'i', ヱ: 'e', ヴ: 'vu' });
+['fu', 'ji', 'shi', 'chi', 'tsu'].forEach(romaji => {
+  KANA_TABLE[ROMAJI_TABLE[romaji]] = romaji;
+});
+
+/**
+ * ローマ字（英字のみの1語）をカタカナにする。変換できない綴りを含む場合は null
+ * 例: "Toyota" → "トヨタ"、"Rakuten" → "ラクテン"、"Netflix" → null
+ */
+function romajiToKatakana(word) {
+  const source = word.toLowerCase();
+  if (!/^[a-z]+$/.test(source)) return null;
+  let result = '';
+  for (let i = 0; i < source.length;) {
+    const rest = source.slice(i);
+    // 子音の重なりは促音（"nn" は撥音）
+    if (rest.length > 1 && rest[0] === rest[1] && !/[aiueon]/.test(rest[0])) {
+      result += 'ッ';
+      i++;
+      continue;
+    }
+    if (rest[0] === 'n' && (rest.length === 1 || !/[aiueoy]/.test(rest[1]))) {
+      result += 'ン';
+      i += rest[1] === 'n' ? 2 : 1;
+      continue;
+    }
+    const length = [3, 2, 1].find(n => ROMAJI_TABLE[rest.slice(0, n)]);
+    if (!length) return null;
+    result += ROMAJI_TABLE[rest.slice(0, length)];
+    i += length;
+  }
+  return result;
+}
+
+/**
+ * カタカナ（全体がカタカナの語）をローマ字にする。変換できない文字を含む場合は null
+ * 長音記号は綴りに含めない（例: "ソニー" → "soni"）
+ */
+function katakanaToRomaji(word) {
+  if (!/^[ァ-ヺー]+$/.test(word)) return null;
+  let result = '';
+  let geminate = false;
+  for (let i = 0; i < word.length;) {
+    const ch = word[i];
+    if (ch === 'ー') {
+      i++;
+      continue;
+    }
+    if (ch === 'ッ') {
+      geminate = true;
+      i++;
+      continue;
+    }
+    if (ch === 'ン') {
+      result += 'n';
+      i++;
+      continue;
+    }
+    const pair = word.slice(i, i + 2);
+    const romaji = KANA_TABLE[pair] && pair.length === 2 ? KANA_TABLE[pair] : KANA_TABLE[ch];
+    if (!romaji) return null;
+    result += geminate ? (romaji.startsWith('ch') ? 't' : romaji[0]) + romaji : romaji;
+    geminate = false;
+    i += KANA_TABLE[pair] && pair.length === 2 ? 2 : 1;
+  }
+  return geminate ? null : result;
+}
+
+module.exports = {
+  normalize,
+  normalizeTerm,
+  resolveNormalization,
+  romajiToKatakana,
+  katakanaToRomaji,
+  DEFAULT_NORMALIZATION,
+  NORMALIZATION_KEYS
+};
@@ -0,0 +1,263 @@
+/**
+ * 人物候補検出モジュール
+ * ルールに登録されていない人物名を、敬称（さん・氏・社長・議員・選手など）、肩書き（「元首相の」「人気YouTuberの」）、
+ * 姓の辞書に合う「姓＋名」の形から見つけ、手がかりごとの確信度を付けて返す
+ */
+
+const path = require('path');
+const { createPositionIndex, describeSpan } = require('./textPosition');
+
+const DICTIONARY_PATH = path.join(__dirname, '..', 'dictionaries', 'person-names.json');
+const dictionary = require(DICTIONARY_PATH);
+const SURNAMES = new Set(dictionary.surnames);
+const STYLE_STOPWORDS = new Set(dictionary.styleStopwords);
+const MAX_SURNAME_LENGTH = Math.max(...dictionary.surnames.map(s => s.length));
+
+// 名前の形（漢字・カタカナ（中黒区切りを含む）・英字の固有名詞）
+const KANJI = '[一-鿿々]';
+const KATAKANA_NAME = '[ァ-ヺ][ァ-ヺー]*(?:[・＝][ァ-ヺ][ァ-ヺー]*)*';
+const LATIN_NAME = '[A-Z][a-z]+(?: [A-Z][a-z]+)*';
+const NAME_SOURCE = `${KANJI}+|${KATAKANA_NAME}|${LATIN_NAME}`;
+
+// 敬称と、敬称ごとの確信度（「さん」「様」「先生」は人物以外にも付くため低い）
+const HONORIFICS = [
+  ['容疑者', 0.6], ['被告', 0.6], ['議員', 0.6], ['選手', 0.6], ['首相', 0.6], ['大臣', 0.6], ['知事', 0.6],
+  ['社長', 0.5], ['会長', 0.5], ['監督', 0.5], ['市長', 0.5], ['教授', 0.5], ['部長', 0.4], ['課長', 0.4],
+  ['CEO', 0.5], ['氏', 0.5], ['さん', 0.3], ['様', 0.3], ['先生', 0.3], ['ちゃん', 0.2], ['くん', 0.2], ['君', 0.2]
+];
+const HONORIFIC_PATTERN = new RegExp(`(${NAME_SOURCE})(${HONORIFICS.map(([h]) => h).join('|')})`, 'g');
+// 肩書き＋「の」に続く名前（「元首相の」「人気YouTuberの」）
+const ROLE_WORDS = [
+  '首相', '総理', '大統領', '社長', '会長', 'CEO', '議員', '知事', '市長', 'YouTuber', 'ユーチューバー', '配信者',
+  '俳優', '女優', '歌手', 'タレント', 'アイドル', 'お笑い芸人', '芸人', '作家', '漫画家', '映画監督', '評論家',
+  'インフルエンサー', '実業家', '起業家', '経営者', 'アナウンサー', 'キャスター'
+];
+const ROLE_PATTERN = new RegExp(`((?:元|前|現|人気|有名|大物|カリスマ)?(?:${ROLE_WORDS.join('|')}))の(${NAME_SOURCE})`, 'g');
+// 漢字の「姓＋名」（前後が漢字でない3〜5文字）
+const FULL_NAME_PATTERN = new RegExp(`(?<!${KANJI})${KANJI}{3,5}(?!${KANJI})`, 'g');
+// 中黒で区切ったカタカナの氏名（「イーロン・マスク」）
+const FOREIGN_NAME_PATTERN = /(?<![ァ-ヺー])[ァ-ヺ][ァ-ヺー]+[・＝][ァ-ヺ][ァ-ヺー]+(?![ァ-ヺー・])/g;
+
+// 敬称の前にあっても人物名ではない語（職業・続柄など）
+const HONORIFIC_STOPWORDS = new Set([
+  '皆', '奥', '兄', '姉', '娘', '息子', '旦那', '大家', '八百屋', '魚屋', '本屋', '花屋', '神様', '皆様', '王様',
+  'ママ', 'パパ', 'ボス', 'マスター', 'ドクター', 'ネコ', 'ワンコ', 'ドライバー', 'スタッフ', 'ゲスト', 'ファン'
+]);
+// 名の最後の文字がこれなら地名・組織名などとみなす（「山田町」「田中商店」）
+const NON_PERSON_ENDINGS = /[町市区村県都府道駅線川山島橋寺社家店屋派流式系課部局省庁署院園館場港湾通丁目側内外中前後上下年月日時分秒円人者員手師士官城薬品党団組校業製銀]$/;
+// 人物を指すことの少ない語尾（職業名など）。敬称の前の名前の最後の文字がこれなら除く
+const OCCUPATION_ENDINGS = /[員手者師士官屋家長]$/;
+// 肩書きに付く接頭辞（「某元首相」「前社長」）。敬称の前の語がこれで終われば名前ではない
+const TITLE_PREFIX_ENDINGS = /[某元前現新旧副]$/;
+
+// これ以上の確信度の候補だけを報告する
+const MIN_CONFIDENCE = 0.4;
+// これ以上の確信度なら medium、未満なら low
+const MEDIUM_CONFIDENCE = 0.75;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 漢字の並びの中から、姓の辞書に合う部分を探す
+ * @returns {Object|null} { offset, surname }（並びの先頭からのオフセット）
+ */
+function findSurname(kanji, { anchored = false } = {}) {
+  const offsets = anchored ? [0] : [...Array(kanji.length).keys()];
+  for (const offset of offsets) {
+    for (let length = Math.min(MAX_SURNAME_LENGTH, kanji.length - offset); length >= 1; length--) {
+      const surname = kanji.slice(offset, offset + length);
+      if (SURNAMES.has(surname)) return { offset, surname };
+    }
+  }
+  return null;
+}
+
+/**
+ * 名前らしさの手がかり（姓の辞書・外国人名の形）
+ * @param {string} name - 名前の候補
+ * @returns {Object} { score, signals }
+ */
+function nameEvidence(name) {
+  if (/^[一-鿿々]+$/.test(name)) {
+    const found = findSurname(name, { anchored: true });
+    if (found && name.length > found.surname.length && name.length <= found.surname.length + 3) {
+      return { score: 0.3, signals: [`surname:${found.surname}`] };
+    }
+    if (found && name.length === found.surname.length) {
+      return { score: 0.2, signals: [`surname:${found.surname}`] };
+    }
+    return { score: 0, signals: [] };
+  }
+  if (/[・＝]/.test(name)) return { score: 0.2, signals: ['foreign_name'] };
+  return { score: 0, signals: [] };
+}
+
+/**
+ * 敬称・肩書きの前後から取り出した漢字の並びを、名前の部分だけに切り詰める
+ * 敬称の前では姓が見つかればそこから後ろ、肩書きの後では先頭から姓＋名の長さまでを名前とする
+ * 肩書きの後の漢字は姓の辞書に合う場合だけ名前とする（「社長の息子」「作家の作品」を除く）
+ */
+function trimKanjiName(raw, side) {
+  if (!/^[一-鿿々]+$/.test(raw)) return { name: raw, shift: 0 };
+  if (side === 'before') {
+    const found = findSurname(raw.slice(-(MAX_SURNAME_LENGTH + 3)));
+    const from = raw.length - Math.min(raw.length, MAX_SURNAME_LENGTH + 3);
+    if (found) return { name: raw.slice(from + found.offset), shift: from + found.offset };
+    return raw.length <= 3 ? { name: raw, shift: 0 } : null;
+  }
+  const found = findSurname(raw, { anchored: true });
+  return found ? { name: raw.slice(0, Math.min(raw.length, found.surname.length + 2)), shift: 0 } : null;
+}
+
+/**
+ * 候補を1件追加する（同じ範囲の候補は手がかりをまとめる）
+ */
+function addCandidate(candidates, { start, name, kind, signal, base }) {
+  const evidence = nameEvidence(name);
+  const key = `${start}\u0000${name}`;
+  const existing = candidates.get(key);
+  const signals = [signal, ...evidence.signals];
+  const confidence = base + evidence.score;
+  if (existing) {
+    signals.forEach(s => { if (!existing.signals.includes(s)) existing.signals.push(s); });
+    // 別の手がかりが重なるほど確信度を上げる
+    existing.confidence = Math.min(0.95, Math.max(existing.confidence, confidence) + 0.15);
+    return;
+  }
+  candidates.set(key, { start, end: start + name.length, name, kind, signals, confidence: Math.min(0.95, confidence) });
+}
+
+/**
+ * テキストから人物候補を集める
+ * @param {string} text - 照合するテキスト（コード・URL を空白にしたもの）
+ * @returns {Array} [{ start, end, name, kind, signals, confidence }]
+ */
+function collectCandidates(text) {
+  const candidates = new Map();
+
+  HONORIFIC_PATTERN.lastIndex = 0;
+  let m;
+  while ((m = HONORIFIC_PATTERN.exec(text)) !== null) {
+    const [, raw, honorific] = m;
+    const trimmed = trimKanjiName(raw, 'before');
+    if (!trimmed || trimmed.name.length < 2 && !SURNAMES.has(trimmed.name)) continue;
+    const { name, shift } = trimmed;
+    if (HONORIFIC_STOPWORDS.has(name) || OCCUPATION_ENDINGS.test(name) || TITLE_PREFIX_ENDINGS.test(name)) continue;
+    const base = HONORIFICS.find(([h]) => h === honorific)[1];
+    addCandidate(candidates, { start: m.index + shift, name, kind: 'honorific', signal: `honorific:${honorific}`, base });
+  }
+
+  ROLE_PATTERN.lastIndex = 0;
+  while ((m = ROLE_PATTERN.exec(text)) !== null) {
+    const [, role, raw] = m;
+    const trimmed = trimKanjiName(raw, 'after');
+    if (!trimmed || trimmed.name.length < 2) continue;
+    const start = m.index + role.length + 1;
+    addCandidate(candidates, { start, name: trimmed.name, kind: 'role', signal: `role:${role}`, base: 0.5 });
+  }
+
+  FULL_NAME_PATTERN.lastIndex = 0;
+  while ((m = FULL_NAME_PATTERN.exec(text)) !== null) {
+    const found = findSurname(m[0], { anchored: true });
+    // 1文字の姓（林・森など）は一般の語と重なりやすいので、姓＋名の形の判定には使わない
+    if (!found || found.surname.length < 2 || m[0].length - found.surname.length > 2) continue;
+    // 姓の後が敬称・肩書き（「中村先生」）や地名・組織名の語尾（「山田町」）なら姓＋名ではない
+    const rest = m[0].slice(found.surname.length);
+    if (NON_PERSON_ENDINGS.test(m[0]) || HONORIFICS.some(([h]) => rest.endsWith(h))) continue;
+    addCandidate(candidates, { start: m.index, name: m[0], kind: 'full_name', signal: 'full_name', base: 0.2 });
+  }
+
+  FOREIGN_NAME_PATTERN.lastIndex = 0;
+  while ((m = FOREIGN_NAME_PATTERN.exec(text)) !== null) {
+    addCandidate(candidates, { start: m.index, name: m[0], kind: 'foreign_name', signal: 'foreign_name_shape', base: 0.25 });
+  }
+
+  // 重なる候補は確信度の高いもの（同じなら長いもの）を残す
+  const sorted = [...candidates.values()]
+    .sort((a, b) => b.confidence - a.confidence || (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+  sorted.forEach(candidate => {
+    if (kept.some(k => candidate.start < k.end && k.start < candidate.end)) return;
+    kept.push(candidate);
+  });
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+// 手がかりの表示名
+function describeSignal(signal) {
+  const [kind, value] = signal.split(':');
+  switch (kind) {
+    case 'honorific': return `敬称「${value}」`;
+    case 'role': return `肩書き「${value}の」`;
+    case 'surname': return `姓の辞書（${value}）`;
+    case 'full_name': return '姓＋名の形';
+    case 'foreign_name':
+    case 'foreign_name_shape': return '中黒で区切った氏名の形';
+    default: return signal;
+  }
+}
+
+/**
+ * ルールに登録されていない人物の候補を検出
+ * @param {string} text - 検査対象のテキスト
+ * @param {Object} [options]
+ * @param {Object} [options.document] - parseMarkdown の戻り値（コード・URL を除いて照合し、region・section を付ける）
+ * @param {Array} [options.exclude] - 既に検出済みの範囲 [{ start, end }]（登録済みの人物名など）
+ * @returns {Array} person_candidate の指摘（confidence に 0〜1 の確信度、signals に手がかり）
+ */
+function detectPersonCandidates(text, options = {}) {
+  const { document, exclude = [] } = options;
+  const positions = createPositionIndex(text);
+
+  return collectCandidates(document ? document.maskedText : text)
+    .filter(c => c.confidence >= MIN_CONFIDENCE)
+    .filter(c => !exclude.some(e => c.start < e.end && e.start < c.end))
+    .map(c => {
+      const confidence = round(c.confidence);
+      const reasons = c.signals.map(describeSignal).join('・');
+      return {
+        type: 'person_candidate',
+        category: c.kind,
+        content: c.name,
+        ...describeSpan(text, c.start, c.end, positions),
+        ...(document ? document.locate(c.start) : {}),
+        confidence,
+        signals: c.signals,
+        risk: confidence >= MEDIUM_CONFIDENCE ? 'medium' : 'low',
+        suggestion: `「${c.name}」は人物名の可能性があります（確信度 ${Math.round(confidence * 100)}%: ${reasons}）。実在の人物であれば、パブリシティ権・名誉への配慮が必要です。架空の人物であれば、その旨を明示するか、実在の人物と重ならない名前を検討してください。`
+      };
+    });
+}
+
+/**
+ * 「〜風」「〜調」などの前の語が人物名らしいかの確信度
+ * 停止語（和風・北欧風・ビジネス調など）は 0、姓の辞書に合う漢字名・カタカナ名・英字の固有名詞は高くなる
+ * カタカナだけの語は「ハンバーガーのような」のような普通名詞の比喩が多いため、それだけでは報告の閾値に届かない。
+ * 「〜風」「〜調」「〜スタイル」（人の作風を指す語尾）に続く場合だけ閾値を超える
+ * @param {string} name - 「〜風」などの前の語
+ * @param {Object} [options]
+ * @param {boolean} [options.attributive] - 語尾が作風を指すもの（風・調・スタイル）か
+ * @returns {Object} { confidence, signals }
+ */
+function styleNameConfidence(name, options = {}) {
+  if (STYLE_STOPWORDS.has(name) || name.length < 2) return { confidence: 0, signals: [] };
+  const evidence = nameEvidence(name);
+  if (evidence.score > 0) return { confidence: round(0.3 + evidence.score), signals: evidence.signals };
+  if (/^[ァ-ヺ]/.test(name) && name.length >= 3) {
+    return options.attributive
+      ? { confidence: 0.45, signals: ['katakana_name', 'attributive_suffix'] }
+      : { confidence: 0.3, signals: ['katakana_name'] };
+  }
+  if (/^[A-Z]/.test(name)) return { confidence: 0.45, signals: ['proper_noun'] };
+  return { confidence: 0.2, signals: [] };
+}
+
+module.exports = {
+  detectPersonCandidates,
+  styleNameConfidence,
+  NAME_SOURCE,
+  MIN_CONFIDENCE,
+  DICTIONARY_PATH
+};
@@ -3,101 +3,151 @@
  * 実在の人物への言及を検出
  */
 
+const { getBuiltinRules } = require('./rulesLoader');
+const { getMatcher } = require('./matcher');
+const { createPositionIndex, describeSpan } = require('./textPosition');
+const { parseMarkdown } = require('./markdownDocument');
+const { detectPersonCandidates, styleNameConfidence, NAME_SOURCE, MIN_CONFIDENCE } = require('./personCandidates');
+
 // パターンベースの検出（「〜風」「〜のような」など）
-const STYLE_PATTERNS = [
-  /(.+?)風/g,
-  /(.+?)のような/g,
-  /(.+?)っぽい/g,
-  /(.+?)調/g,
-  /(.+?)スタイル/g,
-  /(.+?)みたいな/g
-];
-
-// 著名人カテゴリとリスクレベル
-const PERSON_CATEGORIES = {
-  comedian: { risk: 'medium', description: '芸人・コメディアン' },
-  actor: { risk: 'medium', description: '俳優・女優' },
-  musician: { risk: 'high', description: 'ミュージシャン・歌手' },
-  politician: { risk: 'low', description: '政治家（公人として風刺対象になりやすい）' },
-  business: { risk: 'medium', description: '経営者・実業家' },
-  influencer: { risk: 'medium', description: 'インフルエンサー・YouTuber' },
-  writer: { risk: 'low', description: '作家・評論家' }
-};
-
-// 知名度の高い日本の著名人（例）
-const KNOWN_PERSONS = {
-  comedian: ['バカリズム', 'サンドウィッチマン', '千鳥', 'かまいたち', 'ダウンタウン', '爆笑問題'],
-  business: ['孫正義', '三木谷浩史', '前澤友作', '堀江貴文'],
-  // 注：実際の実装ではより包括的なデータベースが必要
-};
+// 直前の名前の形（漢字・カタカナ・英字の固有名詞）だけを取り出し、文の先頭からは拾わない
+const STYLE_SUFFIXES = ['風', 'のような', 'っぽい', '調', 'スタイル', 'みたいな'];
+// 人の作風を指す語尾（「のような」「みたいな」などの比喩は普通名詞にも付く）
+const ATTRIBUTIVE_SUFFIXES = ['風', '調', 'スタイル'];
+const STYLE_PATTERNS = STYLE_SUFFIXES.map(suffix => ({
+  regex: new RegExp(`(${NAME_SOURCE})${suffix}`, 'g'),
+  attributive: ATTRIBUTIVE_SUFFIXES.includes(suffix)
+}));
+// 「〜風」の名前がこれ以上の確信度なら medium、未満なら low
+const STYLE_MEDIUM_CONFIDENCE = 0.6;
 
 /**
  * テキスト内の人物参照を検出
  * @param {string} text - 検査対象のテキスト
- * @returns {Array} 検出された人物参照のリスト
+ * @param {Object} [options]
+ * @param {Object} [options.rules] - loadRules で読み込んだルールセット（省略時は既定パック）
+ * @param {Object} [options.document] - parseMarkdown の戻り値（省略時はここで解析する）
+ * @param {Array} [options.exclude] - 他の検出器が検出済みの範囲 [{ start, end }]（ブランド名など）。人物候補から除く
+ * @returns {Array} 検出された人物参照のリスト（region・section に見出し・引用などの種類と属する節を付ける）
+ *   ルールにない人物名は person_candidate として確信度（confidence）付きで返す
  */
-function detectPersonReferences(text) {
+function detectPersonReferences(text, options = {}) {
+  const rules = options.rules || getBuiltinRules();
+  const document = options.document || parseMarkdown(text);
   const results = [];
-  const lines = text.split('\n');
+  const positions = createPositionIndex(text);
+
+  // 既知の著名人名の直接検出（出現ごとに1件。位置が分かるので個別に置換できる）
+  const known = getMatcher(rules, 'persons').findAll(document.maskedText);
+  const isKnown = name => known.some(found => found.match === name || found.entry.name === name);
 
-  // スタイルパターンの検出（「〜風」など）
-  lines.forEach((line, index) => {
-    STYLE_PATTERNS.forEach(pattern => {
-      const matches = [...line.matchAll(pattern)];
+  // スタイルパターンの検出（「〜風」など）。行ごとに照合し、位置は全文のオフセットに直す
+  // コード・URL・コメントを空白にしたテキストで照合し、和風・北欧風などの停止語と人物名らしくない語は除く
+  document.maskedText.split('\n').forEach((line, lineIndex) => {
+    const lineStart = positions.lineStart(lineIndex + 1);
+    STYLE_PATTERNS.forEach(({ regex, attributive }) => {
+      const matches = [...line.matchAll(regex)];
       matches.forEach(match => {
-        if (match[1] && match[1].length > 1 && match[1].length < 20) {
-          results.push({
-            type: 'style_reference',
-            content: match[0],
-            referencedName: match[1],
-            line: index + 1,
-            context: line.trim().substring(0, 100),
-            risk: 'medium',
-            suggestion: `「${match[1]}風」という表現は、実在の人物を指す場合、その人物の許諾なく商用利用することはリスクがあります。創作であることを明示するか、架空の名称への変更を検討してください。`
-          });
-        }
+        const name = match[1];
+        const { confidence, signals } = isKnown(name)
+          ? { confidence: 0.9, signals: ['known_person'] }
+          : styleNameConfidence(name, { attributive });
+        if (confidence < MIN_CONFIDENCE || name.length >= 20) return;
+        const start = lineStart + match.index;
+        results.push({
+          type: 'style_reference',
+          content: match[0],
+          referencedName: name,
+          ...describeSpan(text, start, start + match[0].length, positions),
+          ...document.locate(start),
+          confidence,
+          signals,
+          risk: confidence >= STYLE_MEDIUM_CONFIDENCE ? 'medium' : 'low',
+          suggestion: `「${match[0]}」という表現は、「${name}」が実在の人物を指す場合、その人物の許諾なく商用利用することはリスクがあります。創作であることを明示するか、架空の名称への変更を検討してください。`
+        });
       });
     });
   });
 
-  // 既知の著名人名の直接検出
-  for (const [category, persons] of Object.entries(KNOWN_PERSONS)) {
-    for (const person of persons) {
-      const regex = new RegExp(person, 'g');
-      lines.forEach((line, index) => {
-        if (regex.test(line)) {
-          results.push({
-            type: 'person_mention',
-            category: category,
-            content: person,
-            line: index + 1,
-            context: line.trim().substring(0, 100),
-            risk: PERSON_CATEGORIES[category]?.risk || 'medium',
-            suggestion: getPersonSuggestion(category, person)
-          });
-        }
-      });
-    }
-  }
+  known.forEach(found => {
+    const { entry, match } = found;
+    const category = rules.personCategories[entry.category];
+    results.push({
+      type: 'person_mention',
+      category: entry.category,
+      content: match,
+      ...(match !== entry.name ? { canonical: entry.name } : {}),
+      ...describeSpan(text, found.start, found.end, positions),
+      ...document.locate(found.start),
+      risk: entry.risk || category.risk || 'medium',
+      suggestion: getPersonSuggestion(category, match),
+      ...(entry.note ? { note: entry.note } : {})
+    });
+  });
+
+  // ルールにない人物名の候補（敬称・肩書き・姓＋名の形）。登録済みの名前・「〜風」・ブランド名（「ウーバー・イーツ」）の範囲は除く
+  results.push(...detectPersonCandidates(text, {
+    document,
+    exclude: [...known, ...results.filter(r => r.type === 'style_reference'), ...(options.exclude || [])]
+  }));
+
+  results.push(...detectPresetDeclaration(text));
 
   return results;
 }
 
+/**
+ * 生成物の front matter に宣言された文体プリセットを検出
+ * creative_writer_agent は実在人物を模倣するプリセットを使うと imitatesRealPerson: true を書き出す
+ * @param {string} text - 検査対象のテキスト
+ * @returns {Array} 検出結果（0件または1件）
+ */
+function detectPresetDeclaration(text) {
+  const frontMatter = text.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (!frontMatter) return [];
+
+  const lines = frontMatter[1].split(/\r?\n/);
+  const index = lines.findIndex(line => /^imitatesRealPerson:\s*true\s*$/.test(line));
+  if (index === -1) return [];
+
+  const field = name => {
+    const line = lines.find(l => l.startsWith(`${name}:`));
+    return line ? line.slice(name.length + 1).trim().replace(/^"(.*)"$/, '$1') : null;
+  };
+  const person = field('referencedPerson');
+  const label = field('presetLabel') || field('preset') || '不明なプリセット';
+  const subject = person ? `実在の人物「${person}」` : '実在の人物（名前は伏せられています）';
+  // 宣言行全体を範囲とする（先頭の "---" の分だけ行がずれる）
+  const positions = createPositionIndex(text);
+  const start = positions.offsetOf(index + 2, 1);
+
+  return [{
+    type: 'style_preset',
+    content: label,
+    referencedName: person || null,
+    ...describeSpan(text, start, start + lines[index].length, positions),
+    risk: 'medium',
+    suggestion: `この作品は${subject}の語り口を模倣するプリセット（${label}）で生成されています。公開時は本人の発言と誤解されないよう創作であることを明示するか、人物名を含まないプリセットでの再生成を検討してください。`
+  }];
+}
+
 /**
  * 人物参照に対する提案を生成
+ * カテゴリ定義に suggestion があればそれを使い（{name} は人物名に置き換わる）、なければ汎用の提案を返す
  */
 function getPersonSuggestion(category, person) {
-  const categoryInfo = PERSON_CATEGORIES[category];
-  
-  if (category === 'politician') {
-    return `政治家「${person}」への言及は、公人として風刺・批評の対象になることが法的に認められやすいですが、事実に基づかない誹謗中傷は避けてください。`;
-  }
-  
-  if (category === 'comedian') {
-    return `芸人「${person}」の芸風を参考にした創作は、「〜風」と明示することで許容される場合がありますが、本人の発言として誤解される表現は避けてください。`;
+  if (category && category.suggestion) {
+    return category.suggestion.replace(/\{name\}/g, person);
   }
-  
-  return `「${person}」（${categoryInfo?.description || '著名人'}）への言及は、文脈によってはパブリシティ権の侵害となる可能性があります。風刺目的であることを明確にしてください。`;
+  return `「${person}」（${category?.description || '著名人'}）への言及は、文脈によってはパブリシティ権の侵害となる可能性があります。風刺目的であることを明確にしてください。`;
 }
 
-module.exports = { detectPersonReferences, STYLE_PATTERNS, KNOWN_PERSONS };
+/**
+ * カテゴリごとの人物名一覧（既定パックから生成。互換性のために残している）
+ */
+const KNOWN_PERSONS = getBuiltinRules().persons.reduce((acc, entry) => {
+  (acc[entry.category] = acc[entry.category] || []).push(entry.name);
+  return acc;
+}, {});
+
+module.exports = { detectPersonReferences, detectPresetDeclaration, STYLE_PATTERNS, STYLE_SUFFIXES, KNOWN_PERSONS };
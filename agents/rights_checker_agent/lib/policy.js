@@ -0,0 +1,266 @@
+/**
+ * リスクポリシーモジュール
+ * 指摘ごとの重み付きスコアと判定ルールから総合リスクレベルを求める
+ * 掲載先（用途）ごとにポリシーを切り替えられるよう、ポリシーファイルに複数の用途を定義する
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+
+const BUILTIN_POLICY_PATH = path.join(__dirname, '..', 'policies', 'builtin.json');
+const LEVELS = ['low', 'medium', 'high', 'critical'];
+const USE_CASE_KEYS = ['description', 'riskWeights', 'typeWeights', 'categoryWeights', 'regionWeights', 'rules', 'exitCodes'];
+const RULE_KEYS = ['risk', 'type', 'category', 'minCount', 'minScore', 'level'];
+
+let builtinCache = null;
+
+function levelIndex(level) {
+  return LEVELS.indexOf(level);
+}
+
+/**
+ * ポリシーファイルを読み込む
+ * @param {string} filePath - .json / .yml / .yaml
+ */
+function loadPolicyFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`ポリシーファイルが見つかりません: ${filePath}`);
+  }
+  const source = fs.readFileSync(filePath, 'utf-8');
+  try {
+    return /\.ya?ml$/i.test(filePath) ? parseYaml(source) : JSON.parse(source);
+  } catch (err) {
+    throw new Error(`ポリシーファイルを解析できません: ${filePath}（${err.message}）`);
+  }
+}
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * ポリシーファイルのスキーマを検証
+ * @returns {Array} エラーメッセージ
+ */
+function validatePolicyFile(file, source) {
+  const errors = [];
+  const at = where => `${source}: ${where}`;
+  if (!isObject(file) || !isObject(file.useCases)) {
+    return [at('useCases（用途ごとのポリシー）が必要です')];
+  }
+
+  for (const [name, useCase] of Object.entries(file.useCases)) {
+    const where = `useCases.${name}`;
+    if (!isObject(useCase)) {
+      errors.push(at(`${where} はオブジェクトである必要があります`));
+      continue;
+    }
+    Object.keys(useCase).filter(key => !USE_CASE_KEYS.includes(key)).forEach(key => {
+      errors.push(at(`${where} の未知のキー "${key}"`));
+    });
+    ['riskWeights', 'typeWeights', 'categoryWeights', 'regionWeights', 'exitCodes'].forEach(section => {
+      if (useCase[section] !== undefined && !isObject(useCase[section])) {
+        errors.push(at(`${where}.${section} はオブジェクトである必要があります`));
+      }
+    });
+    ['riskWeights', 'typeWeights', 'categoryWeights', 'regionWeights'].forEach(section => {
+      if (!isObject(useCase[section])) return;
+      for (const [key, weight] of Object.entries(useCase[section])) {
+        if (typeof weight !== 'number' || weight < 0) {
+          errors.push(at(`${where}.${section}.${key} は0以上の数値である必要があります`));
+        }
+      }
+    });
+    Object.keys(isObject(useCase.riskWeights) ? useCase.riskWeights : {}).filter(key => !LEVELS.includes(key)).forEach(key => {
+      errors.push(at(`${where}.riskWeights のキーが不正です: ${key}`));
+    });
+    if (useCase.rules !== undefined && !Array.isArray(useCase.rules)) {
+      errors.push(at(`${where}.rules は配列である必要があります`));
+    }
+    (Array.isArray(useCase.rules) ? useCase.rules : []).forEach((rule, index) => {
+      const ruleAt = `${where}.rules[${index}]`;
+      if (!isObject(rule)) {
+        errors.push(at(`${ruleAt} はオブジェクトである必要があります`));
+        return;
+      }
+      if (!LEVELS.includes(rule.level)) {
+        errors.push(at(`${ruleAt}.level は ${LEVELS.join(' / ')} のいずれかです`));
+      }
+      if (rule.risk !== undefined && !LEVELS.includes(rule.risk)) {
+        errors.push(at(`${ruleAt}.risk が不正です: ${rule.risk}`));
+      }
+      if (rule.minCount === undefined && rule.minScore === undefined) {
+        errors.push(at(`${ruleAt} には minCount か minScore が必要です`));
+      }
+      ['minCount', 'minScore'].forEach(key => {
+        if (rule[key] !== undefined && (typeof rule[key] !== 'number' || rule[key] < 0)) {
+          errors.push(at(`${ruleAt}.${key} は0以上の数値である必要があります`));
+        }
+      });
+      Object.keys(rule).filter(key => !RULE_KEYS.includes(key)).forEach(key => {
+        errors.push(at(`${ruleAt} の未知のキー "${key}"`));
+      });
+    });
+    for (const [level, code] of Object.entries(isObject(useCase.exitCodes) ? useCase.exitCodes : {})) {
+      if (!LEVELS.includes(level) || !Number.isInteger(code) || code < 0) {
+        errors.push(at(`${where}.exitCodes.${level} が不正です`));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * ポリシーを読み込む
+ * 既定のポリシーファイルに、プロジェクト設定の "policyFile" → --policy-file の順で用途を重ねる
+ * @param {Object} [options]
+ * @param {string} [options.policyFile] - 追加のポリシーファイル
+ * @param {Object} [options.config] - loadProjectConfig の戻り値
+ * @returns {Object} { useCases, defaultUseCase, sources }
+ */
+function loadPolicies(options = {}) {
+  const files = [BUILTIN_POLICY_PATH];
+  if (options.config && options.config.policyFile) files.push(options.config.policyFile);
+  if (options.policyFile) files.push(path.resolve(options.policyFile));
+
+  const policies = { useCases: {}, defaultUseCase: 'default', sources: [] };
+  const errors = [];
+  files.forEach(source => {
+    const file = loadPolicyFile(source);
+    errors.push(...validatePolicyFile(file, source));
+    for (const [name, useCase] of Object.entries(file.useCases || {})) {
+      policies.useCases[name] = { ...useCase, name, source };
+    }
+    if (file.default) policies.defaultUseCase = file.default;
+    policies.sources.push(source);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`ポリシーにエラーがあります:\n  ${errors.join('\n  ')}`);
+  }
+  return policies;
+}
+
+/**
+ * 用途を選んでポリシーを返す
+ * @param {Object} policies - loadPolicies の戻り値
+ * @param {string} [name] - 用途名（省略時はポリシーファイルの default）
+ */
+function selectPolicy(policies, name) {
+  const useCase = name || policies.defaultUseCase;
+  const policy = policies.useCases[useCase];
+  if (!policy) {
+    throw new Error(`ポリシー "${useCase}" は定義されていません（${Object.keys(policies.useCases).join(' / ')}）`);
+  }
+  return policy;
+}
+
+/**
+ * 既定のポリシー（キャッシュ付き）
+ */
+function getDefaultPolicy() {
+  if (!builtinCache) {
+    builtinCache = selectPolicy(loadPolicies());
+  }
+  return builtinCache;
+}
+
+/**
+ * 指摘1件のスコア（リスクの重み × 種別の重み × カテゴリの重み × 文書上の位置の重み。未定義の重みは 1）
+ * 位置の重みは見出し・引用ブロックなど、指摘のあるブロックの種類（region）ごとに指定する
+ */
+function scoreIssue(issue, policy) {
+  const weight = (table, key) => (table && table[key] !== undefined ? table[key] : 1);
+  const risk = weight(policy.riskWeights, issue.risk);
+  const type = weight(policy.typeWeights, issue.type);
+  const category = issue.category ? weight(policy.categoryWeights, `${issue.type}/${issue.category}`) : 1;
+  const region = issue.region ? weight(policy.regionWeights, issue.region) : 1;
+  return risk * type * category * region;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * ルールの説明文
+ */
+function describeRule(rule) {
+  const target = [
+    rule.type ? `種別 ${rule.type}` : null,
+    rule.category ? `カテゴリ ${rule.category}` : null,
+    rule.risk ? `リスク ${rule.risk} 以上` : null
+  ].filter(Boolean).join('・') || 'すべて';
+  const conditions = [
+    rule.minCount !== undefined ? `${rule.minCount}件以上` : null,
+    rule.minScore !== undefined ? `スコア ${rule.minScore} 以上` : null
+  ].filter(Boolean).join(' かつ ');
+  return `${target}の指摘が${conditions} → ${rule.level}`;
+}
+
+/**
+ * ポリシーに従って総合リスクを判定
+ * 条件を満たしたルールのうち最も高いレベルを総合リスクとする（どのルールも満たさなければ low）
+ * @param {Array} issues - 指摘の一覧
+ * @param {Object} [policy] - selectPolicy の戻り値（省略時は既定のポリシー）
+ * @returns {Object} { level, score, policy, rules, breakdown }
+ */
+function evaluatePolicy(issues, policy = getDefaultPolicy()) {
+  const scored = issues.map(issue => ({ issue, score: scoreIssue(issue, policy) }));
+  const total = scored.reduce((sum, s) => sum + s.score, 0);
+
+  const rules = (policy.rules || []).map(rule => {
+    const matched = scored.filter(({ issue }) =>
+      (!rule.type || issue.type === rule.type) &&
+      (!rule.category || issue.category === rule.category) &&
+      (!rule.risk || levelIndex(issue.risk) >= levelIndex(rule.risk)));
+    const count = matched.length;
+    const score = matched.reduce((sum, s) => sum + s.score, 0);
+    const fired = (rule.minCount === undefined || count >= rule.minCount) &&
+      (rule.minScore === undefined || score >= rule.minScore) &&
+      (rule.minCount !== undefined || count > 0);
+    return { rule: describeRule(rule), level: rule.level, count, score: round(score), fired };
+  });
+
+  const level = rules
+    .filter(r => r.fired)
+    .reduce((worst, r) => (levelIndex(r.level) > levelIndex(worst) ? r.level : worst), 'low');
+
+  // 種別・カテゴリごとのスコアの内訳
+  const breakdown = new Map();
+  scored.forEach(({ issue, score }) => {
+    const key = issue.category ? `${issue.type}/${issue.category}` : issue.type;
+    const entry = breakdown.get(key) || { key, count: 0, score: 0 };
+    entry.count++;
+    entry.score += score;
+    breakdown.set(key, entry);
+  });
+
+  return {
+    level,
+    score: round(total),
+    policy: { name: policy.name, description: policy.description || '', source: policy.source },
+    rules,
+    breakdown: [...breakdown.values()]
+      .map(entry => ({ ...entry, score: round(entry.score) }))
+      .sort((a, b) => b.score - a.score)
+  };
+}
+
+/**
+ * 総合リスクレベルに対応する終了コード
+ */
+function exitCodeFor(level, policy = getDefaultPolicy()) {
+  const codes = policy.exitCodes || {};
+  return codes[level] !== undefined ? codes[level] : 0;
+}
+
+module.exports = {
+  loadPolicies,
+  selectPolicy,
+  getDefaultPolicy,
+  evaluatePolicy,
+  scoreIssue,
+  exitCodeFor,
+  validatePolicyFile,
+  BUILTIN_POLICY_PATH
+};
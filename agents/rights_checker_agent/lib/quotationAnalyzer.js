@@ -0,0 +1,277 @@
+/**
+ * 引用チェックモジュール
+ * 本文中の引用（「」『』・マークダウンの > 引用ブロック）を見つけ、著作権法上の引用の要件に沿っているかを確認する
+ * - 出所の明示: 引用の前後に出典（作品名・著者・URL など）が書かれているか
+ * - 主従関係: 本文に占める引用の割合が大きすぎないか
+ * - 歌詞らしい引用や長い引用は、許諾なしの利用が問題になりやすいため高リスクとする
+ */
+
+const { createPositionIndex, describeSpan } = require('./textPosition');
+const { parseMarkdown } = require('./markdownDocument');
+
+// これより長い『』は作品名ではなく引用として扱う
+const TITLE_MAX_LENGTH = 30;
+// 引用の長さ（空白を除いた文字数）とリスク
+const LONG_QUOTE_LENGTHS = { high: 200, medium: 80 };
+// 本文に占める引用の割合とリスク（引用が「従」であること）
+const QUOTED_SHARE_LIMITS = { high: 0.5, medium: 0.3 };
+// 抜粋（content）の最大文字数
+const EXCERPT_LENGTH = 30;
+// 「」『』の引用を探さないブロック（引用ブロックの中の括弧は引用ブロックとして扱う）
+const SKIPPED_REGIONS = ['front_matter', 'code', 'comment', 'blockquote'];
+
+// 引用の直後に続く、引用であることを示す述語（「…」と書いている、など）
+const CITATION_VERB = /^[」』]?(?:と|とは|という|といった)?[^。\n「」]{0,20}?(?:書い|書か|述べ|記し|記さ|綴っ|綴ら|歌っ|歌わ|歌う|歌い|語っ|引用|詠ん|詠ま)/;
+// 引用の直前にある、引用であることを示す言葉
+const CITATION_LEAD = /(?:の(?:一節|冒頭|歌詞|言葉|名言|文章|記述)|曰く|いわく|によれば|によると|より引用|から引用|は(?:こう|次のように)(?:書|述|記|歌|語))[^。\n]{0,10}$/;
+// 引用の近くにある出典の手がかり
+const SOURCE_PATTERNS = [
+  { pattern: /出典|引用元|より引用|から引用|より抜粋|から抜粋/, kind: 'source' },
+  { pattern: /https?:\/\/\S+/, kind: 'source' },
+  { pattern: /\[[^\]]+\]\([^)]+\)/, kind: 'source' },
+  { pattern: /『[^』\n]{1,30}』/, kind: 'source' },
+  { pattern: /(?:^|\n)\s*(?:>\s*)?(?:—|―|－|--)\s*\S/, kind: 'source' },
+  { pattern: /[（(][^）)\n]{1,40}(?:著|訳|作|編)[^）)\n]{0,20}[）)]/, kind: 'source' },
+  { pattern: /によれば|によると|曰く|いわく/, kind: 'author' },
+  { pattern: /[^\s、。「」『』]{1,20}(?:は|が|も)[^。「」\n]{0,10}$/, kind: 'author', before: true }
+];
+// 歌詞の引用であることを示す言葉
+const LYRIC_HINT = /歌詞|作詞|の一節|サビ|歌って|歌った|歌う|歌い|歌われ|[♪♫🎵🎶]/u;
+
+/**
+ * テキスト中の引用を解析
+ * @param {string} text - 検査対象のテキスト
+ * @param {Object} [options]
+ * @param {Object} [options.document] - parseMarkdown の戻り値（省略時はここで解析する）
+ * @returns {Object} { issues, analysis: { quotes, attributed, quotedCharacters, totalCharacters, quotedShare } }
+ */
+function analyzeQuotations(text, options = {}) {
+  const document = options.document || parseMarkdown(text);
+  const positions = createPositionIndex(text);
+  const quotes = [...findBlockquotes(document, positions), ...findInlineQuotes(text, document)]
+    .sort((a, b) => a.start - b.start);
+
+  const issues = [];
+  quotes.forEach(quote => {
+    const issue = assessQuote(text, quote, positions);
+    if (issue) issues.push({ ...issue, ...document.locate(issue.start) });
+  });
+
+  const countChars = s => s.replace(/\s/g, '').length;
+  const totalCharacters = countChars(text);
+  const quotedCharacters = quotes.reduce((sum, q) => sum + countChars(q.body), 0);
+  const quotedShare = totalCharacters > 0 ? Math.round((quotedCharacters / totalCharacters) * 1000) / 1000 : 0;
+
+  const shareRisk = quotedShare >= QUOTED_SHARE_LIMITS.high ? 'high'
+    : quotedShare >= QUOTED_SHARE_LIMITS.medium ? 'medium'
+      : null;
+  if (shareRisk) {
+    issues.push({
+      type: 'quotation',
+      category: 'quoted_share',
+      content: `引用の割合 ${Math.round(quotedShare * 100)}%`,
+      // 文書全体に対する指摘のため位置はない
+      risk: shareRisk,
+      suggestion: `本文の${Math.round(quotedShare * 100)}%が引用です。引用は自分の文章に対して「従」である必要があります。引用を減らすか、自分の文章を主体にしてください。`
+    });
+  }
+
+  return {
+    issues,
+    analysis: {
+      quotes: quotes.length,
+      attributed: quotes.filter(q => q.attribution).length,
+      quotedCharacters,
+      totalCharacters,
+      quotedShare
+    }
+  };
+}
+
+/**
+ * マークダウンの > 引用ブロック（文書モデルの blockquote ブロック）を引用として取り出す
+ */
+function findBlockquotes(document, positions) {
+  return document.blocks.filter(b => b.type === 'blockquote').map(block => {
+    const lines = [];
+    for (let line = block.line; line <= block.endLine; line++) {
+      lines.push(positions.lineText(line).replace(/^\s{0,3}>\s?/, ''));
+    }
+    // 引用ブロックの最後の行が「— 著者『作品名』」なら、それは出典であって引用文ではない
+    let sourceLine = null;
+    if (lines.length > 1 && /^\s*(?:—|―|－|--|出典|引用元)/.test(lines[lines.length - 1])) {
+      sourceLine = lines.pop();
+    }
+    return {
+      kind: 'blockquote',
+      start: block.start,
+      end: block.end,
+      body: lines.join('\n'),
+      lines: lines.filter(l => l.trim() !== ''),
+      firstLine: block.line,
+      lastLine: block.endLine,
+      sourceLine
+    };
+  });
+}
+
+/**
+ * 「」『』の引用を探す（入れ子の内側は外側の引用の一部として扱う）
+ * 「」は会話や強調にも使うため、前後に引用を示す言葉（「…」と書いている、〜の一節 など）があるものだけを引用とみなす
+ * 『』は短いものを作品名とみなし、長いものや文を含むものを引用とする
+ */
+function findInlineQuotes(text, document) {
+  const quotes = [];
+  const pairs = { '「': '」', '『': '』' };
+  const stack = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (pairs[ch]) {
+      stack.push({ open: ch, start: i });
+    } else if (stack.length > 0 && ch === pairs[stack[stack.length - 1].open]) {
+      const { open, start } = stack.pop();
+      if (stack.length === 0) quotes.push({ open, start, end: i + 1 });
+    } else if (ch === '\n' && stack.length > 0 && text[i + 1] === '\n') {
+      // 段落をまたぐ括弧は閉じ忘れとみなして捨てる
+      stack.length = 0;
+    }
+  }
+
+  return quotes
+    // front matter・コード・コメント・引用ブロックの中と、インラインコード・URL の中の括弧は除く
+    .filter(q => !SKIPPED_REGIONS.includes(document.regionAt(q.start)) && !document.isExcluded(q.start, q.start + 1))
+    .map(q => ({ ...q, body: text.slice(q.start + 1, q.end - 1) }))
+    .filter(q => {
+      const length = q.body.replace(/\s/g, '').length;
+      if (q.open === '『') return length > TITLE_MAX_LENGTH || /[。！？!?\n]/.test(q.body);
+      const after = text.slice(q.end, q.end + 30);
+      const before = text.slice(Math.max(0, q.start - 30), q.start);
+      return CITATION_VERB.test(after) || CITATION_LEAD.test(before);
+    })
+    .map(q => ({ ...q, kind: q.open === '『' ? 'double_bracket' : 'bracket', lines: q.body.split('\n') }));
+}
+
+/**
+ * 引用の前後を取り出す
+ * 前後の行が空行なら、その先の行（引用ブロックの前置き・直後の出典行）を使う
+ * @returns {Object} { previous: 前の行, before: 同じ行の引用より前, after: 同じ行の引用より後, next: 次の行 }
+ */
+function surroundingsOf(text, quote, positions) {
+  const firstLine = positions.position(quote.start).line;
+  const lastLine = positions.position(Math.max(quote.start, quote.end - 1)).line;
+  const nonBlank = (line, step) => {
+    if (line < 1 || line > positions.lineCount) return '';
+    const content = positions.lineText(line);
+    if (content.trim() !== '') return content;
+    const further = line + step;
+    return further >= 1 && further <= positions.lineCount ? positions.lineText(further) : '';
+  };
+  return {
+    previous: nonBlank(firstLine - 1, -1),
+    before: text.slice(positions.lineStart(firstLine), quote.start),
+    after: text.slice(quote.end, positions.lineEnd(lastLine)),
+    next: nonBlank(lastLine + 1, 1)
+  };
+}
+
+/**
+ * 引用の出典を探す
+ * @returns {Object|null} { kind: 'source' | 'author', evidence }
+ */
+function findAttribution(text, quote, positions) {
+  if (quote.sourceLine) return { kind: 'source', evidence: quote.sourceLine.trim() };
+  const around = surroundingsOf(text, quote, positions);
+  const before = `${around.previous}\n${around.before}`;
+  const after = `${around.after}\n${around.next}`;
+  let found = null;
+  for (const { pattern, kind, before: onlyBefore } of SOURCE_PATTERNS) {
+    const targets = onlyBefore ? [before] : [before, after];
+    for (const target of targets) {
+      const match = target.match(pattern);
+      if (!match) continue;
+      // 出典（作品名・URL など）は著者名だけより優先する
+      if (kind === 'source') return { kind, evidence: match[0].trim() };
+      // 著者名だけの手がかりは、引用を示す述語（「…」と書いている等）を伴う場合に限る
+      if (!found && (!onlyBefore || CITATION_VERB.test(text.slice(quote.end - 1, quote.end + 30)))) {
+        found = { kind, evidence: match[0].trim() };
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * 歌詞らしい引用か
+ * 歌詞を示す言葉が近くにあるか、短い行が続く詩のような形の引用ブロック
+ */
+function looksLikeLyrics(text, quote, positions) {
+  // 歌詞を示す言葉は、同じ行か、引用ブロックの前置きの行に限って見る
+  const around = surroundingsOf(text, quote, positions);
+  const hints = [around.before, around.after, quote.kind === 'blockquote' ? around.previous : ''];
+  if (hints.some(hint => LYRIC_HINT.test(hint)) || /[♪♫🎵🎶]/u.test(quote.body)) return true;
+  const lines = quote.lines.map(l => l.trim()).filter(Boolean);
+  return quote.kind === 'blockquote' && lines.length >= 3 &&
+    lines.every(l => l.length <= 30) &&
+    lines.filter(l => /[。．.]$/.test(l)).length <= lines.length / 3;
+}
+
+function riskOrder(risk) {
+  return ['low', 'medium', 'high', 'critical'].indexOf(risk);
+}
+
+/**
+ * 引用1件を評価し、問題があれば指摘を返す
+ */
+function assessQuote(text, quote, positions) {
+  quote.attribution = findAttribution(text, quote, positions);
+  const length = quote.body.replace(/\s/g, '').length;
+  const reasons = [];
+
+  if (looksLikeLyrics(text, quote, positions)) {
+    reasons.push({
+      category: 'lyrics',
+      risk: 'high',
+      message: '歌詞の引用と思われます。歌詞は短くても著作物として保護され、管理団体の許諾が必要になることがあります'
+    });
+  }
+  if (length >= LONG_QUOTE_LENGTHS.medium) {
+    reasons.push({
+      category: 'long_quote',
+      risk: length >= LONG_QUOTE_LENGTHS.high ? 'high' : 'medium',
+      message: `${length}文字の長い引用です。引用は必要最小限にとどめてください`
+    });
+  }
+  if (!quote.attribution) {
+    reasons.push({
+      category: 'no_source',
+      risk: length >= LONG_QUOTE_LENGTHS.medium ? 'high' : 'medium',
+      message: '出典が見つかりません。引用の前後に著者名と作品名（URL）を明記してください'
+    });
+  } else if (quote.attribution.kind === 'author') {
+    reasons.push({
+      category: 'author_only',
+      risk: 'low',
+      message: '著者は示されていますが、作品名・出典が見つかりません'
+    });
+  }
+  if (reasons.length === 0) return null;
+
+  reasons.sort((a, b) => riskOrder(b.risk) - riskOrder(a.risk));
+  const primary = reasons[0];
+  const compact = quote.body.replace(/\s+/g, ' ').trim();
+  return {
+    type: 'quotation',
+    category: primary.category,
+    content: compact.length > EXCERPT_LENGTH ? `${compact.slice(0, EXCERPT_LENGTH)}…` : compact,
+    ...describeSpan(text, quote.start, quote.end, positions),
+    quoteKind: quote.kind,
+    quoteLength: length,
+    ...(quote.attribution ? { attribution: quote.attribution.evidence } : {}),
+    risk: primary.risk,
+    suggestion: reasons.map(r => r.message).join('。') + '。',
+    ...(reasons.length > 1 ? { note: `該当: ${reasons.map(r => r.category).join(', ')}` } : {})
+  };
+}
+
+module.exports = { analyzeQuotations, LONG_QUOTE_LENGTHS, QUOTED_SHARE_LIMITS };
@@ -3,33 +3,30 @@
  * 分析結果を整形してレポートを出力
  */
 
+const { evaluatePolicy } = require('./policy');
+const { LABELS: SATIRE_LABELS } = require('./satireClassifier');
+const { ASSERTION_LABELS } = require('./sentimentAnalyzer');
+const { REGION_LABELS } = require('./markdownDocument');
+
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
 /**
  * 全ての分析結果を統合してレポートを生成
- * @param {Object} params - 分析結果
+ * @param {Object} params - 分析結果（policy を渡すとそのポリシーで総合リスクを判定する）
  * @returns {Object} 統合レポート
  */
-function generateReport({ brandIssues, personIssues, originalityAnalysis, metadata }) {
-  const allIssues = [...brandIssues, ...personIssues];
-  
-  // リスクレベルの集計
-  const riskCounts = {
-    critical: 0,
-    high: 0,
-    medium: 0,
-    low: 0
-  };
-
-  allIssues.forEach(issue => {
-    if (riskCounts[issue.risk] !== undefined) {
-      riskCounts[issue.risk]++;
-    }
-  });
-
-  // 総合リスクレベルの判定
-  let overallRisk = 'low';
-  if (riskCounts.critical > 0) overallRisk = 'critical';
-  else if (riskCounts.high > 0) overallRisk = 'high';
-  else if (riskCounts.medium > 2) overallRisk = 'medium';
+function generateReport({ brandIssues, personIssues, quotationIssues = [], quotationAnalysis = null, suppressedIssues = [], suppressionNotes = {}, originalityAnalysis, metadata, policy }) {
+  const allIssues = [...brandIssues, ...personIssues, ...quotationIssues];
+  const riskCounts = countRisks(allIssues);
+  const assessment = evaluatePolicy(allIssues, policy);
+  // 参照コーパスとの重なりがあれば、その評価も総合リスクに反映する
+  const similarity = originalityAnalysis?.similarityAnalysis;
+  if (similarity) {
+    assessment.similarity = { level: similarity.risk, coverage: similarity.coverage, matches: similarity.matches.length };
+  }
+  const overallRisk = similarity && RISK_LEVELS.indexOf(similarity.risk) > RISK_LEVELS.indexOf(assessment.level)
+    ? similarity.risk
+    : assessment.level;
 
   return {
     metadata: {
@@ -42,6 +39,8 @@ function generateReport({ brandIssues, personIssues, originalityAnalysis, metada
       overallRisk: overallRisk,
       totalIssues: allIssues.length,
       riskBreakdown: riskCounts,
+      // 総合リスクをどのように判定したか（ポリシー・スコア・ルール）
+      riskAssessment: assessment,
       recommendation: getOverallRecommendation(overallRisk, allIssues)
     },
     brandIssues: {
@@ -52,9 +51,51 @@ function generateReport({ brandIssues, personIssues, originalityAnalysis, metada
       count: personIssues.length,
       items: personIssues
     },
+    // 引用の形式（出典・分量・歌詞）に関する指摘
+    quotationIssues: {
+      count: quotationIssues.length,
+      items: quotationIssues,
+      analysis: quotationAnalysis
+    },
+    // 許可リスト・抑制コメントで抑制された指摘（リスクの集計には含めない）
+    suppressedIssues: {
+      count: suppressedIssues.length,
+      items: suppressedIssues,
+      expired: suppressionNotes.expired || [],
+      warnings: suppressionNotes.warnings || []
+    },
     originalityAnalysis: originalityAnalysis,
-    actionItems: generateActionItems(allIssues)
+    actionItems: generateActionItems(allIssues, similarity)
+  };
+}
+
+/**
+ * リスクレベルごとの件数を集計
+ */
+function countRisks(issues) {
+  const riskCounts = {
+    critical: 0,
+    high: 0,
+    medium: 0,
+    low: 0
   };
+
+  issues.forEach(issue => {
+    if (riskCounts[issue.risk] !== undefined) {
+      riskCounts[issue.risk]++;
+    }
+  });
+
+  return riskCounts;
+}
+
+/**
+ * 指摘の一覧から総合リスクレベルを判定
+ * @param {Array} issues - 指摘の一覧
+ * @param {Object} [policy] - リスクポリシー（省略時は既定のポリシー）
+ */
+function aggregateRisk(issues, policy) {
+  return evaluatePolicy(issues, policy).level;
 }
 
 /**
@@ -74,7 +115,7 @@ function getOverallRecommendation(overallRisk, issues) {
 /**
  * 具体的なアクションアイテムを生成
  */
-function generateActionItems(issues) {
+function generateActionItems(issues, similarity) {
   const actions = [];
   const seenTypes = new Set();
 
@@ -101,9 +142,21 @@ function generateActionItems(issues) {
     }
   });
 
+  // 参照コーパスと重なる文書ごとに1件
+  (similarity ? similarity.matches : []).forEach(match => {
+    if (match.risk === 'low') return;
+    // 総合評価（類似のリスク）と同じ段階で示す
+    actions.push({
+      priority: match.risk,
+      type: 'similarity',
+      action: `「${match.source}」と重なる${match.passages.length}箇所を書き直すか、引用として出典を明記してください`,
+      detail: `本文の${Math.round(match.coverage * 100)}%が一致しています（最長 ${Math.max(...match.passages.map(p => p.length))}文字）`
+    });
+  });
+
   // 優先度でソート
   actions.sort((a, b) => {
-    const priorityOrder = { high: 0, medium: 1, low: 2 };
+    const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
     return priorityOrder[a.priority] - priorityOrder[b.priority];
   });
 
@@ -128,7 +181,7 @@ function generateMarkdownReport(report) {
 
 ${report.summary.recommendation}
 
----
+${report.metadata.rewrite ? generateRewriteSection(report.metadata.rewrite) : ''}${report.baseline ? generateBaselineSection(report.baseline) : ''}---
 
 ## リスク内訳
 
@@ -138,7 +191,7 @@ ${report.summary.recommendation}
 | 🟠 High | ${report.summary.riskBreakdown.high} |
 | 🟡 Medium | ${report.summary.riskBreakdown.medium} |
 | 🟢 Low | ${report.summary.riskBreakdown.low} |
-
+${report.summary.riskAssessment ? generateAssessmentSection(report.summary.riskAssessment) : ''}
 ---
 
 ## ブランド・商標に関する指摘 (${report.brandIssues.count}件)
@@ -152,9 +205,9 @@ ${report.summary.recommendation}
       md += `### ${index + 1}. ${issue.content}
 
 - **種別**: ${issue.type} (${issue.category || 'general'})
-- **行番号**: ${issue.line}
+- **位置**: ${formatPosition(issue)}
 - **リスク**: ${getRiskBadge(issue.risk)}
-- **文脈**: "${issue.context}..."
+${formatSatire(issue)}${formatSentiment(issue)}- **文脈**: "${issue.context}"
 - **提案**: ${issue.suggestion}
 
 `;
@@ -173,16 +226,22 @@ ${report.summary.recommendation}
     report.personIssues.items.forEach((issue, index) => {
       md += `### ${index + 1}. ${issue.content}
 
-- **種別**: ${issue.type}
-- **行番号**: ${issue.line}
+- **種別**: ${issue.type}${issue.category ? ` (${issue.category})` : ''}
+- **位置**: ${formatPosition(issue)}
 - **リスク**: ${getRiskBadge(issue.risk)}
-- **文脈**: "${issue.context}..."
+${issue.confidence !== undefined ? `- **確信度**: ${Math.round(issue.confidence * 100)}%\n` : ''}${formatSatire(issue)}${formatSentiment(issue)}- **文脈**: "${issue.context}"
 - **提案**: ${issue.suggestion}
 
 `;
     });
   }
 
+  if (report.quotationIssues) {
+    md += generateQuotationSection(report.quotationIssues);
+  }
+
+  md += generateSuppressedSection(report.suppressedIssues);
+
   md += `---
 
 ## オリジナリティ分析
@@ -193,7 +252,7 @@ ${report.summary.recommendation}
 
   if (report.originalityAnalysis?.themeAnalysis) {
     report.originalityAnalysis.themeAnalysis.forEach(theme => {
-      md += `- **${theme.theme}**: ${theme.frequency}回言及 (${theme.note})\n`;
+      md += `- **${theme.theme}**: ${theme.frequency}回言及${theme.inHeadings ? `（うち見出し ${theme.inHeadings}件）` : ''} (${theme.note})\n`;
     });
   }
 
@@ -202,12 +261,12 @@ ${report.summary.recommendation}
 
 ${report.originalityAnalysis?.styleAnalysis ? 
   `- 形式: ${report.originalityAnalysis.styleAnalysis.assessment}
-- 風刺表現: ${report.originalityAnalysis.styleAnalysis.usesSatire ? 'あり' : 'なし'}
+- 風刺表現: ${report.originalityAnalysis.styleAnalysis.usesSatire ? 'あり' : 'なし'}${report.originalityAnalysis.styleAnalysis.satireScore !== undefined ? `（風刺スコア ${report.originalityAnalysis.styleAnalysis.satireScore}）` : ''}
 - アイロニー: ${report.originalityAnalysis.styleAnalysis.usesIrony ? 'あり' : 'なし'}
 - 対話形式: ${report.originalityAnalysis.styleAnalysis.dialogueStyle ? 'あり' : 'なし'}
 ` : '分析データなし'}
 
-### 総合評価
+${report.originalityAnalysis?.similarityAnalysis ? generateSimilaritySection(report.originalityAnalysis.similarityAnalysis) : ''}### 総合評価
 
 ${report.originalityAnalysis?.overallAssessment?.message || '評価なし'}
 
@@ -237,6 +296,227 @@ ${report.originalityAnalysis?.overallAssessment?.message || '評価なし'}
   return md;
 }
 
+/**
+ * 自動書き換え（生成→チェック→置換のループ）の結果セクションを生成
+ */
+function generateRewriteSection(rewrite) {
+  let md = `### 自動書き換え
+
+- **置換の閾値**: ${getRiskBadge(rewrite.threshold)} 以上
+- **実行回数**: ${rewrite.iterations.length}回（上限 ${rewrite.maxIterations}回）
+- **結果**: ${rewrite.clean ? '閾値以上の指摘は解消されました' : `閾値以上の指摘が${rewrite.remaining}件残っています`}
+
+`;
+
+  rewrite.iterations.forEach(iteration => {
+    iteration.replacements.forEach(r => {
+      md += `- ${iteration.iteration}回目 / ${formatPosition(r)}: 「${r.from}」→「${r.to}」\n`;
+    });
+  });
+
+  return md + '\n';
+}
+
+/**
+ * 引用に関する指摘のセクションを生成
+ */
+function generateQuotationSection(quotations) {
+  const analysis = quotations.analysis;
+  let md = `---
+
+## 引用に関する指摘 (${quotations.count}件)
+
+`;
+  if (analysis) {
+    md += `- **引用**: ${analysis.quotes}件（出典あり ${analysis.attributed}件）
+- **引用の割合**: ${Math.round(analysis.quotedShare * 100)}%（${analysis.quotedCharacters} / ${analysis.totalCharacters}文字）
+
+`;
+  }
+
+  if (quotations.items.length === 0) {
+    return md + '特に問題は検出されませんでした。\n\n';
+  }
+
+  quotations.items.forEach((issue, index) => {
+    md += `### ${index + 1}. ${issue.content}
+
+- **種別**: ${issue.type} (${issue.category})
+- **位置**: ${formatPosition(issue)}
+- **リスク**: ${getRiskBadge(issue.risk)}
+${issue.attribution ? `- **出典の手がかり**: ${issue.attribution}\n` : ''}${issue.context ? `- **文脈**: "${issue.context}"\n` : ''}- **提案**: ${issue.suggestion}
+
+`;
+  });
+  return md;
+}
+
+/**
+ * 参照コーパスとの類似度のセクションを生成
+ */
+function generateSimilaritySection(similarity) {
+  let md = `### 既存作品との類似（参照コーパス）
+
+- **コーパス**: ${similarity.corpusDir}（${similarity.documents}件）
+- **重なり**: 本文の${Math.round(similarity.coverage * 100)}%
+- **リスク**: ${getRiskBadge(similarity.risk)}
+
+`;
+
+  if (similarity.matches.length === 0) {
+    return md + '重なる箇所は見つかりませんでした。\n\n';
+  }
+
+  md += '| 出典 | リスク | 類似度（MinHash） | 本文に占める割合 | 重なる箇所 |\n|------|--------|-------------------|------------------|------------|\n';
+  similarity.matches.forEach(m => {
+    md += `| ${m.source}${m.stale ? '（索引作成後に変更あり）' : ''} | ${getRiskBadge(m.risk)} | ${m.similarity} | ${Math.round(m.coverage * 100)}% | ${m.passages.length}箇所 |\n`;
+  });
+  md += '\n';
+
+  similarity.matches.forEach(m => {
+    m.passages.forEach(p => {
+      const source = p.sourceLine ? `${m.source} ${formatPosition({ line: p.sourceLine, column: p.sourceColumn })}` : m.source;
+      md += `- ${formatPosition(p)}（${p.length}文字、${getRiskBadge(p.risk)}）← ${source}: "${p.excerpt}"\n`;
+    });
+  });
+
+  return md + '\n';
+}
+
+/**
+ * 総合リスクの判定根拠のセクションを生成
+ */
+function generateAssessmentSection(assessment) {
+  let md = `
+### 総合リスクの判定根拠
+
+- **ポリシー**: ${assessment.policy.name}${assessment.policy.description ? `（${assessment.policy.description}）` : ''}
+- **スコア合計**: ${assessment.score}
+- **判定**: 条件を満たしたルールのうち最も高いレベル → ${getRiskBadge(assessment.level)}
+${assessment.similarity ? `- **既存作品との類似**: ${getRiskBadge(assessment.similarity.level)}（${assessment.similarity.matches}件の文書と重なり、本文の${Math.round(assessment.similarity.coverage * 100)}%）。ルールによる判定より高い場合は総合リスクに反映します
+` : ''}
+| ルール | 該当件数 | スコア | 結果 |
+|--------|----------|--------|------|
+`;
+  assessment.rules.forEach(r => {
+    md += `| ${r.rule} | ${r.count} | ${r.score} | ${r.fired ? '✔ 該当' : '-'} |\n`;
+  });
+
+  if (assessment.breakdown.length > 0) {
+    md += '\n| 種別/カテゴリ | 件数 | スコア |\n|---------------|------|--------|\n';
+    assessment.breakdown.forEach(b => {
+      md += `| ${b.key} | ${b.count} | ${b.score} |\n`;
+    });
+  }
+
+  return md + '\n';
+}
+
+/**
+ * ベースラインとの比較結果のセクションを生成
+ */
+function generateBaselineSection(baseline) {
+  let md = `### ベースラインとの比較
+
+- **ベースライン**: ${baseline.source}${baseline.analyzedAt ? `（${baseline.analyzedAt}）` : ''}
+- **新しい指摘**: ${baseline.counts.new}件（リスク判定: ${getRiskBadge(baseline.risk)}）
+- **解消した指摘**: ${baseline.counts.resolved}件
+- **変わらない指摘**: ${baseline.counts.unchanged}件
+
+`;
+
+  const list = (title, issues) => {
+    if (issues.length === 0) return '';
+    let section = `#### ${title}\n\n`;
+    issues.forEach(issue => {
+      section += `- ${getRiskBadge(issue.risk)} 「${issue.content}」（${issue.type}、${formatPosition(issue)}）: "${issue.context}"\n`;
+    });
+    return section + '\n';
+  };
+  md += list('新しい指摘', baseline.new);
+  md += list('解消した指摘（ベースラインの位置）', baseline.resolved);
+
+  return md;
+}
+
+/**
+ * 抑制された指摘のセクションを生成（抑制も期限切れも警告もなければ空）
+ */
+function generateSuppressedSection(suppressed) {
+  if (!suppressed || (suppressed.count === 0 && suppressed.expired.length === 0 && suppressed.warnings.length === 0)) {
+    return '';
+  }
+
+  let md = `---
+
+## 抑制された指摘 (${suppressed.count}件)
+
+`;
+  if (suppressed.count > 0) {
+    md += '| リスク | 内容 | 種別 | 位置 | 抑制 | 理由 |\n|--------|------|------|------|------|------|\n';
+    suppressed.items.forEach(issue => {
+      const s = issue.suppression;
+      const how = s.source === 'inline'
+        ? `抑制コメント（${s.line}行目${s.scope === 'file' ? '・ファイル全体' : ''}）`
+        : `許可リスト${s.expires ? `（${s.expires}まで）` : ''}`;
+      md += `| ${getRiskBadge(issue.risk)} | ${issue.content} | ${issue.type} | ${formatPosition(issue)} | ${how} | ${s.reason || '（理由なし）'} |\n`;
+    });
+    md += '\n';
+  }
+
+  if (suppressed.expired.length > 0) {
+    md += '### 期限切れの許可（適用されていません）\n\n';
+    suppressed.expired.forEach(e => {
+      md += `- \`${e.target}\`（${e.expires}まで）: ${e.reason} — ${e.count}件が再び指摘されています\n`;
+    });
+    md += '\n';
+  }
+
+  if (suppressed.warnings.length > 0) {
+    md += '### 抑制コメントの警告\n\n';
+    suppressed.warnings.forEach(w => {
+      md += `- ${w}\n`;
+    });
+    md += '\n';
+  }
+
+  return md;
+}
+
+/**
+ * 風刺判定の行を返す（判定のない指摘は空文字）
+ */
+function formatSatire(issue) {
+  if (!issue.satire) return '';
+  const { label, score, originalRisk, explanation } = issue.satire;
+  const change = originalRisk ? ` ${originalRisk} → ${issue.risk}` : '';
+  return `- **風刺判定**: ${SATIRE_LABELS[label] || label}（スコア ${score}）${change} — ${explanation}\n`;
+}
+
+/**
+ * 否定的文脈の分析の行を返す（否定的な文脈でない指摘は空文字）
+ */
+function formatSentiment(issue) {
+  if (!issue.sentiment) return '';
+  const { assertion, originalRisk, reason } = issue.sentiment;
+  const change = originalRisk ? ` ${originalRisk} → ${issue.risk}` : '';
+  return `- **否定的文脈**: ${ASSERTION_LABELS[assertion] || assertion}${change} — ${reason}\n`;
+}
+
+/**
+ * 指摘の位置を「12行目 5列目」の形式で返す（列が不明な場合は行のみ）
+ * 本文以外のブロック（見出し・引用など）や属する節が分かる場合は「（見出し / 第二幕：…）」を添える
+ */
+function formatPosition(issue) {
+  if (!issue.line) return '文書全体';
+  const position = issue.column ? `${issue.line}行目 ${issue.column}列目` : `${issue.line}行目`;
+  const where = [
+    issue.region && issue.region !== 'paragraph' ? REGION_LABELS[issue.region] || issue.region : null,
+    issue.section
+  ].filter(Boolean);
+  return where.length > 0 ? `${position}（${where.join(' / ')}）` : position;
+}
+
 /**
  * リスクレベルのバッジを返す
  */
@@ -250,4 +530,4 @@ function getRiskBadge(risk) {
   return badges[risk] || badges.low;
 }
 
-module.exports = { generateReport, generateMarkdownReport };
+module.exports = { generateReport, generateMarkdownReport, aggregateRisk, getRiskBadge, formatPosition };
@@ -0,0 +1,149 @@
+/**
+ * 対話的レビューモジュール
+ * 指摘を1件ずつ確認するための材料（強調した文脈・許可リストのエントリ）を作り、
+ * レビューの判断（置換・許可・スキップ）を元のテキストに適用して、判断の記録をまとめる
+ * 端末とのやり取り（readline）は cli/check.js の --interactive が行う
+ */
+
+const { createPositionIndex } = require('./textPosition');
+
+// 判断の種類
+const ACTIONS = {
+  accept: '置換候補を適用',
+  replace: '置換先を入力',
+  suppress: '許可リストに追加',
+  skip: 'スキップ'
+};
+
+// 強調した文脈として前後に表示する最大文字数
+const HIGHLIGHT_MARGIN = 40;
+
+/**
+ * レビューする指摘（位置情報があり、テキストの該当箇所を指しているもの）を出現順に並べる
+ * @param {Object} report - generateReport の戻り値
+ * @param {string} text - 検査したテキスト
+ * @returns {Array} 指摘
+ */
+function reviewableIssues(report, text) {
+  return [...report.brandIssues.items, ...report.personIssues.items, ...report.quotationIssues.items]
+    .filter(issue => Number.isInteger(issue.start) && Number.isInteger(issue.end) &&
+      text.slice(issue.start, issue.end) === issue.match)
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * 指摘の行を、該当箇所を強調して切り出す
+ * @param {string} text - 検査したテキスト
+ * @param {Object} issue - 指摘
+ * @param {Object} [options]
+ * @param {boolean} [options.color] - ANSI の反転表示で強調する（false なら [[ ]] で囲む）
+ * @returns {string} 強調した文脈
+ */
+function highlightContext(text, issue, options = {}) {
+  const positions = createPositionIndex(text);
+  const line = positions.lineOf(issue.start);
+  const from = Math.max(positions.lineStart(line), issue.start - HIGHLIGHT_MARGIN);
+  const to = Math.min(Math.max(positions.lineEnd(line), issue.end), issue.end + HIGHLIGHT_MARGIN);
+  const [open, close] = options.color ? ['\x1b[7m', '\x1b[0m'] : ['[[', ']]'];
+  const head = from > positions.lineStart(line) ? '…' : '';
+  const tail = to < positions.lineEnd(line) ? '…' : '';
+  return `${head}${text.slice(from, issue.start)}${open}${text.slice(issue.start, issue.end)}${close}${text.slice(issue.end, to)}${tail}`
+    .replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * 指摘を許可する許可リストのエントリを作る
+ * ブランド・人物は名前で、それ以外の指摘は種別と行で、いずれも対象のファイルに限って許可する
+ * @param {Object} issue - 指摘
+ * @param {Object} options
+ * @param {string} options.reason - 許可の理由
+ * @param {string} [options.filePath] - 対象ファイルのパス（許可リストの file）
+ * @returns {Object} 許可リストのエントリ
+ */
+function allowlistEntryFor(issue, { reason, filePath }) {
+  const scope = filePath ? { file: filePath } : {};
+  if (issue.type === 'brand_mention') {
+    return { brand: issue.canonical || issue.content, ...scope, reason };
+  }
+  if (issue.type === 'person_mention' || issue.type === 'person_candidate') {
+    return { person: issue.canonical || issue.content, ...scope, reason };
+  }
+  if (issue.referencedName) {
+    return { person: issue.referencedName, ...scope, reason };
+  }
+  return { type: issue.type, ...scope, line: issue.line, reason };
+}
+
+/**
+ * 置換の判断をテキストに適用する
+ * 後ろの範囲から置換し、先に置換した範囲と重なる判断は適用しない
+ * @param {string} text - 元のテキスト
+ * @param {Array} decisions - [{ issue, action, replacement }]
+ * @returns {Object} { text, applied, conflicts }（applied / conflicts は判断の配列）
+ */
+function applyDecisions(text, decisions) {
+  const replacements = decisions
+    .filter(d => (d.action === 'accept' || d.action === 'replace') && typeof d.replacement === 'string')
+    .sort((a, b) => b.issue.start - a.issue.start || b.issue.end - a.issue.end);
+
+  let result = text;
+  let limit = Infinity;
+  const applied = [];
+  const conflicts = [];
+  replacements.forEach(decision => {
+    const { start, end } = decision.issue;
+    if (end > limit) {
+      conflicts.push(decision);
+      return;
+    }
+    result = result.slice(0, start) + decision.replacement + result.slice(end);
+    limit = start;
+    applied.push(decision);
+  });
+  return { text: result, applied: applied.reverse(), conflicts };
+}
+
+/**
+ * 判断の記録（--interactive のログ）を作る
+ * @param {Object} params
+ * @param {string} params.file - レビューしたファイル
+ * @param {string} params.output - 修正版の出力先
+ * @param {string} [params.allowlist] - 許可を追加した許可リスト
+ * @param {Array} params.decisions - [{ issue, action, replacement?, entry?, note? }]（レビューしなかった指摘は action: 'unreviewed'）
+ * @param {Array} [params.conflicts] - applyDecisions で適用できなかった判断
+ * @returns {Object} 判断の記録
+ */
+function createDecisionLog({ file, output, allowlist, decisions, conflicts = [] }) {
+  const counts = { accept: 0, replace: 0, suppress: 0, skip: 0, unreviewed: 0 };
+  decisions.forEach(d => { counts[d.action] = (counts[d.action] || 0) + 1; });
+
+  return {
+    reviewedAt: new Date().toISOString(),
+    file,
+    output,
+    allowlist: allowlist || null,
+    summary: { total: decisions.length, ...counts, conflicts: conflicts.length },
+    decisions: decisions.map(d => ({
+      type: d.issue.type,
+      ...(d.issue.category ? { category: d.issue.category } : {}),
+      content: d.issue.content,
+      line: d.issue.line,
+      column: d.issue.column,
+      risk: d.issue.risk,
+      action: d.action,
+      ...(d.replacement !== undefined ? { replacement: d.replacement } : {}),
+      ...(d.entry ? { allowlistEntry: d.entry } : {}),
+      ...(d.note ? { note: d.note } : {}),
+      ...(conflicts.includes(d) ? { applied: false, note: '先に置換した範囲と重なるため適用していません' } : {})
+    }))
+  };
+}
+
+module.exports = {
+  reviewableIssues,
+  highlightContext,
+  allowlistEntryFor,
+  applyDecisions,
+  createDecisionLog,
+  ACTIONS
+};
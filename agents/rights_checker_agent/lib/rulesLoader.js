@@ -0,0 +1,295 @@
+/**
+ * ルールパック読み込みモジュール
+ * ブランド・人物のルールを JSON / YAML のルールパックから読み込み、統合・検証する
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+const { loadProjectConfig } = require('./config');
+const { normalizeTerm, NORMALIZATION_KEYS } = require('./normalizer');
+
+const BUILTIN_RULES_PATH = path.join(__dirname, '..', 'rules', 'builtin.json');
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+const ENTRY_KEYS = ['name', 'category', 'aliases', 'risk', 'note', 'caseSensitive', 'japaneseContext', 'transliterate', 'disabled'];
+const CATEGORY_KEYS = ['risk', 'description', 'suggestion'];
+const PACK_KEYS = ['name', 'version', 'description', 'normalization', 'brandCategories', 'brands', 'personCategories', 'persons'];
+
+let builtinCache = null;
+
+/**
+ * ルールパックファイルを読み込む
+ * @param {string} filePath - .json / .yml / .yaml
+ * @returns {Object} ルールパック
+ */
+function loadRulePack(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`ルールファイルが見つかりません: ${filePath}`);
+  }
+  const source = fs.readFileSync(filePath, 'utf-8');
+  try {
+    return /\.ya?ml$/i.test(filePath) ? parseYaml(source) : JSON.parse(source);
+  } catch (err) {
+    throw new Error(`ルールファイルを解析できません: ${filePath}（${err.message}）`);
+  }
+}
+
+/**
+ * ルールパック1つ分のスキーマを検証
+ * @param {Object} pack - ルールパック
+ * @param {string} source - エラーメッセージに表示するファイル名
+ * @returns {Object} { errors, warnings }
+ */
+function validateRulePack(pack, source) {
+  const errors = [];
+  const warnings = [];
+  const at = where => `${source}: ${where}`;
+
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return { errors: [at('ルールパックはオブジェクトである必要があります')], warnings };
+  }
+
+  Object.keys(pack).filter(key => !PACK_KEYS.includes(key)).forEach(key => {
+    warnings.push(at(`未知のキー "${key}" は無視されます`));
+  });
+
+  if (pack.normalization !== undefined) {
+    if (!pack.normalization || typeof pack.normalization !== 'object' || Array.isArray(pack.normalization)) {
+      errors.push(at('normalization はオブジェクトである必要があります'));
+    } else {
+      for (const [key, value] of Object.entries(pack.normalization)) {
+        if (!NORMALIZATION_KEYS.includes(key)) {
+          warnings.push(at(`normalization の未知のキー "${key}" は無視されます`));
+        } else if (typeof value !== 'boolean') {
+          errors.push(at(`normalization.${key} は true / false である必要があります`));
+        }
+      }
+    }
+  }
+
+  ['brandCategories', 'personCategories'].forEach(section => {
+    if (pack[section] === undefined) return;
+    if (!pack[section] || typeof pack[section] !== 'object' || Array.isArray(pack[section])) {
+      errors.push(at(`${section} はオブジェクトである必要があります`));
+      return;
+    }
+    for (const [name, category] of Object.entries(pack[section])) {
+      if (!category || typeof category !== 'object') {
+        errors.push(at(`${section}.${name} はオブジェクトである必要があります`));
+        continue;
+      }
+      if (category.risk !== undefined && !RISK_LEVELS.includes(category.risk)) {
+        errors.push(at(`${section}.${name}.risk が不正です: ${category.risk}`));
+      }
+      Object.keys(category).filter(key => !CATEGORY_KEYS.includes(key)).forEach(key => {
+        warnings.push(at(`${section}.${name} の未知のキー "${key}" は無視されます`));
+      });
+    }
+  });
+
+  ['brands', 'persons'].forEach(section => {
+    if (pack[section] === undefined) return;
+    if (!Array.isArray(pack[section])) {
+      errors.push(at(`${section} は配列である必要があります`));
+      return;
+    }
+    pack[section].forEach((entry, index) => {
+      const where = `${section}[${index}]`;
+      if (!entry || typeof entry !== 'object') {
+        errors.push(at(`${where} はオブジェクトである必要があります`));
+        return;
+      }
+      if (typeof entry.name !== 'string' || entry.name.trim() === '') {
+        errors.push(at(`${where}.name は空でない文字列である必要があります`));
+      }
+      if (typeof entry.category !== 'string' || entry.category === '') {
+        errors.push(at(`${where}.category は必須です（${entry.name || '名前なし'}）`));
+      }
+      if (entry.aliases !== undefined &&
+          (!Array.isArray(entry.aliases) || entry.aliases.some(a => typeof a !== 'string' || a === ''))) {
+        errors.push(at(`${where}.aliases は文字列の配列である必要があります（${entry.name}）`));
+      }
+      if (entry.risk !== undefined && !RISK_LEVELS.includes(entry.risk)) {
+        errors.push(at(`${where}.risk が不正です: ${entry.risk}（${entry.name}）`));
+      }
+      ['caseSensitive', 'japaneseContext', 'transliterate', 'disabled'].forEach(flag => {
+        if (entry[flag] !== undefined && typeof entry[flag] !== 'boolean') {
+          errors.push(at(`${where}.${flag} は true / false である必要があります（${entry.name}）`));
+        }
+      });
+      Object.keys(entry).filter(key => !ENTRY_KEYS.includes(key)).forEach(key => {
+        warnings.push(at(`${where} の未知のキー "${key}" は無視されます（${entry.name}）`));
+      });
+    });
+  });
+
+  return { errors, warnings };
+}
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * スキーマエラーのあるパックから、統合できる部分だけを取り出す
+ * 形の崩れたセクション・エントリを除き、残りは統合後の検証（未定義カテゴリ・重複）の対象にする
+ * @param {Object} pack - validateRulePack でエラーになったルールパック
+ * @returns {Object} 統合できる部分だけのルールパック
+ */
+function wellFormedPart(pack) {
+  if (!isObject(pack)) return {};
+  const part = { name: pack.name, version: pack.version };
+  ['brandCategories', 'personCategories'].forEach(section => {
+    if (!isObject(pack[section])) return;
+    part[section] = Object.fromEntries(Object.entries(pack[section]).filter(([, category]) => isObject(category)));
+  });
+  ['brands', 'persons'].forEach(section => {
+    if (!Array.isArray(pack[section])) return;
+    part[section] = pack[section]
+      .filter(entry => isObject(entry) && typeof entry.name === 'string' && entry.name.trim() !== '' &&
+        typeof entry.category === 'string' && entry.category !== '')
+      .map(entry => ({
+        ...entry,
+        aliases: Array.isArray(entry.aliases) ? entry.aliases.filter(a => typeof a === 'string' && a !== '') : undefined
+      }));
+  });
+  return part;
+}
+
+/**
+ * 複数のルールパックを統合
+ * 後のパックが優先される。同じカテゴリ・同じ名前のエントリはフィールド単位で上書きし、
+ * disabled: true のエントリは統合結果から取り除く
+ * @param {Array} packs - [{ pack, source }]
+ * @returns {Object} 統合済みルールセット
+ */
+function mergeRulePacks(packs) {
+  const ruleset = { normalization: {}, brandCategories: {}, personCategories: {}, brands: [], persons: [], sources: [] };
+  const indexes = { brands: new Map(), persons: new Map() };
+
+  packs.forEach(({ pack, source }) => {
+    ruleset.sources.push({ source, name: pack.name || path.basename(source), version: pack.version || null });
+    ruleset.normalization = { ...ruleset.normalization, ...pack.normalization };
+
+    ['brandCategories', 'personCategories'].forEach(section => {
+      for (const [name, category] of Object.entries(pack[section] || {})) {
+        ruleset[section][name] = { ...ruleset[section][name], ...category };
+      }
+    });
+
+    ['brands', 'persons'].forEach(section => {
+      (pack[section] || []).forEach(entry => {
+        const key = `${entry.category}\u0000${entry.name}`;
+        const merged = { ...indexes[section].get(key), ...entry, source };
+        indexes[section].set(key, merged);
+      });
+    });
+  });
+
+  ['brands', 'persons'].forEach(section => {
+    ruleset[section] = [...indexes[section].values()]
+      .filter(entry => !entry.disabled)
+      .map(entry => ({ ...entry, aliases: entry.aliases || [] }));
+  });
+
+  return ruleset;
+}
+
+/**
+ * 統合済みルールセットを検証（未定義カテゴリ・リスク未設定のカテゴリ）
+ */
+function validateRuleset(ruleset) {
+  const errors = [];
+  [['brands', 'brandCategories'], ['persons', 'personCategories']].forEach(([section, categories]) => {
+    ruleset[section].forEach(entry => {
+      if (!ruleset[categories][entry.category]) {
+        errors.push(`${entry.source}: ${section} の「${entry.name}」のカテゴリ "${entry.category}" は ${categories} に定義されていません`);
+      }
+    });
+    for (const [name, category] of Object.entries(ruleset[categories])) {
+      if (!category.risk) {
+        errors.push(`${categories}.${name} に risk が設定されていません`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * 重複する名前・別名を検出
+ * 正規化後に同じ表記（大文字小文字を区別しない）になる名前が複数のエントリに登録されている場合に報告する
+ * @param {Object} ruleset - 統合済みルールセット
+ * @returns {Array} [{ section, term, entries: [{ name, category, source }] }]
+ */
+function findDuplicates(ruleset) {
+  const duplicates = [];
+  ['brands', 'persons'].forEach(section => {
+    const terms = new Map();
+    ruleset[section].forEach(entry => {
+      [entry.name, ...entry.aliases].forEach(term => {
+        const key = normalizeTerm(term, ruleset.normalization).toLowerCase();
+        if (!terms.has(key)) terms.set(key, { term, entries: [] });
+        terms.get(key).entries.push({ name: entry.name, category: entry.category, source: entry.source });
+      });
+    });
+    for (const { term, entries } of terms.values()) {
+      if (entries.length > 1) duplicates.push({ section, term, entries });
+    }
+  });
+  return duplicates;
+}
+
+/**
+ * ルールを読み込んで統合する
+ * 既定パック → プロジェクト設定（rights-checker.config.json の rules）→ --rules の順に重ねる
+ * @param {Object} [options]
+ * @param {Array} [options.rulesFiles] - 追加のルールパック
+ * @param {string} [options.cwd] - プロジェクト設定を探すディレクトリ
+ * @param {boolean} [options.useProjectConfig=true] - プロジェクト設定を読むかどうか
+ * @param {boolean} [options.strict=true] - スキーマエラーがあれば例外を投げる
+ * @returns {Object} { ruleset, errors, warnings }
+ */
+function loadRules(options = {}) {
+  const { rulesFiles = [], cwd = process.cwd(), useProjectConfig = true, strict = true } = options;
+  const config = useProjectConfig ? loadProjectConfig(cwd) : null;
+  const files = [BUILTIN_RULES_PATH, ...(config ? config.rules : []), ...rulesFiles.map(f => path.resolve(cwd, f))];
+
+  const errors = [];
+  const warnings = [];
+  const packs = [];
+  files.forEach(source => {
+    const pack = loadRulePack(source);
+    const result = validateRulePack(pack, source);
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+    // スキーマエラーのあるパックも、統合できる部分は残して未定義カテゴリ・重複をまとめて報告する
+    packs.push({ pack: result.errors.length === 0 ? pack : wellFormedPart(pack), source });
+  });
+
+  const ruleset = mergeRulePacks(packs);
+  errors.push(...validateRuleset(ruleset));
+
+  if (strict && errors.length > 0) {
+    throw new Error(`ルールにエラーがあります:\n  ${errors.join('\n  ')}`);
+  }
+  return { ruleset, errors, warnings, config };
+}
+
+/**
+ * 既定パックのみのルールセット（キャッシュ付き）
+ */
+function getBuiltinRules() {
+  if (!builtinCache) {
+    builtinCache = loadRules({ useProjectConfig: false }).ruleset;
+  }
+  return builtinCache;
+}
+
+module.exports = {
+  loadRules,
+  loadRulePack,
+  validateRulePack,
+  mergeRulePacks,
+  findDuplicates,
+  getBuiltinRules,
+  BUILTIN_RULES_PATH,
+  RISK_LEVELS
+};
@@ -0,0 +1,192 @@
+/**
+ * 置換モジュール
+ * 検出されたブランド名・人物名を一般名詞や架空の名称に置き換える
+ */
+
+// リスクレベルの序列
+const RISK_ORDER = { low: 0, medium: 1, high: 2, critical: 3 };
+
+// ブランドのカテゴリごとの一般名詞
+const GENERIC_BRAND_NAMES = {
+  streaming: '動画配信サービス',
+  music: '音楽配信サービス',
+  social: 'コミュニケーションサービス',
+  tech: '大手IT企業',
+  food: 'フードデリバリー',
+  fashion: 'ファストファッションブランド',
+  retail: '大手小売チェーン',
+  ai: '生成AIサービス'
+};
+
+// 人物のカテゴリごとの架空の呼称
+const GENERIC_PERSON_NAMES = {
+  comedian: '某お笑い芸人',
+  actor: '某俳優',
+  musician: '某ミュージシャン',
+  politician: '某政治家',
+  business: '某実業家',
+  influencer: '某インフルエンサー',
+  writer: '某作家'
+};
+
+// 置換で対処できる指摘の種別（person_candidate は架空の人物の場合もあるため、--fix-map に置換先がある場合だけ置換する）
+const REPLACEABLE_TYPES = ['brand_mention', 'person_mention', 'person_candidate'];
+
+/**
+ * リスクが閾値以上かどうか
+ */
+function meetsThreshold(risk, threshold) {
+  return (RISK_ORDER[risk] ?? 0) >= (RISK_ORDER[threshold] ?? 0);
+}
+
+/**
+ * 指摘に対する置換先を決める
+ * @param {Object} issue - brandIssues / personIssues の要素
+ * @param {Object} [mapping] - 名前ごとの置換先（大文字小文字は区別しない）。カテゴリ既定値より優先
+ *   正式名（canonical）、本文の表記（content）の順に探すため、「ネトフリ」にも "Netflix" の置換先を使う
+ * @returns {string|null} 置換先（置換できない場合は null）
+ */
+function replacementFor(issue, mapping = {}) {
+  const names = [issue.canonical, issue.content].filter(Boolean).map(name => name.toLowerCase());
+  const key = names.map(name => Object.keys(mapping).find(k => k.toLowerCase() === name)).find(Boolean);
+  if (key && REPLACEABLE_TYPES.includes(issue.type)) {
+    return mapping[key];
+  }
+  if (issue.type === 'brand_mention') {
+    return GENERIC_BRAND_NAMES[issue.category] || '某サービス';
+  }
+  if (issue.type === 'person_mention') {
+    return GENERIC_PERSON_NAMES[issue.category] || '某著名人';
+  }
+  return null;
+}
+
+/**
+ * 英数字の名前が単語の一部（例: Netflix の中の x）でないかを確認
+ */
+function isStandalone(line, index, length) {
+  const isWordChar = ch => /[A-Za-z0-9]/.test(ch || '');
+  const word = line.substr(index, length);
+  if (!/^[A-Za-z0-9]/.test(word)) return true;
+  return !isWordChar(line[index - 1]) && !isWordChar(line[index + length]);
+}
+
+function replaceInLine(line, from, to) {
+  let result = '';
+  let cursor = 0;
+  let count = 0;
+  let index = line.indexOf(from);
+  while (index !== -1) {
+    if (isStandalone(line, index, from.length)) {
+      result += line.slice(cursor, index) + to;
+      cursor = index + from.length;
+      count++;
+    }
+    index = line.indexOf(from, index + from.length);
+  }
+  return { line: result + line.slice(cursor), count };
+}
+
+/**
+ * 置換マッピングを正規化
+ * フラットな { 名前: 置換先 } 形式と、{ brands: {...}, persons: {...} } 形式の両方を受け付ける
+ * @param {Object} raw - マッピングファイルの内容
+ * @returns {Object} { 名前: 置換先 }
+ */
+function normalizeMapping(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('置換マッピングは { "名前": "置換先" } 形式のオブジェクトである必要があります');
+  }
+  const sections = raw.brands || raw.persons ? { ...raw.brands, ...raw.persons } : raw;
+  for (const [name, replacement] of Object.entries(sections)) {
+    if (typeof replacement !== 'string' || replacement === '') {
+      throw new Error(`置換マッピングの値が不正です: "${name}"`);
+    }
+  }
+  return sections;
+}
+
+/**
+ * 指摘の位置情報（start / end）が対象テキストの該当箇所を指しているか
+ */
+function hasSpan(text, issue) {
+  return Number.isInteger(issue.start) && Number.isInteger(issue.end) &&
+    text.slice(issue.start, issue.end) === issue.content;
+}
+
+/**
+ * 指摘を元にテキストを書き換える
+ * 位置情報のある指摘はその範囲だけを置換し、ない指摘は行単位で同じ表記を置換する
+ * @param {string} text - 元のテキスト
+ * @param {Array} issues - 置換対象の指摘
+ * @param {Object} [options]
+ * @param {string} [options.threshold='medium'] - このリスク以上の指摘だけを置換
+ * @param {Object} [options.mapping] - 名前ごとの置換先
+ * @returns {Object} { text, replacements, skipped }
+ */
+function sanitize(text, issues, options = {}) {
+  const threshold = options.threshold || 'medium';
+  const replacements = [];
+  const skipped = [];
+  const spanned = [];
+  const unspanned = [];
+
+  issues.filter(issue => meetsThreshold(issue.risk, threshold)).forEach(issue => {
+    const to = REPLACEABLE_TYPES.includes(issue.type) ? replacementFor(issue, options.mapping) : null;
+    if (!to) {
+      skipped.push(issue);
+    } else {
+      (hasSpan(text, issue) ? spanned : unspanned).push({ issue, to });
+    }
+  });
+
+  // 後ろの範囲から置換する（前の置換で後ろの位置がずれないように）。重なる範囲は先に置換した方を残す
+  let result = text;
+  let limit = Infinity;
+  spanned
+    .sort((a, b) => b.issue.start - a.issue.start || b.issue.end - a.issue.end)
+    .forEach(({ issue, to }) => {
+      if (issue.end > limit) {
+        skipped.push(issue);
+        return;
+      }
+      result = result.slice(0, issue.start) + to + result.slice(issue.end);
+      limit = issue.start;
+      replacements.push({
+        line: issue.line,
+        column: issue.column,
+        start: issue.start,
+        end: issue.end,
+        type: issue.type,
+        from: issue.content,
+        to,
+        count: 1
+      });
+    });
+  replacements.reverse();
+
+  // 位置情報のない指摘は行単位で置換する。長い名前から置換する（「Amazon Prime」を「Amazon」より先に）
+  const lines = result.split('\n');
+  unspanned
+    .sort((a, b) => b.issue.content.length - a.issue.content.length)
+    .forEach(({ issue, to }) => {
+      const index = issue.line - 1;
+      const { line, count } = replaceInLine(lines[index] || '', issue.content, to);
+      if (count > 0) {
+        lines[index] = line;
+        replacements.push({ line: issue.line, type: issue.type, from: issue.content, to, count });
+      }
+    });
+
+  return { text: lines.join('\n'), replacements, skipped };
+}
+
+module.exports = {
+  sanitize,
+  replacementFor,
+  normalizeMapping,
+  meetsThreshold,
+  RISK_ORDER,
+  GENERIC_BRAND_NAMES,
+  GENERIC_PERSON_NAMES
+};
@@ -0,0 +1,145 @@
+/**
+ * SARIF 形式のレポート生成モジュール
+ * generateReport の出力をコードレビューツール向けの SARIF 2.1.0 に変換する
+ */
+
+const { version } = require('../package.json');
+const { similarityFindings } = require('./corpus');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// リスクレベルと SARIF の level の対応
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+
+// 指摘の種別ごとの説明（ルールの shortDescription に使う）
+const TYPE_DESCRIPTIONS = {
+  brand_mention: 'ブランド・商標への言及',
+  person_mention: '実在人物への言及',
+  person_candidate: 'ルールにない人物名の候補（敬称・肩書き・姓名の形）',
+  style_reference: '実在人物の作風を示す表現',
+  style_preset: '実在人物を模倣する文体プリセット',
+  quotation: '引用の形式（出典・分量・歌詞）',
+  similarity: '参照コーパスの既存作品との重なり'
+};
+
+/**
+ * 指摘のルールID（種別/カテゴリ）
+ */
+function ruleIdFor(issue) {
+  return issue.category ? `${issue.type}/${issue.category}` : issue.type;
+}
+
+/**
+ * 指摘の位置を SARIF の region に変換
+ */
+function regionFor(issue) {
+  const region = { startLine: issue.line };
+  if (issue.column) {
+    region.startColumn = issue.column;
+    if (Number.isInteger(issue.start) && Number.isInteger(issue.end)) {
+      region.endColumn = issue.column + (issue.end - issue.start);
+      region.charOffset = issue.start;
+      region.charLength = issue.end - issue.start;
+    }
+  }
+  if (issue.match !== undefined) region.snippet = { text: issue.match };
+  return region;
+}
+
+/**
+ * 抑制情報を SARIF の suppression に変換（抑制コメントは inSource、許可リストは external）
+ */
+function suppressionFor(suppression) {
+  return {
+    kind: suppression.source === 'inline' ? 'inSource' : 'external',
+    status: 'accepted',
+    ...(suppression.reason ? { justification: suppression.reason } : {})
+  };
+}
+
+/**
+ * レポートの対象ファイルの URI（パス区切りは / にそろえる）
+ */
+function artifactUriFor(report) {
+  const file = report.metadata.filePath || report.metadata.fileName || 'unknown';
+  return file.split('\\').join('/');
+}
+
+/**
+ * SARIF レポートを生成
+ * @param {Object|Array} reports - generateReport の戻り値（複数ファイルの場合は配列）
+ * @returns {Object} SARIF ログ（JSON.stringify して出力する）
+ */
+function generateSarifReport(reports) {
+  const list = [].concat(reports);
+  const rules = [];
+  const ruleIndexes = new Map();
+  const results = [];
+
+  list.forEach(report => {
+    const uri = artifactUriFor(report);
+    const suppressed = report.suppressedIssues ? report.suppressedIssues.items : [];
+    const similar = similarityFindings(report.originalityAnalysis?.similarityAnalysis);
+    const quotations = report.quotationIssues ? report.quotationIssues.items : [];
+    [...report.brandIssues.items, ...report.personIssues.items, ...quotations, ...similar, ...suppressed].forEach(issue => {
+      const ruleId = ruleIdFor(issue);
+      if (!ruleIndexes.has(ruleId)) {
+        ruleIndexes.set(ruleId, rules.length);
+        rules.push({
+          id: ruleId,
+          name: ruleId.replace(/[/_](\w)/g, (_, ch) => ch.toUpperCase()),
+          shortDescription: {
+            text: `${TYPE_DESCRIPTIONS[issue.type] || issue.type}${issue.category ? `（${issue.category}）` : ''}`
+          },
+          defaultConfiguration: { level: SARIF_LEVELS[issue.risk] || 'warning' }
+        });
+      }
+
+      results.push({
+        ruleId,
+        ruleIndex: ruleIndexes.get(ruleId),
+        level: SARIF_LEVELS[issue.risk] || 'warning',
+        message: { text: `「${issue.content}」: ${issue.suggestion}` },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri },
+            // 文書全体に対する指摘（引用の割合など）は region を付けない
+            ...(issue.line ? { region: regionFor(issue) } : {})
+          }
+        }],
+        // 抑制された指摘は SARIF の suppressions として出力し、レビューツール側で非表示にできるようにする
+        ...(issue.suppression ? { suppressions: [suppressionFor(issue.suppression)] } : {}),
+        properties: {
+          risk: issue.risk,
+          ...(issue.canonical ? { canonical: issue.canonical } : {}),
+          ...(issue.note ? { note: issue.note } : {}),
+          ...(issue.satire ? { satire: issue.satire } : {}),
+          ...(issue.sentiment ? { sentiment: issue.sentiment } : {})
+        }
+      });
+    });
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'rights-checker',
+          version,
+          rules
+        }
+      },
+      // 列番号・オフセットは JavaScript の文字列と同じ UTF-16 単位
+      columnKind: 'utf16CodeUnits',
+      artifacts: list.map(report => ({ location: { uri: artifactUriFor(report) } })),
+      results,
+      properties: {
+        overallRisk: list.map(report => ({ uri: artifactUriFor(report), risk: report.summary.overallRisk }))
+      }
+    }]
+  };
+}
+
+module.exports = { generateSarifReport, SARIF_LEVELS };
@@ -0,0 +1,238 @@
+/**
+ * 風刺・パロディ判定モジュール
+ * 段落ごとに風刺の構造（対比・アイロニー・修辞疑問・列挙）と誇張・皮肉の表現を数え、
+ * 対象（ブランド・人物）への論評として読めるかをスコア化する
+ * ブランド・人物の指摘には同じ段落のスコアを付け、明確な論評ならリスクを1段階下げ、
+ * 宣伝や事実の摘示として読める場合は1段階上げる（いずれも理由を添える）
+ */
+
+const { parseMarkdown } = require('./markdownDocument');
+
+// 風刺作品でよく使われる構造パターン（1文ずつ照合する）
+const SATIRE_PATTERNS = {
+  contrast: /(.+?)なのに(.+?)|かつて.+?今[やは]|昔の.+?今の/,  // 対比構造
+  irony: /(.+?)と言われる[。が]|という名の|とかいう|ありがたい|さすが/,  // アイロニー
+  rhetorical: /(.+?)(だろうか|ではないか|じゃないか)[。？?]?/,  // 修辞疑問
+  listing: /(.+?)、(.+?)、(.+?)。/,  // 列挙
+};
+
+// 誇張・皮肉・オチの表現
+const DEVICE_PATTERNS = {
+  exaggeration: /史上最|世界一|人類|永遠に|無限|完璧|もはや|全人類|神/,
+  parody: /皮肉|風刺|パロディ|もじり|茶番|滑稽/,
+  punchline: /^(これが|それが).{1,20}(だ|である)[。！!]?$/
+};
+
+// 対象について論評していることを示す述語（対象と同じ文にあれば論評とみなす）
+const COMMENTARY_PATTERN = /だろうか|ではないか|なのに|くせに|という名の|にすぎない|でしかない|とかいう|もはや|らしい|させられ|払っている|されている/;
+// 宣伝として読める表現（風刺ではなく商用の紹介に近い）
+const PROMOTION_PATTERN = /おすすめ|オススメ|購入はこちら|今すぐ|公式サイト|キャンペーン|クーポン|割引|限定価格|タイアップ|アフィリエイト|\[PR\]|【PR】|提供[：:]/;
+// 実在人物についての事実の摘示として読める表現（風刺でも名誉毀損の抗弁にならない）
+const ALLEGATION_PATTERN = /逮捕|犯罪|詐欺|横領|不倫|脱税|賄賂|暴行|盗作|パクリ|裏金/;
+// 作品全体がフィクションであることの表示
+const FICTION_PATTERN = /フィクション|架空の|実在の(?:人物|団体|企業).{0,10}(?:関係|無関係)/;
+
+// 段落として判定するブロックの種類（front matter・コード・コメント・区切り線は除く）
+const PROSE_BLOCKS = ['heading', 'paragraph', 'blockquote', 'list', 'table'];
+// この種別の指摘にだけスコアを付ける
+const TARGET_TYPES = ['brand_mention', 'person_mention', 'person_candidate', 'style_reference'];
+const PERSON_TYPES = ['person_mention', 'person_candidate', 'style_reference'];
+// これ以上なら明確な論評としてリスクを下げ、これ未満で宣伝表現があればリスクを上げる
+const COMMENTARY_THRESHOLD = 0.6;
+const PROMOTION_THRESHOLD = 0.4;
+// 文書全体のスコアがこれ以上なら風刺作品とみなす
+const DOCUMENT_THRESHOLD = 0.3;
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const LABELS = {
+  commentary: '論評・風刺',
+  unclear: '判定できない',
+  promotional: '宣伝的',
+  allegation: '事実の摘示'
+};
+
+const SIGNAL_LABELS = {
+  contrast: '対比',
+  irony: 'アイロニー',
+  rhetorical: '修辞疑問',
+  listing: '列挙',
+  exaggeration: '誇張',
+  parody: '風刺・パロディの明示',
+  punchline: 'オチ',
+  target_commentary: '対象への論評',
+  fiction_notice: 'フィクションの表示',
+  promotion: '宣伝表現'
+};
+
+/**
+ * 文書モデルの本文のブロック（PROSE_BLOCKS）を段落とし、文に分ける
+ * @returns {Array} [{ start, end, sentences: [{ start, end, text }] }]
+ */
+function splitParagraphs(text, document) {
+  return document.blocks
+    .filter(b => PROSE_BLOCKS.includes(b.type))
+    .map(b => ({ start: b.start, end: b.end, sentences: splitSentences(text, b.start, b.end) }));
+}
+
+/**
+ * 段落を文に分ける（。！？と改行で区切る。括弧の中の句点では区切らない）
+ */
+function splitSentences(text, start, end) {
+  const sentences = [];
+  let depth = 0;
+  let from = start;
+  for (let i = start; i < end; i++) {
+    const ch = text[i];
+    if (ch === '「' || ch === '『' || ch === '（' || ch === '(') depth++;
+    else if ((ch === '」' || ch === '』' || ch === '）' || ch === ')') && depth > 0) depth--;
+    const boundary = ch === '\n' || (depth === 0 && /[。！？!?]/.test(ch));
+    if (boundary) {
+      const to = ch === '\n' ? i : i + 1;
+      if (to > from) sentences.push({ start: from, end: to, text: text.slice(from, to).trim() });
+      from = i + 1;
+    }
+  }
+  if (end > from) sentences.push({ start: from, end, text: text.slice(from, end).trim() });
+  return sentences.filter(s => s.text !== '');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// 文をまたぐ構造（「かつて〜。今や〜。」の対比、文末をそろえた列挙）
+const STRUCTURE_TESTS = {
+  contrast: paragraph => /かつて.+?今[やは]|昔の.+?今の/s.test(paragraph.sentences.map(s => s.text).join('')),
+  irony: () => false,
+  rhetorical: () => false,
+  listing: paragraph => {
+    const endings = new Map();
+    paragraph.sentences.forEach(s => {
+      const ending = s.text.replace(/[。！？!?]+$/, '').slice(-2);
+      if (ending.length === 2) endings.set(ending, (endings.get(ending) || 0) + 1);
+    });
+    return [...endings.values()].some(count => count >= 3);
+  }
+};
+
+/**
+ * 段落1つの風刺のスコア（対象に依らない部分）
+ */
+function scoreParagraph(paragraph, fiction) {
+  const structures = Object.keys(SATIRE_PATTERNS)
+    .filter(kind => paragraph.sentences.some(s => SATIRE_PATTERNS[kind].test(s.text)) || STRUCTURE_TESTS[kind](paragraph));
+  const devices = Object.keys(DEVICE_PATTERNS)
+    .filter(kind => paragraph.sentences.some(s => DEVICE_PATTERNS[kind].test(s.text)));
+  const promotion = paragraph.sentences.some(s => PROMOTION_PATTERN.test(s.text));
+
+  // 列挙は風刺以外でもよく使うため、他の構造より軽く数える
+  let score = structures.reduce((sum, kind) => sum + (kind === 'listing' ? 0.05 : 0.15), 0);
+  score = Math.min(score, 0.45) + Math.min(devices.length * 0.1, 0.2);
+  if (fiction) score += 0.1;
+  if (promotion) score -= 0.4;
+
+  return { structures, devices, promotion, score };
+}
+
+/**
+ * テキストを段落ごとに判定
+ * @param {string} text - 検査対象のテキスト
+ * @param {Object} [options]
+ * @param {Object} [options.document] - parseMarkdown の戻り値（省略時はここで解析する）
+ * @returns {Object} { fiction, paragraphs: [{ start, end, sentences, structures, devices, promotion, score }], score, satirical }
+ */
+function classifySatire(text, options = {}) {
+  const document = options.document || parseMarkdown(text);
+  const fiction = FICTION_PATTERN.test(text);
+  const paragraphs = splitParagraphs(text, document).map(p => ({ ...p, ...scoreParagraph(p, fiction) }));
+  const top = paragraphs.map(p => Math.max(0, p.score)).sort((a, b) => b - a).slice(0, 3);
+  // 文書全体の風刺らしさ（段落スコアの上位3件の平均）
+  const score = top.length > 0 ? round(top.reduce((sum, s) => sum + s, 0) / top.length) : 0;
+  return { fiction, paragraphs, score, satirical: score >= DOCUMENT_THRESHOLD };
+}
+
+function shiftRisk(risk, step) {
+  const index = RISK_LEVELS.indexOf(risk);
+  if (index === -1) return risk;
+  return RISK_LEVELS[Math.max(0, Math.min(RISK_LEVELS.length - 1, index + step))];
+}
+
+/**
+ * 指摘1件を判定し、satire を付けてリスクを調整する
+ */
+function assessIssue(issue, classification) {
+  const paragraph = classification.paragraphs.find(p => issue.start >= p.start && issue.start < p.end);
+  if (!paragraph) return issue;
+  const sentence = paragraph.sentences.find(s => issue.start >= s.start && issue.start < s.end);
+  const sentenceText = sentence ? sentence.text : '';
+
+  // 対象と同じ文に論評の述語か風刺の構造があれば、対象への論評として読める
+  const targeted = COMMENTARY_PATTERN.test(sentenceText) ||
+    Object.keys(SATIRE_PATTERNS).some(kind => kind !== 'listing' && SATIRE_PATTERNS[kind].test(sentenceText));
+  const score = round(Math.max(0, Math.min(1, paragraph.score + (targeted ? 0.3 : 0))));
+  const signals = [
+    ...paragraph.structures,
+    ...paragraph.devices,
+    ...(targeted ? ['target_commentary'] : []),
+    ...(classification.fiction ? ['fiction_notice'] : []),
+    ...(paragraph.promotion ? ['promotion'] : [])
+  ];
+
+  let label = 'unclear';
+  let step = 0;
+  let explanation;
+  if (PERSON_TYPES.includes(issue.type) && ALLEGATION_PATTERN.test(sentenceText)) {
+    label = 'allegation';
+    step = 1;
+    explanation = '実在の人物について違法行為・不祥事を述べる文です。風刺の形式でも事実の摘示として名誉毀損になりうるため、リスクを上げました';
+  } else if (paragraph.promotion && score < PROMOTION_THRESHOLD) {
+    label = 'promotional';
+    step = 1;
+    explanation = '段落に宣伝・販売促進の表現があり、論評ではなく商用の紹介として読めるため、リスクを上げました';
+  } else if (score >= COMMENTARY_THRESHOLD && issue.risk !== 'critical') {
+    label = 'commentary';
+    step = -1;
+    explanation = `段落に風刺の構造（${signals.map(s => SIGNAL_LABELS[s]).join('・')}）があり、対象への論評として読めるため、リスクを下げました`;
+  } else {
+    explanation = score >= COMMENTARY_THRESHOLD
+      ? '論評として読めますが、critical の指摘は下げません'
+      : '対象への論評であることが文面から十分に読み取れないため、リスクは変えていません';
+  }
+
+  const risk = shiftRisk(issue.risk, step);
+  return {
+    ...issue,
+    risk,
+    satire: {
+      score,
+      label,
+      signals,
+      ...(risk !== issue.risk ? { originalRisk: issue.risk } : {}),
+      explanation
+    }
+  };
+}
+
+/**
+ * ブランド・人物の指摘に風刺の判定を付け、リスクを調整する
+ * @param {Array} issues - 検出結果
+ * @param {Object} classification - classifySatire の戻り値
+ * @returns {Array} satire を付けた指摘（対象外の種別・位置のない指摘はそのまま）
+ */
+function applySatireAssessment(issues, classification) {
+  return issues.map(issue => (
+    TARGET_TYPES.includes(issue.type) && Number.isInteger(issue.start)
+      ? assessIssue(issue, classification)
+      : issue
+  ));
+}
+
+module.exports = {
+  classifySatire,
+  applySatireAssessment,
+  splitParagraphs,
+  SATIRE_PATTERNS,
+  COMMENTARY_THRESHOLD,
+  LABELS,
+  SIGNAL_LABELS
+};
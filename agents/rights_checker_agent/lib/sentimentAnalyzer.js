@@ -0,0 +1,154 @@
+/**
+ * 否定的文脈・断定の分析モジュール
+ * ブランド・人物の指摘を含む文を辞書ベースで調べ、否定的な内容か、それが事実として断定されているか
+ * （数値や「〜している」）、意見や明らかな誇張として書かれているかを判定する
+ * 実在の企業・人物について否定的な内容を事実として断定している場合はリスクを1段階上げ、理由を添える
+ */
+
+// 否定的な語（重みつき）。重み2は違法行為・不正など、事実なら信用を大きく損なう語
+const NEGATIVE_TERMS = [
+  ['詐欺', 2], ['違法', 2], ['犯罪', 2], ['不正', 2], ['改ざん', 2], ['隠蔽', 2], ['偽装', 2],
+  ['粉飾', 2], ['横領', 2], ['脱税', 2], ['盗用', 2], ['搾取', 2], ['虐待', 2], ['差別', 2],
+  ['パワハラ', 2], ['セクハラ', 2], ['欠陥', 2], ['有害', 2], ['倒産', 2], ['破綻', 2], ['騙', 2],
+  ['流出', 2], ['漏洩', 2], ['漏えい', 2], ['情報漏れ', 2], ['改悪', 1],
+  ['最悪', 1], ['ひどい', 1], ['酷い', 1], ['粗悪', 1], ['劣悪', 1], ['まずい', 1], ['不味い', 1],
+  ['ぼったくり', 1], ['不親切', 1], ['無能', 1], ['失敗', 1], ['不具合', 1], ['故障', 1], ['壊れ', 1],
+  ['危険', 1], ['汚い', 1], ['傲慢', 1], ['強欲', 1], ['怪しい', 1], ['炎上', 1], ['ブラック', 1],
+  ['嘘', 1], ['衰退', 1], ['落ちぶれ', 1], ['見捨て', 1], ['ごまかし', 1], ['誤魔化', 1]
+];
+const POSITIVE_TERMS = [
+  '素晴らしい', '便利', '好き', '最高', '美味しい', 'おいしい', '快適', '優秀', '信頼', '感謝', '安心', '魅力', '愛用'
+];
+// 否定語の直後にあれば否定の意味を打ち消す（「問題ない」「危険はない」など）
+const NEGATION_AFTER = /^.{0,3}?(ない|なく|ません|ず[、。]|ではない|じゃない)/;
+
+// 事実として断定していることを示す表現
+const FACT_PATTERN = /している|していた|しています|していました|した[。、]|された[。、]|である|事実|判明|発覚|認めた|報じ|によると|明らかに|実際に|確認され|証拠/;
+// 数値（金額・件数・割合など）。数値を伴う主張は検証可能な事実として読まれる
+const NUMBER_PATTERN = /[0-9０-９]+(?:[.,．][0-9０-９]+)*\s*(?:%|％|件|人|億|万|円|倍|年|回|台|社|個)/;
+// 意見・推量として書かれていることを示す表現
+const OPINION_PATTERN = /と思う|と思った|気がする|かもしれない|のでは|ように見える|ように思え|らしい|だろう|と感じ|個人的に|私には/;
+// 明らかな誇張・冗談の表現（字義どおりには読まれない）
+const HYPERBOLE_PATTERN = /史上最|宇宙一|宇宙で|銀河|全人類|地球上の|何億|一億回|百万回|永遠に|死ぬほど|魔王|悪魔の|神の|[0-9０-９]{3,}億年|（笑）|\(笑\)|[笑ｗw]$|[！!]{2,}/;
+
+const TARGET_TYPES = ['brand_mention', 'person_mention', 'person_candidate', 'style_reference'];
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const ASSERTION_LABELS = {
+  fact: '事実としての断定',
+  opinion: '意見・感想',
+  hyperbole: '明らかな誇張',
+  statement: '断定を含まない記述'
+};
+
+/**
+ * 文の否定的な語を数える（否定で打ち消されたものは除く）
+ * @returns {Object} { negative, positive, terms }
+ */
+function scoreSentiment(sentence) {
+  const terms = [];
+  let negative = 0;
+  NEGATIVE_TERMS.forEach(([term, weight]) => {
+    let index = sentence.indexOf(term);
+    while (index !== -1) {
+      if (!NEGATION_AFTER.test(sentence.slice(index + term.length))) {
+        negative += weight;
+        if (!terms.includes(term)) terms.push(term);
+      }
+      index = sentence.indexOf(term, index + term.length);
+    }
+  });
+  const positive = POSITIVE_TERMS.filter(term => sentence.includes(term)).length;
+  return { negative, positive, terms };
+}
+
+/**
+ * 文がどのように述べられているかを判定する（誇張 → 意見 → 断定 の順に見る）
+ */
+function classifyAssertion(sentence) {
+  const numbers = NUMBER_PATTERN.test(sentence);
+  if (HYPERBOLE_PATTERN.test(sentence)) return { assertion: 'hyperbole', numbers };
+  if (OPINION_PATTERN.test(sentence)) return { assertion: 'opinion', numbers };
+  if (numbers || FACT_PATTERN.test(sentence)) return { assertion: 'fact', numbers };
+  return { assertion: 'statement', numbers };
+}
+
+/**
+ * 文1つを分析する
+ * @param {string} sentence - 分析する文
+ * @returns {Object} { polarity: 'negative' | 'positive' | 'neutral', assertion, numbers, terms }
+ */
+function analyzeSentence(sentence) {
+  const { negative, positive, terms } = scoreSentiment(sentence);
+  const polarity = negative > positive ? 'negative' : (positive > 0 && negative === 0 ? 'positive' : 'neutral');
+  return { polarity, ...classifyAssertion(sentence), strong: negative >= 2, terms };
+}
+
+function shiftRisk(risk, step) {
+  const index = RISK_LEVELS.indexOf(risk);
+  if (index === -1) return risk;
+  return RISK_LEVELS[Math.max(0, Math.min(RISK_LEVELS.length - 1, index + step))];
+}
+
+/**
+ * 指摘1件の文を分析し、否定的な文脈であれば sentiment を付けてリスクを調整する
+ */
+function assessIssue(issue, sentences) {
+  const sentence = sentences.find(s => issue.start >= s.start && issue.start < s.end);
+  if (!sentence) return issue;
+  const { polarity, assertion, numbers, strong, terms } = analyzeSentence(sentence.text);
+  if (polarity !== 'negative') return issue;
+
+  const termList = terms.map(t => `「${t}」`).join('');
+  let step = 0;
+  let reason;
+  if (assertion === 'fact') {
+    if (issue.satire && issue.satire.label === 'allegation') {
+      reason = `否定的な内容（${termList}）を事実として述べています。事実の摘示として既にリスクを上げているため、ここでは変えていません`;
+    } else {
+      step = 1;
+      reason = `否定的な内容（${termList}）を${numbers ? '数値を伴って' : ''}事実として断定しています。真実であることを示せない場合、名誉毀損・信用毀損になりうるため、リスクを上げました`;
+    }
+  } else if (assertion === 'hyperbole') {
+    reason = `否定的な語（${termList}）がありますが、明らかな誇張として書かれており、事実の主張としては読まれにくいため、リスクは変えていません`;
+  } else if (assertion === 'opinion') {
+    reason = `否定的な語（${termList}）がありますが、意見・感想として書かれているため、リスクは変えていません${strong ? '。違法行為などを示唆する語は、推量でも根拠を示すことを推奨します' : ''}`;
+  } else {
+    reason = `否定的な語（${termList}）がありますが、事実としての断定は見つからなかったため、リスクは変えていません`;
+  }
+
+  const risk = shiftRisk(issue.risk, step);
+  return {
+    ...issue,
+    risk,
+    sentiment: {
+      polarity,
+      assertion,
+      numbers,
+      terms,
+      ...(risk !== issue.risk ? { originalRisk: issue.risk } : {}),
+      reason
+    }
+  };
+}
+
+/**
+ * ブランド・人物の指摘に否定的文脈の分析結果を付け、リスクを調整する
+ * @param {Array} issues - 検出結果
+ * @param {Array} paragraphs - splitParagraphs（classifySatire の paragraphs）の戻り値
+ * @returns {Array} 否定的な文脈の指摘に sentiment を付けたもの（それ以外はそのまま）
+ */
+function applySentimentAnalysis(issues, paragraphs) {
+  const sentences = paragraphs.flatMap(p => p.sentences);
+  return issues.map(issue => (
+    TARGET_TYPES.includes(issue.type) && Number.isInteger(issue.start)
+      ? assessIssue(issue, sentences)
+      : issue
+  ));
+}
+
+module.exports = {
+  applySentimentAnalysis,
+  analyzeSentence,
+  ASSERTION_LABELS
+};
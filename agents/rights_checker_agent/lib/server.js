@@ -0,0 +1,294 @@
+/**
+ * HTTP API サーバーモジュール
+ * Node の http だけで、テキストの検査（POST /check・POST /check/batch）、有効なルールの一覧（GET /rules）、
+ * 稼働確認（GET /health）を提供する。リクエスト本文の大きさに上限を設け、API キーを指定した場合は認証する
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { checkText } = require('./checker');
+const { summarizeBatch } = require('./batch');
+const { selectPolicy } = require('./policy');
+const { displayPathFor } = require('./glob');
+const { version } = require('../package.json');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+// リクエスト本文の上限（バイト）
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+// POST /check/batch で1度に受け付ける文書の数
+const MAX_BATCH_DOCUMENTS = 50;
+// 本文をそのまま検査対象とする Content-Type
+const TEXT_CONTENT_TYPES = ['text/plain', 'text/markdown'];
+
+/**
+ * HTTP のステータスつきのエラー
+ */
+function httpError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers
+  });
+  res.end(payload);
+}
+
+/**
+ * リクエスト本文を読む。上限を超えた時点で 413 にする
+ * @returns {Promise<string>} 本文（UTF-8）
+ */
+function readBody(req, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > maxBodySize) {
+      req.resume();
+      reject(httpError(413, 'payload_too_large', `リクエスト本文が上限（${maxBodySize}バイト）を超えています`));
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    let rejected = false;
+    req.on('data', chunk => {
+      if (rejected) return;
+      size += chunk.length;
+      if (size > maxBodySize) {
+        rejected = true;
+        reject(httpError(413, 'payload_too_large', `リクエスト本文が上限（${maxBodySize}バイト）を超えています`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (!rejected) resolve(Buffer.concat(chunks).toString('utf-8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Content-Type の種類（パラメータを除いた小文字）
+ */
+function mediaTypeOf(req) {
+  return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * POST の本文を検査の入力として解釈する
+ * JSON（{ text, fileName?, filePath?, policy? }）か、text/plain・text/markdown の本文そのもの（クエリで fileName・policy を指定）
+ * @returns {Promise<Object>} JSON の場合は解釈した値、テキストの場合は { text, fileName, policy }
+ */
+async function readInput(req, url, maxBodySize) {
+  const mediaType = mediaTypeOf(req);
+  if (mediaType !== 'application/json' && !TEXT_CONTENT_TYPES.includes(mediaType)) {
+    throw httpError(415, 'unsupported_media_type', `Content-Type は application/json / ${TEXT_CONTENT_TYPES.join(' / ')} のいずれかを指定してください`);
+  }
+  const body = await readBody(req, maxBodySize);
+  if (mediaType !== 'application/json') {
+    return {
+      text: body,
+      fileName: url.searchParams.get('fileName') || undefined,
+      policy: url.searchParams.get('policy') || undefined
+    };
+  }
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    throw httpError(400, 'invalid_json', `JSON を解析できません（${err.message}）`);
+  }
+}
+
+/**
+ * 検査する文書1件を検証する
+ * @returns {Object} { text, fileName, filePath? }
+ */
+function validateDocument(doc, at) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw httpError(400, 'invalid_request', `${at} はオブジェクトである必要があります`);
+  }
+  if (typeof doc.text !== 'string' || doc.text === '') {
+    throw httpError(400, 'invalid_request', `${at}.text（検査するテキスト）は必須です`);
+  }
+  ['fileName', 'filePath'].forEach(key => {
+    if (doc[key] !== undefined && typeof doc[key] !== 'string') {
+      throw httpError(400, 'invalid_request', `${at}.${key} は文字列である必要があります`);
+    }
+  });
+  return { text: doc.text, fileName: doc.fileName || 'direct_input', filePath: doc.filePath };
+}
+
+/**
+ * API キーが一致するか（長さの違いで結果が早く分からないよう、ハッシュを定数時間で比べる）
+ */
+function matchesApiKey(req, apiKey) {
+  const header = req.headers.authorization || '';
+  const given = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+  if (typeof given !== 'string' || given === '') return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(apiKey));
+}
+
+/**
+ * 有効なルールの一覧（GET /rules）
+ */
+function describeRules(ruleset) {
+  const describe = (entries, categories) => entries.map(entry => ({
+    name: entry.name,
+    category: entry.category,
+    aliases: entry.aliases,
+    risk: entry.risk || (categories[entry.category] && categories[entry.category].risk) || null
+  }));
+  const describeCategories = categories => Object.fromEntries(Object.entries(categories)
+    .map(([name, category]) => [name, { risk: category.risk || null, description: category.description || null }]));
+
+  return {
+    sources: ruleset.sources.map(s => ({ name: s.name, version: s.version, source: displayPathFor(s.source) })),
+    normalization: ruleset.normalization,
+    brandCategories: describeCategories(ruleset.brandCategories),
+    personCategories: describeCategories(ruleset.personCategories),
+    brands: describe(ruleset.brands, ruleset.brandCategories),
+    persons: describe(ruleset.persons, ruleset.personCategories)
+  };
+}
+
+/**
+ * API サーバーを作る（listen は呼び出し側で行う）
+ * @param {Object} options
+ * @param {Object} options.ruleset - loadRules の ruleset
+ * @param {Object} options.policies - loadPolicies の戻り値（リクエストの policy で用途を選べる）
+ * @param {Object} options.policy - 既定のポリシー（selectPolicy の戻り値）
+ * @param {Array} [options.allowlist] - loadAllowlist の戻り値
+ * @param {Object} [options.corpus] - openCorpus の戻り値
+ * @param {string} [options.apiKey] - 指定した場合、/health 以外は Authorization: Bearer <key> または X-API-Key を必須にする
+ * @param {number} [options.maxBodySize] - リクエスト本文の上限（バイト）
+ * @param {Function} [options.onRequest] - 応答ごとに呼ばれる（{ method, path, status, ms }）
+ * @returns {http.Server}
+ */
+function createServer(options) {
+  const { ruleset, policies, allowlist = [], corpus = null, apiKey = null, onRequest = () => {} } = options;
+  const maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+  const startedAt = Date.now();
+
+  const policyFor = name => {
+    if (!name) return options.policy;
+    if (typeof name !== 'string' || !policies.useCases[name]) {
+      throw httpError(400, 'unknown_policy', `ポリシー "${name}" は定義されていません（${Object.keys(policies.useCases).join(' / ')}）`);
+    }
+    return selectPolicy(policies, name);
+  };
+
+  const check = (doc, policy) => checkText(doc.text, {
+    metadata: { fileName: doc.fileName, ...(doc.filePath ? { filePath: doc.filePath } : {}) },
+    rules: ruleset,
+    allowlist,
+    policy,
+    corpus
+  });
+
+  const routes = {
+    '/health': {
+      GET: async () => [200, {
+        status: 'ok',
+        version,
+        uptime: Math.round((Date.now() - startedAt) / 1000),
+        rules: { brands: ruleset.brands.length, persons: ruleset.persons.length },
+        policy: options.policy.name,
+        auth: Boolean(apiKey)
+      }]
+    },
+    '/rules': {
+      GET: async () => [200, describeRules(ruleset)]
+    },
+    '/check': {
+      POST: async (req, url) => {
+        const input = await readInput(req, url, maxBodySize);
+        const doc = validateDocument(input, 'body');
+        return [200, check(doc, policyFor(input.policy))];
+      }
+    },
+    '/check/batch': {
+      POST: async (req, url) => {
+        const input = await readInput(req, url, maxBodySize);
+        if (mediaTypeOf(req) !== 'application/json' || !input || !Array.isArray(input.documents)) {
+          throw httpError(400, 'invalid_request', 'body.documents（{ text, fileName? } の配列）を JSON で指定してください');
+        }
+        if (input.documents.length === 0 || input.documents.length > MAX_BATCH_DOCUMENTS) {
+          throw httpError(400, 'invalid_request', `body.documents は1〜${MAX_BATCH_DOCUMENTS}件で指定してください`);
+        }
+        const policy = policyFor(input.policy);
+        const docs = input.documents.map((doc, index) => validateDocument(doc, `body.documents[${index}]`));
+        // 文書ごとの失敗は結果の error として返し、他の文書の検査は続ける
+        const results = docs.map((doc, index) => {
+          const { id = index, fileName } = input.documents[index];
+          const displayPath = doc.filePath || fileName || String(id);
+          try {
+            return { id, displayPath, report: check(doc, policy) };
+          } catch (err) {
+            return { id, displayPath, error: err.message };
+          }
+        });
+        return [200, {
+          summary: summarizeBatch(results),
+          results: results.map(r => ({ id: r.id, fileName: r.displayPath, ...(r.report ? { report: r.report } : { error: r.error }) }))
+        }];
+      }
+    }
+  };
+
+  return http.createServer((req, res) => {
+    const started = Date.now();
+    let pathname = req.url;
+    const respond = (status, body, headers) => {
+      sendJson(res, status, body, headers);
+      onRequest({ method: req.method, path: pathname, status, ms: Date.now() - started });
+    };
+    const fail = (status, code, message, headers = {}) => {
+      req.resume();
+      respond(status, { error: { code, message } }, headers);
+    };
+
+    // 「//」などの不正なリクエストターゲットは URL として解釈できないため 400 にする
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (err) {
+      return fail(400, 'invalid_url', `リクエストの URL を解釈できません: ${req.url}`);
+    }
+    pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+    // 認証を経路の解決より先に行う（API キーのない相手に、どの経路・メソッドがあるかを返さないように）
+    if (apiKey && pathname !== '/health' && !matchesApiKey(req, apiKey)) {
+      return fail(401, 'unauthorized', 'API キーが必要です（Authorization: Bearer <key> または X-API-Key）', { 'WWW-Authenticate': 'Bearer' });
+    }
+    const route = routes[pathname];
+    if (!route) return fail(404, 'not_found', `${pathname} は存在しません（/check / /check/batch / /rules / /health）`);
+    const handler = route[req.method];
+    if (!handler) return fail(405, 'method_not_allowed', `${pathname} は ${Object.keys(route).join(' / ')} で呼び出してください`, { Allow: Object.keys(route).join(', ') });
+
+    handler(req, url)
+      .then(([status, body]) => respond(status, body))
+      .catch(err => {
+        if (err.status) {
+          fail(err.status, err.code, err.message, err.status === 413 ? { Connection: 'close' } : {});
+        } else {
+          fail(500, 'internal_error', err.message);
+        }
+      });
+  });
+}
+
+module.exports = {
+  createServer,
+  describeRules,
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  DEFAULT_MAX_BODY_SIZE,
+  MAX_BATCH_DOCUMENTS
+};
@@ -0,0 +1,304 @@
+/**
+ * 抑制モジュール
+ * 許可リスト（承認済みの言及）とインラインの抑制コメントにより、指摘を抑制済みとして分けて扱う
+ *
+ * インラインの抑制コメント:
+ *   <!-- rights-ignore brand:Zoom -->                  ファイル全体で Zoom を抑制
+ *   <!-- rights-ignore-next-line -->                   次の行の指摘をすべて抑制
+ *   <!-- rights-ignore-next-line person:X -- 理由 -->   次の行の X を抑制（-- 以降は理由）
+ * コードブロック・インラインコードの中に書かれた抑制コメント（使い方の例など）は無視する
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+const { globToRegExp, toPosix } = require('./glob');
+const { createPositionIndex } = require('./textPosition');
+const { normalizeTerm } = require('./normalizer');
+const { parseMarkdown } = require('./markdownDocument');
+
+const DIRECTIVE_PATTERN = /<!--\s*rights-ignore(-next-line)?(?=[\s-])([\s\S]*?)-->/g;
+const TARGET_KINDS = ['brand', 'person', 'type'];
+const ENTRY_KEYS = ['brand', 'person', 'type', 'file', 'line', 'reason', 'expires'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// この中に書かれた抑制コメントは文書の説明・例とみなし、抑制に使わない
+const CODE_EXCLUSIONS = ['code', 'inline_code'];
+
+/**
+ * 抑制対象の指定（brand:Zoom など）を解釈
+ * @returns {Object|null} { kind, value }
+ */
+function parseTarget(raw) {
+  const match = raw.match(/^(\w+):(.+)$/);
+  if (!match || !TARGET_KINDS.includes(match[1])) return null;
+  return { kind: match[1], value: match[2].trim() };
+}
+
+/**
+ * 指摘が抑制対象の指定に当てはまるか
+ * brand は brand_mention、person は person_mention・person_candidate と「〜風」などの参照先の名前、type は指摘の種別と照合する
+ * 名前は検出と同じ正規化をしてから比べる（「ﾈｯﾄﾌﾘｯｸｽ」は brand:ネットフリックス で抑制できる）
+ */
+function matchesTarget(issue, target) {
+  const fold = value => normalizeTerm(value).toLowerCase();
+  const same = value => typeof value === 'string' && fold(value) === fold(target.value);
+  switch (target.kind) {
+    case 'brand':
+      return issue.type === 'brand_mention' && (same(issue.content) || same(issue.canonical));
+    case 'person':
+      if (issue.type === 'person_mention' || issue.type === 'person_candidate') return same(issue.content) || same(issue.canonical);
+      return same(issue.referencedName);
+    case 'type':
+      return issue.type === target.value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * テキスト中の抑制コメントを読み取る（コードブロック・インラインコードの中のものは除く）
+ * @param {string} text - 検査対象のテキスト
+ * @param {Object} [options]
+ * @param {Object} [options.document] - parseMarkdown の戻り値（省略時はここで解析する）
+ * @returns {Object} { directives, warnings }
+ *   directives: [{ line, start, end, nextLine, targets, reason }]
+ */
+function parseInlineDirectives(text, options = {}) {
+  const document = options.document || parseMarkdown(text);
+  const positions = createPositionIndex(text);
+  const code = document.exclusions.filter(r => CODE_EXCLUSIONS.includes(r.type));
+  const directives = [];
+  const warnings = [];
+
+  for (const match of text.matchAll(DIRECTIVE_PATTERN)) {
+    const start = match.index;
+    if (code.some(r => start >= r.start && start < r.end)) continue;
+    const end = start + match[0].length;
+    const line = positions.lineOf(start);
+    const [body, ...reasonParts] = match[2].split(/\s--\s/);
+    const targets = [];
+
+    body.split(',').map(t => t.trim()).filter(Boolean).forEach(raw => {
+      const target = parseTarget(raw);
+      if (target) targets.push(target);
+      else warnings.push(`${line}行目: 抑制コメントの対象を解釈できません: "${raw}"（brand:名前 / person:名前 / type:種別）`);
+    });
+
+    const nextLine = Boolean(match[1]);
+    if (!nextLine && targets.length === 0) {
+      warnings.push(`${line}行目: rights-ignore には対象（brand:名前 など）が必要です。次の行だけを抑制する場合は rights-ignore-next-line を使ってください`);
+      continue;
+    }
+
+    directives.push({
+      line,
+      start,
+      end,
+      // 次の行 = コメントが終わった行の次の行
+      nextLine: nextLine ? positions.lineOf(end) + 1 : null,
+      targets,
+      reason: reasonParts.join(' -- ').trim() || null
+    });
+  }
+
+  return { directives, warnings };
+}
+
+/**
+ * 許可リストファイルを読み込んで検証する
+ * @param {string} filePath - .json / .yml / .yaml（{ entries: [...] } またはエントリの配列）
+ * @returns {Array} 許可リストのエントリ（source にファイルパスを付ける）
+ */
+function loadAllowlist(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`許可リストが見つかりません: ${filePath}`);
+  }
+  let raw;
+  try {
+    const source = fs.readFileSync(filePath, 'utf-8');
+    raw = /\.ya?ml$/i.test(filePath) ? parseYaml(source) : JSON.parse(source);
+  } catch (err) {
+    throw new Error(`許可リストを解析できません: ${filePath}（${err.message}）`);
+  }
+
+  const entries = Array.isArray(raw) ? raw : (raw && raw.entries) || [];
+  const errors = validateAllowlist(entries, filePath);
+  if (errors.length > 0) {
+    throw new Error(`許可リストにエラーがあります:\n  ${errors.join('\n  ')}`);
+  }
+  return entries.map(entry => ({ ...entry, source: filePath }));
+}
+
+/**
+ * 許可リストにエントリを1件追加して保存する（ファイルがなければ作る）
+ * JSON は読み込んで書き直し、YAML は既存の内容（コメントを含む）を残して末尾に追記する
+ * @param {string} filePath - .json / .yml / .yaml
+ * @param {Object} entry - 追加するエントリ（brand / person / type のいずれかと reason）
+ */
+function appendAllowlistEntry(filePath, entry) {
+  const errors = validateAllowlist([entry], filePath);
+  if (errors.length > 0) {
+    throw new Error(`許可リストに追加できません:\n  ${errors.join('\n  ')}`);
+  }
+  const exists = fs.existsSync(filePath);
+  // 既存のファイルは追加する前に検証する（壊れたファイルに追記しない）
+  if (exists) loadAllowlist(filePath);
+
+  if (!/\.ya?ml$/i.test(filePath)) {
+    const raw = exists ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : { entries: [] };
+    const updated = Array.isArray(raw) ? [...raw, entry] : { ...raw, entries: [...(raw.entries || []), entry] };
+    fs.writeFileSync(filePath, `${JSON.stringify(updated, null, 2)}\n`, 'utf-8');
+    return;
+  }
+
+  const source = exists ? fs.readFileSync(filePath, 'utf-8') : '';
+  const hasHeader = Array.isArray(parseYaml(source)) || /^entries:/m.test(source);
+  // 既存のエントリと同じインデントで書く
+  const existingItem = source.match(/^( *)- /m);
+  const indent = existingItem ? existingItem[1] : '  ';
+  // 値は JSON の文字列表記で書く（YAML の二重引用符の文字列として読める）
+  const lines = Object.entries(entry).map(([key, value], index) => {
+    const rendered = Array.isArray(value) ? `[${value.join(', ')}]` : (typeof value === 'string' ? JSON.stringify(value) : String(value));
+    return `${indent}${index === 0 ? '- ' : '  '}${key}: ${rendered}`;
+  });
+  const head = source === '' || source.endsWith('\n') ? source : `${source}\n`;
+  const header = hasHeader ? '' : 'entries:\n';
+  fs.writeFileSync(filePath, `${head}${header}${lines.join('\n')}\n`, 'utf-8');
+}
+
+/**
+ * 許可リストのエントリを検証
+ * @returns {Array} エラーメッセージ
+ */
+function validateAllowlist(entries, source) {
+  const errors = [];
+  entries.forEach((entry, index) => {
+    const at = `${source}: entries[${index}]`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${at} はオブジェクトである必要があります`);
+      return;
+    }
+    const kinds = TARGET_KINDS.filter(kind => entry[kind] !== undefined);
+    if (kinds.length !== 1 || typeof entry[kinds[0]] !== 'string' || entry[kinds[0]] === '') {
+      errors.push(`${at} には brand / person / type のいずれか1つを指定してください`);
+    }
+    if (typeof entry.reason !== 'string' || entry.reason.trim() === '') {
+      errors.push(`${at}.reason（承認の理由）は必須です`);
+    }
+    if (entry.expires !== undefined && !(typeof entry.expires === 'string' && DATE_PATTERN.test(entry.expires))) {
+      errors.push(`${at}.expires は YYYY-MM-DD 形式で指定してください`);
+    }
+    if (entry.file !== undefined && typeof entry.file !== 'string') {
+      errors.push(`${at}.file は文字列（パスまたは glob）である必要があります`);
+    }
+    const line = entry.line;
+    if (line !== undefined && !(Number.isInteger(line) ||
+        (Array.isArray(line) && line.length === 2 && line.every(Number.isInteger) && line[0] <= line[1]))) {
+      errors.push(`${at}.line は行番号、または [開始行, 終了行] で指定してください`);
+    }
+    Object.keys(entry).filter(key => !ENTRY_KEYS.includes(key)).forEach(key => {
+      errors.push(`${at} の未知のキー "${key}"`);
+    });
+  });
+  return errors;
+}
+
+/**
+ * 許可リストのエントリが指摘に当てはまるか（期限は見ない）
+ */
+function entryApplies(entry, issue, filePath) {
+  const kind = TARGET_KINDS.find(k => entry[k] !== undefined);
+  if (!matchesTarget(issue, { kind, value: entry[kind] })) return false;
+
+  if (entry.file !== undefined) {
+    const regex = globToRegExp(entry.file);
+    const candidates = filePath ? [toPosix(filePath), path.basename(filePath)] : [];
+    if (!candidates.some(candidate => regex.test(candidate))) return false;
+  }
+  if (Number.isInteger(entry.line) && issue.line !== entry.line) return false;
+  if (Array.isArray(entry.line) && (issue.line < entry.line[0] || issue.line > entry.line[1])) return false;
+  return true;
+}
+
+/**
+ * 指摘に抑制を適用し、有効な指摘と抑制された指摘に分ける
+ * 抑制コメントの中で検出された名前（コメント自体に書かれた brand:Zoom など）は指摘から除く
+ * @param {Array} issues - 検出された指摘
+ * @param {Object} options
+ * @param {string} options.text - 検査対象のテキスト
+ * @param {Object} [options.document] - parseMarkdown の戻り値（省略時はここで解析する）
+ * @param {Array} [options.allowlist] - loadAllowlist の戻り値
+ * @param {string} [options.filePath] - 許可リストの file と照合するパス
+ * @param {string} [options.today] - 期限の判定に使う日付（YYYY-MM-DD。省略時は今日）
+ * @returns {Object} { issues, suppressed, expired, warnings }
+ */
+function applySuppressions(issues, options) {
+  const { text, document, allowlist = [], filePath } = options;
+  const today = options.today || new Date().toISOString().slice(0, 10);
+  const { directives, warnings } = parseInlineDirectives(text, { document });
+
+  const active = [];
+  const suppressed = [];
+  const expired = new Map();
+
+  issues.forEach(issue => {
+    if (Number.isInteger(issue.start) && directives.some(d => issue.start >= d.start && issue.end <= d.end)) {
+      return;
+    }
+
+    const directive = directives.find(d =>
+      (d.nextLine === null || d.nextLine === issue.line) &&
+      (d.targets.length === 0 || d.targets.some(target => matchesTarget(issue, target))));
+    if (directive) {
+      suppressed.push({
+        ...issue,
+        suppression: {
+          source: 'inline',
+          line: directive.line,
+          scope: directive.nextLine === null ? 'file' : 'next-line',
+          reason: directive.reason
+        }
+      });
+      return;
+    }
+
+    const entries = allowlist.filter(entry => entryApplies(entry, issue, filePath));
+    const entry = entries.find(e => !e.expires || e.expires >= today);
+    if (entry) {
+      suppressed.push({
+        ...issue,
+        suppression: {
+          source: 'allowlist',
+          file: entry.source,
+          reason: entry.reason,
+          ...(entry.expires ? { expires: entry.expires } : {})
+        }
+      });
+      return;
+    }
+    // 期限切れの許可しかない指摘は有効な指摘として残し、期限切れを知らせる
+    entries.forEach(e => expired.set(e, (expired.get(e) || 0) + 1));
+    active.push(issue);
+  });
+
+  return {
+    issues: active,
+    suppressed,
+    expired: [...expired.entries()].map(([entry, count]) => ({
+      target: TARGET_KINDS.filter(k => entry[k] !== undefined).map(k => `${k}:${entry[k]}`)[0],
+      reason: entry.reason,
+      expires: entry.expires,
+      source: entry.source,
+      count
+    })),
+    warnings
+  };
+}
+
+module.exports = {
+  applySuppressions,
+  parseInlineDirectives,
+  loadAllowlist,
+  appendAllowlistEntry,
+  validateAllowlist
+};
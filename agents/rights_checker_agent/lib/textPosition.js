@@ -0,0 +1,117 @@
+/**
+ * テキスト位置モジュール
+ * 文字オフセットと行・列の相互変換、検出箇所を中心にした文脈の切り出しを行う
+ */
+
+// 文脈として切り出す最大文字数（一致部分を含む）
+const DEFAULT_CONTEXT_WIDTH = 100;
+const ELLIPSIS = '…';
+
+/**
+ * テキストの行頭オフセットの索引を作る
+ * @param {string} text - 対象テキスト
+ * @returns {Object} 位置変換用の関数群
+ */
+function createPositionIndex(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+
+  const lineOf = offset => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+
+  const lineStart = line => starts[line - 1];
+  const lineEnd = line => (line < starts.length ? starts[line] - 1 : text.length);
+
+  return {
+    lineCount: starts.length,
+    lineOf,
+    lineStart,
+    lineEnd,
+    /**
+     * オフセットを1始まりの行・列に変換
+     */
+    position(offset) {
+      const line = lineOf(offset);
+      return { line, column: offset - starts[line - 1] + 1 };
+    },
+    /**
+     * 1始まりの行・列をオフセットに変換
+     */
+    offsetOf(line, column) {
+      return starts[line - 1] + column - 1;
+    },
+    lineText(line) {
+      return text.slice(lineStart(line), lineEnd(line)).replace(/\r$/, '');
+    }
+  };
+}
+
+/**
+ * 一致箇所を中心にした文脈を切り出す（行をまたがない）
+ * 切り詰めた側には「…」を付ける
+ * @param {string} text - 対象テキスト
+ * @param {number} start - 一致の開始オフセット
+ * @param {number} end - 一致の終了オフセット（この位置を含まない）
+ * @param {Object} [index] - createPositionIndex の戻り値（使い回す場合）
+ * @param {number} [width] - 切り出す最大文字数
+ * @returns {string} 文脈
+ */
+function contextWindow(text, start, end, index = createPositionIndex(text), width = DEFAULT_CONTEXT_WIDTH) {
+  const line = index.lineOf(start);
+  const lineStart = index.lineStart(line);
+  const lineEnd = Math.max(index.lineEnd(line), end);
+  const room = Math.max(width - (end - start), 0);
+  const availableBefore = start - lineStart;
+  const availableAfter = lineEnd - end;
+
+  // 前後に半分ずつ割り当て、片側が行端で余った分は反対側に回す
+  let before = Math.floor(room / 2);
+  let after = room - before;
+  if (availableBefore < before) {
+    after += before - availableBefore;
+    before = availableBefore;
+  }
+  if (availableAfter < after) {
+    before = Math.min(availableBefore, before + after - availableAfter);
+    after = availableAfter;
+  }
+  const from = start - before;
+  const to = end + after;
+
+  const slice = text.slice(from, to).replace(/[\r\n]+/g, ' ');
+  const head = text.slice(lineStart, from).trim() ? ELLIPSIS : '';
+  const tail = text.slice(to, lineEnd).trim() ? ELLIPSIS : '';
+  return `${head}${head ? slice.replace(/^\s+/, '') : slice.trim()}${tail}`.trim();
+}
+
+/**
+ * 検出結果に付ける位置情報をまとめて作る
+ * @param {string} text - 対象テキスト
+ * @param {number} start - 一致の開始オフセット
+ * @param {number} end - 一致の終了オフセット
+ * @param {Object} [index] - createPositionIndex の戻り値
+ * @returns {Object} { line, column, start, end, match, context }
+ */
+function describeSpan(text, start, end, index = createPositionIndex(text)) {
+  const { line, column } = index.position(start);
+  return {
+    line,
+    column,
+    start,
+    end,
+    match: text.slice(start, end),
+    context: contextWindow(text, start, end, index)
+  };
+}
+
+module.exports = { createPositionIndex, contextWindow, describeSpan, DEFAULT_CONTEXT_WIDTH };
@@ -0,0 +1,116 @@
+/**
+ * YAML 読み込みモジュール（サブセット）
+ * ルールパックや設定ファイル用に、マッピング・リスト・スカラーのみを扱う
+ * アンカー、複数行文字列、フロースタイルのマッピングには対応しない
+ */
+
+/**
+ * スカラー値を解釈
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value === '') return '';
+  if (/^".*"$/.test(value)) return JSON.parse(value);
+  if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (/^\[.*\]$/.test(value)) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(',').map(parseScalar) : [];
+  }
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null' || value === '~') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value.replace(/\s+#.*$/, '');
+}
+
+function isSequenceItem(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+/**
+ * 同じインデントの行をまとめてマッピングまたはリストとして解釈
+ * @returns {Array} [値, 次に読む行の位置]
+ */
+function parseBlock(lines, start, indent) {
+  const sequence = isSequenceItem(lines[start].content);
+  const result = sequence ? [] : {};
+  let i = start;
+
+  while (i < lines.length && lines[i].indent === indent) {
+    const line = lines[i];
+
+    if (sequence) {
+      if (!isSequenceItem(line.content)) {
+        throw new Error(`${line.lineNo}行目: リスト要素（- ）が必要です`);
+      }
+      const rest = line.content.slice(1).trim();
+      if (rest === '') {
+        const next = lines[i + 1];
+        if (!next || next.indent <= indent) {
+          result.push(null);
+          i++;
+        } else {
+          const [value, end] = parseBlock(lines, i + 1, next.indent);
+          result.push(value);
+          i = end;
+        }
+      } else if (/^[^"'[\s][^:]*:(\s|$)/.test(rest)) {
+        // 「- key: value」で始まるマッピング要素は、続く行と同じインデントとして扱う
+        const childIndent = indent + 2;
+        const block = [{ ...line, indent: childIndent, content: rest }];
+        let j = i + 1;
+        while (j < lines.length && lines[j].indent >= childIndent) block.push(lines[j++]);
+        result.push(parseBlock(block, 0, childIndent)[0]);
+        i = j;
+      } else {
+        result.push(parseScalar(rest));
+        i++;
+      }
+      continue;
+    }
+
+    const match = line.content.match(/^("[^"]+"|'[^']+'|[^:]+):(?:\s+(.*))?$/);
+    if (!match) {
+      throw new Error(`${line.lineNo}行目: "key: value" 形式ではありません: ${line.content}`);
+    }
+    const key = parseScalar(match[1]);
+    const next = lines[i + 1];
+    if (match[2] !== undefined && match[2].trim() !== '') {
+      result[key] = parseScalar(match[2]);
+      i++;
+    } else if (next && (next.indent > indent || (next.indent === indent && isSequenceItem(next.content)))) {
+      const [value, end] = parseBlock(lines, i + 1, next.indent);
+      result[key] = value;
+      i = end;
+    } else {
+      result[key] = null;
+      i++;
+    }
+  }
+
+  if (i < lines.length && lines[i].indent > indent) {
+    throw new Error(`${lines[i].lineNo}行目: インデントが不正です`);
+  }
+  return [result, i];
+}
+
+/**
+ * YAML 文字列をオブジェクトに変換
+ * @param {string} source - YAML テキスト
+ * @returns {*} 解釈結果
+ */
+function parseYaml(source) {
+  const lines = source.split(/\r?\n/)
+    .map((text, index) => ({ text, lineNo: index + 1 }))
+    .filter(l => l.text.trim() !== '' && !/^\s*#/.test(l.text) && l.text.trim() !== '---')
+    .map(l => ({ ...l, indent: l.text.match(/^ */)[0].length, content: l.text.trim() }));
+
+  if (lines.length === 0) return {};
+  const [value, end] = parseBlock(lines, 0, lines[0].indent);
+  if (end < lines.length) {
+    throw new Error(`${lines[end].lineNo}行目: インデントが不正です`);
+  }
+  return value;
+}
+
+module.exports = { parseYaml };
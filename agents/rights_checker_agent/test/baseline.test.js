@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadBaseline, writeBaseline, compareWithBaseline, attachBaseline, contextSimilarity } = require('../lib/baseline');
+const { checkText } = require('../lib/checker');
+
+const BEFORE = [
+  '# 第一幕',
+  '',
+  '昨夜もNetflixで古い映画を観てから寝た。',
+  '',
+  '朝はZoomの会議から始まる。'
+].join('\n');
+
+// 前に段落を足して行をずらし、Zoom の文を少し直し、新しい言及を加える
+const AFTER = [
+  '# 第一幕',
+  '',
+  '冒頭に足した段落。',
+  '',
+  'もう一つ足した段落。',
+  '',
+  '昨夜もNetflixで古い映画を観てから寝た。',
+  '',
+  '朝はいつもZoomの会議から始まる。',
+  '',
+  '帰りにAmazonで本を買った。'
+].join('\n');
+
+function withBaseline(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rc-baseline-'));
+  try {
+    const file = path.join(dir, 'baseline.json');
+    writeBaseline(checkText(BEFORE), file);
+    return fn(loadBaseline(file), file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('contextSimilarity: 同じ文脈は1、切り詰めの「…」と空白は無視する', () => {
+  assert.equal(contextSimilarity('…昨夜もNetflixで', '昨夜も Netflix で…'), 1);
+  assert.ok(contextSimilarity('朝はZoomの会議', '朝はいつもZoomの会議') > 0.6);
+  assert.equal(contextSimilarity('あ', 'い'), 0);
+});
+
+test('compareWithBaseline: 別の行に移った指摘は変化なしとして、元の行を記録する', () => withBaseline(baseline => {
+  const result = compareWithBaseline(checkText(AFTER), baseline);
+  assert.deepEqual(result.unchanged.map(i => [i.content, i.baselineLine, i.line]), [['Netflix', 3, 7], ['Zoom', 5, 9]]);
+  assert.equal(result.unchanged[0].similarity, 1);
+  assert.ok(result.unchanged[1].similarity < 1);
+  assert.deepEqual(result.added.map(i => i.content), ['Amazon']);
+  assert.deepEqual(result.resolved, []);
+}));
+
+test('compareWithBaseline: 同じ名前でも文脈が違えば新規・解消として扱う', () => withBaseline(baseline => {
+  const rewritten = checkText('# 第一幕\n\nまったく別の話の中でNetflixという単語が出てくるだけ。');
+  const result = compareWithBaseline(rewritten, baseline);
+  assert.deepEqual(result.added.map(i => i.content), ['Netflix']);
+  assert.deepEqual(result.resolved.map(i => i.content).sort(), ['Netflix', 'Zoom']);
+  assert.deepEqual(result.unchanged, []);
+}));
+
+test('attachBaseline: 新規の指摘だけでリスクを判定し、件数をレポートに記録する', () => withBaseline((baseline, file) => {
+  const report = checkText(AFTER);
+  attachBaseline(report, baseline, file);
+  assert.deepEqual(report.baseline.counts, { new: 1, resolved: 0, unchanged: 2 });
+  assert.equal(report.baseline.source, file);
+  assert.equal(report.baseline.risk, 'low');
+  assert.equal(compareWithBaseline(checkText(BEFORE), baseline).risk, 'low');
+  assert.equal(compareWithBaseline(checkText(BEFORE), baseline).added.length, 0);
+}));
+
+test('loadBaseline: JSON レポート以外はエラーにする', () => withBaseline((baseline, file) => {
+  fs.writeFileSync(file, '{"summary": {}}');
+  assert.throws(() => loadBaseline(file), /--format json で保存したレポート/);
+  fs.writeFileSync(file, '{');
+  assert.throws(() => loadBaseline(file), /ベースラインを解析できません/);
+}));
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'cli', 'check.js');
+
+// 一時フォルダを作業ディレクトリにして CLI を実行する（rights-checker.config.json の探索に影響されないように）
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rc-cli-'));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function run(dir, args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+}
+
+test('1件のチェック: 設定の読み込みに失敗したら Error: を表示して終了コード1で終わる', () => withDir(dir => {
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{ "brands": ');
+  [
+    ['--rules', 'missing.yml'],
+    ['--allowlist', 'broken.json'],
+    ['--policy', 'missing'],
+    ['--baseline', 'missing-baseline.json'],
+    ['--corpus', 'missing-corpus']
+  ].forEach(options => {
+    const result = run(dir, ['--text', 'テスト', ...options]);
+    assert.equal(result.status, 1, options.join(' '));
+    assert.match(result.stderr, /^Error: /, options.join(' '));
+    assert.doesNotMatch(result.stderr, /\n\s+at /, options.join(' '));
+  });
+}));
+
+test('一括チェック: glob に一致したファイルをチェックし、終了コードは最もリスクの高いファイルに合わせる', () => withDir(dir => {
+  fs.mkdirSync(path.join(dir, 'docs', 'sub'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'docs', 'low.md'), '昨日は Netflix を観た。');
+  fs.writeFileSync(path.join(dir, 'docs', 'sub', 'high.md'), '孫正義は顧客を騙して詐欺をしている。');
+  const batch = (...options) => run(dir, ['--glob', 'docs/**/*.md', '--report-dir', 'reports', '--concurrency', '1', ...options]);
+
+  const result = batch();
+  assert.equal(result.status, 1, result.stderr);
+  assert.match(result.stdout, /2件のファイルをチェックします/);
+  assert.ok(fs.existsSync(path.join(dir, 'reports', 'low_rights_report.md')));
+  assert.ok(fs.existsSync(path.join(dir, 'reports', 'sub_high_rights_report.md')));
+  const index = fs.readFileSync(path.join(dir, 'reports', 'index_rights_report.md'), 'utf8');
+  assert.ok(index.indexOf('docs/sub/high.md') < index.indexOf('docs/low.md'));
+
+  assert.equal(batch('--policy', 'commercial-ad').status, 2);
+  assert.equal(run(dir, ['--glob', 'docs/*.md', '--report-dir', 'reports', '--concurrency', '1']).status, 0);
+
+  const empty = run(dir, ['--glob', 'missing/**/*.md', '--report-dir', 'reports']);
+  assert.equal(empty.status, 1);
+  assert.match(empty.stderr, /^Error: チェック対象のファイルが見つかりません/);
+}));
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildCorpusIndex, openCorpus, normalizeForShingles, shingle } = require('../lib/corpus');
+const { checkText } = require('../lib/checker');
+const { generateMarkdownReport } = require('../lib/reportGenerator');
+
+const SOURCE = [
+  '朝の通勤電車では、誰もが小さな画面を覗き込み、指先だけで世界とつながった気になっている。',
+  '駅に着くたびに通知が鳴り、私たちは顔を上げることも忘れて、次の広告へと運ばれていく。',
+  '便利さと引き換えに失ったものの名前を、もう誰も思い出せない。'
+].join('\n');
+
+function withCorpus(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rc-corpus-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'essay.md'), SOURCE);
+    buildCorpusIndex(dir);
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('索引のシングルはリトルエンディアンで保存する', () => withCorpus(dir => {
+  const [doc] = openCorpus(dir).documents;
+  const buffer = Buffer.from(doc.shingles, 'base64');
+  const expected = shingle(normalizeForShingles(SOURCE).text);
+  assert.equal(buffer.length, expected.length * 4);
+  expected.forEach((hash, i) => assert.equal(buffer.readUInt32LE(i * 4), hash));
+}));
+
+test('類似のアクションアイテムは総合評価と同じリスクの段階で示す', () => withCorpus(dir => {
+  const report = checkText(SOURCE, { corpus: openCorpus(dir) });
+  const similarity = report.originalityAnalysis.similarityAnalysis;
+  assert.equal(similarity.risk, 'critical');
+  assert.equal(report.originalityAnalysis.overallAssessment.overallRisk, 'critical');
+
+  const items = report.actionItems.filter(a => a.type === 'similarity');
+  assert.deepEqual(items.map(a => a.priority), similarity.matches.map(m => m.risk));
+  assert.equal(report.actionItems[0].priority, 'critical');
+  assert.match(generateMarkdownReport(report), /\*\*\[CRITICAL\]\*\* 「essay\.md」と重なる/);
+}));
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createUnifiedDiff, MAX_EDIT_DISTANCE } = require('../lib/diff');
+
+// unified diff を変更前のテキストに当てて変更後のテキストを作り直す
+function applyDiff(oldText, diff) {
+  const source = oldText.split('\n');
+  const result = [];
+  let cursor = 0;
+  const lines = diff.split('\n').slice(2, -1);
+  for (let i = 0; i < lines.length; i++) {
+    const header = lines[i].match(/^@@ -(\d+),\d+ \+\d+,\d+ @@$/);
+    if (header) {
+      const start = Number(header[1]) - 1;
+      result.push(...source.slice(cursor, start));
+      cursor = start;
+      continue;
+    }
+    const [op, line] = [lines[i][0], lines[i].slice(1)];
+    if (op !== '+') {
+      assert.equal(source[cursor], line);
+      cursor++;
+    }
+    if (op !== '-') result.push(line);
+  }
+  return [...result, ...source.slice(cursor)].join('\n');
+}
+
+const count = (diff, op) => diff.split('\n').slice(2).filter(line => line.startsWith(op)).length;
+
+test('createUnifiedDiff: 変更のない文脈行を3行ずつ添えたハンクを作る', () => {
+  const oldText = ['1', '2', '3', '4', '5', '6', '7', '8'].join('\n');
+  const newText = ['1', '2', '3', '4', 'five', '6', '7', '8'].join('\n');
+  assert.equal(createUnifiedDiff(oldText, newText, { from: 'a.md', to: 'a.fixed.md' }), [
+    '--- a.md', '+++ a.fixed.md', '@@ -2,7 +2,7 @@', ' 2', ' 3', ' 4', '-5', '+five', ' 6', ' 7', ' 8', ''
+  ].join('\n'));
+  assert.equal(createUnifiedDiff(oldText, oldText), '');
+});
+
+test('createUnifiedDiff: 最短の差分を作り、連続する変更では削除を先に並べる', () => {
+  const oldText = ['a', 'b', 'c', 'a', 'b', 'b', 'a'].join('\n');
+  const newText = ['c', 'b', 'a', 'b', 'a', 'c'].join('\n');
+  const diff = createUnifiedDiff(oldText, newText);
+  assert.equal(count(diff, '-') + count(diff, '+'), 5);
+  assert.doesNotMatch(diff, /^\+.*\n-/m);
+  assert.equal(applyDiff(oldText, diff), newText);
+});
+
+test('createUnifiedDiff: 編集距離が上限を超える大きな変更は範囲全体の置き換えにする', () => {
+  const size = MAX_EDIT_DISTANCE;
+  const oldText = Array.from({ length: size }, (_, i) => `old ${i}`).join('\n');
+  const newText = Array.from({ length: size }, (_, i) => (i % 4 === 3 ? `old ${i}` : `new ${i}`)).join('\n');
+  const diff = createUnifiedDiff(`keep\n${oldText}\nkeep`, `keep\n${newText}\nkeep`);
+  assert.equal(count(diff, '-'), size - 1);
+  assert.equal(count(diff, '+'), size - 1);
+  assert.equal(applyDiff(`keep\n${oldText}\nkeep`, diff), `keep\n${newText}\nkeep`);
+});
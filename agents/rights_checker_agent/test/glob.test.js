@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { globToRegExp, expandGlob, toPosix } = require('../lib/glob');
+const { collectFiles } = require('../lib/batch');
+
+const FILES = ['a.md', 'b.txt', 'sub/c.md', 'sub/deep/d.md', 'sub/e1.md', 'node_modules/pkg/f.md', 'reports/g.md'];
+
+function withTree(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rc-glob-'));
+  try {
+    FILES.forEach(file => {
+      fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), '本文');
+    });
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const relative = (dir, files) => files.map(file => toPosix(path.relative(dir, file))).sort();
+
+test('globToRegExp: * はディレクトリをまたがず、**/ は0個以上のディレクトリに一致する', () => {
+  assert.ok(globToRegExp('out/*.md').test('out/a.md'));
+  assert.ok(!globToRegExp('out/*.md').test('out/sub/a.md'));
+  assert.ok(globToRegExp('out/**/*.md').test('out/a.md'));
+  assert.ok(globToRegExp('out/**/*.md').test('out/x/y/a.md'));
+  assert.ok(globToRegExp('out/**').test('out/x/y/a.txt'));
+  assert.ok(globToRegExp('out/?.md').test('out/a.md'));
+  assert.ok(!globToRegExp('out/?.md').test('out/ab.md'));
+  assert.ok(!globToRegExp('out/a.md').test('out/aXmd'));
+});
+
+test('expandGlob: ワイルドカードの前のディレクトリから走査し、node_modules は除く', () => withTree(dir => {
+  assert.deepEqual(relative(dir, expandGlob('**/*.md', dir)), ['a.md', 'reports/g.md', 'sub/c.md', 'sub/deep/d.md', 'sub/e1.md']);
+  assert.deepEqual(relative(dir, expandGlob('sub/*.md', dir)), ['sub/c.md', 'sub/e1.md']);
+  assert.deepEqual(relative(dir, expandGlob('sub/e?.md', dir)), ['sub/e1.md']);
+  assert.deepEqual(relative(dir, expandGlob('b.txt', dir)), ['b.txt']);
+  assert.deepEqual(expandGlob('missing/*.md', dir), []);
+  assert.deepEqual(expandGlob('missing.md', dir), []);
+}));
+
+test('collectFiles: --dir は .md / .txt だけを集め、--glob と重複させず、レポートのフォルダを除く', () => withTree(dir => {
+  const files = collectFiles({ dirs: ['.'], globs: ['sub/**/*.md'], exclude: ['reports'], cwd: dir });
+  assert.deepEqual(relative(dir, files), ['a.md', 'b.txt', 'sub/c.md', 'sub/deep/d.md', 'sub/e1.md']);
+  assert.throws(() => collectFiles({ dirs: ['missing'], cwd: dir }), /ディレクトリが見つかりません/);
+}));
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkText } = require('../lib/checker');
+const { generateHtmlReport } = require('../lib/htmlReport');
+
+const TEXT = '<script>alert("本文")</script> & Netflix を観た。\n"引用符" と \'単引用符\'';
+
+function render(modify = () => {}) {
+  const report = checkText(TEXT, { metadata: { fileName: '<img src=x onerror=alert(1)>.md' } });
+  modify(report);
+  return generateHtmlReport(report, TEXT);
+}
+
+// レポート自身の <script> 要素を除いた部分
+const withoutOwnScripts = html => html.replace(/<script type="application\/json" id="findings-data">[\s\S]*?<\/script>|<script>[\s\S]*?<\/script>\s*<\/body>/g, '');
+
+test('HTML: 本文・ファイル名の特殊文字をエスケープする', () => {
+  const html = render();
+  const body = withoutOwnScripts(html);
+  assert.doesNotMatch(body, /<script>alert/);
+  assert.doesNotMatch(body, /<img /);
+  assert.match(html, /<title>権利チェックレポート - &lt;img src=x onerror=alert\(1\)&gt;\.md<\/title>/);
+  assert.match(html, /&lt;script&gt;alert\(&quot;本文&quot;\)&lt;\/script&gt; &amp; <a id="finding-0"><\/a><mark class="risk-low"[^>]*>Netflix<\/mark>/);
+  assert.match(html, /&quot;引用符&quot; と '単引用符'/);
+});
+
+test('HTML: 指摘の内容・提案・属性値に入る文字列もエスケープする', () => {
+  const html = render(report => {
+    const [issue] = report.brandIssues.items;
+    issue.category = '</script><b>"x"</b>';
+    issue.suggestion = '"><i>提案</i>';
+  });
+  const body = withoutOwnScripts(html);
+  assert.doesNotMatch(body, /<b>"x"<\/b>|<i>提案<\/i>/);
+  assert.match(body, /<td>&lt;\/script&gt;&lt;b&gt;&quot;x&quot;&lt;\/b&gt;<\/td>/);
+  assert.match(body, /title="\[LOW\] Netflix: &quot;&gt;&lt;i&gt;提案&lt;\/i&gt;"/);
+});
+
+test('HTML: 埋め込みの JSON は </script> で閉じられないようにする', () => {
+  const html = render(report => {
+    report.brandIssues.items[0].category = '</script><script>alert(1)</script>';
+  });
+  const data = html.match(/<script type="application\/json" id="findings-data">([\s\S]*?)<\/script>/)[1];
+  assert.doesNotMatch(data, /</);
+  assert.equal(JSON.parse(data)[0].category, '</script><script>alert(1)</script>');
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseArgs, runInteractive } = require('../cli/check');
+const { checkText } = require('../lib/checker');
+const { loadAllowlist } = require('../lib/suppressions');
+
+const TEXT = [
+  '# 台本',
+  '',
+  '今夜もNetflixを観る。',
+  '孫正義氏が登場する。',
+  '会議はZoomで行う。',
+  '週末もNetflixを観る。'
+].join('\n');
+
+// 回答をまとめて流し込んだ入力と、プロンプトを捨てる出力で対話的レビューを実行する
+async function review(t, dir, answers) {
+  t.mock.method(console, 'log', () => {});
+  const file = path.join(dir, 'script.md');
+  fs.writeFileSync(file, TEXT);
+  const args = parseArgs(['--file', file, '--interactive']);
+  const input = new PassThrough();
+  input.end(answers.map(a => `${a}\n`).join(''));
+  const output = new PassThrough();
+  output.resume();
+  const result = await runInteractive(TEXT, checkText(TEXT), args, {
+    allowlistFile: path.join(dir, 'rights-allowlist.yml'),
+    filePath: 'script.md',
+    input,
+    output
+  });
+  return {
+    result,
+    reviewed: fs.readFileSync(path.join(dir, 'script.reviewed.md'), 'utf8'),
+    log: JSON.parse(fs.readFileSync(path.join(dir, 'script.review.json'), 'utf8'))
+  };
+}
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rc-review-'));
+  return Promise.resolve(fn(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test('対話的レビュー: 許可リストへの追加を保存し、同じ名前の後の指摘には尋ねない', t => withDir(async dir => {
+  // Netflix → 許可、孫正義 → 置換先を入力、Zoom → 置換候補を適用（2件目の Netflix は尋ねない）
+  const { result, reviewed } = await review(t, dir, ['s', '配信サービスの紹介記事のため', 'r', 'とある投資家', 'a']);
+
+  assert.equal(result.allowlistPath, path.join(dir, 'rights-allowlist.yml'));
+  const [entry] = loadAllowlist(result.allowlistPath);
+  assert.equal(entry.brand, 'Netflix');
+  assert.equal(entry.reason, '配信サービスの紹介記事のため');
+  assert.equal(entry.file, 'script.md');
+  const recheck = checkText(result.text, { allowlist: loadAllowlist(result.allowlistPath), metadata: { filePath: 'script.md' } });
+  assert.equal(recheck.brandIssues.items.filter(i => i.content === 'Netflix').length, 0);
+
+  assert.equal(reviewed, result.text);
+  assert.match(reviewed, /とある投資家氏が登場する。/);
+  assert.match(reviewed, /会議はコミュニケーションサービスで行う。/);
+  assert.equal((reviewed.match(/Netflix/g) || []).length, 2);
+}));
+
+test('対話的レビュー: 判断の記録に各指摘の対処と集計を残す', t => withDir(async dir => {
+  const { log } = await review(t, dir, ['s', '紹介記事のため', 'r', 'とある投資家', 'a']);
+  assert.equal(log.file, 'script.md');
+  assert.ok(log.allowlist.endsWith('rights-allowlist.yml'));
+  assert.deepEqual(log.summary, { total: 4, accept: 1, replace: 1, suppress: 2, skip: 0, unreviewed: 0, conflicts: 0 });
+  assert.deepEqual(log.decisions.map(d => [d.content, d.line, d.action]), [
+    ['Netflix', 3, 'suppress'],
+    ['孫正義', 4, 'replace'],
+    ['Zoom', 5, 'accept'],
+    ['Netflix', 6, 'suppress']
+  ]);
+  assert.equal(log.decisions[1].replacement, 'とある投資家');
+  assert.equal(log.decisions[0].allowlistEntry.brand, 'Netflix');
+  assert.match(log.decisions[3].note, /このレビューで追加した許可/);
+}));
+
+test('対話的レビュー: 入力が途中で終わったら残りを未確認として記録し、許可リストは作らない', t => withDir(async dir => {
+  const { result, reviewed, log } = await review(t, dir, ['k', 'x', '']);
+  assert.equal(result.allowlistPath, null);
+  assert.equal(fs.existsSync(path.join(dir, 'rights-allowlist.yml')), false);
+  assert.equal(reviewed, TEXT);
+  assert.equal(log.allowlist, null);
+  assert.deepEqual(log.decisions.map(d => d.action), ['skip', 'skip', 'unreviewed', 'unreviewed']);
+}));
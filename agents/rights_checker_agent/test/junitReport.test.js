@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkText } = require('../lib/checker');
+const { generateJunitReport } = require('../lib/junitReport');
+
+const check = (text, filePath) => checkText(text, { metadata: { fileName: filePath.split('/').pop(), filePath } });
+
+// high の指摘が1件ある文書と、low の指摘だけの文書
+const failing = check('前置き\n孫正義は顧客を騙して詐欺をしている。', 'docs/failing.md');
+const passing = check('昨日は Netflix を観た。', 'docs\\passing.md');
+
+test('JUnit: high / critical の指摘があるファイルだけを failure として数える', () => {
+  const xml = generateJunitReport([failing, passing]);
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>/);
+  assert.match(xml, /<testsuites name="rights-checker" tests="2" failures="1" errors="0">/);
+  assert.match(xml, /<testsuite name="rights-checker" tests="2" failures="1" errors="0" skipped="0"/);
+  assert.equal((xml.match(/<testcase /g) || []).length, 2);
+  assert.equal((xml.match(/<failure /g) || []).length, 1);
+  assert.match(xml, /<testcase classname="rights-checker" name="docs\/failing\.md" time="0">\n {6}<failure message="high \/ critical の指摘が1件あります（総合リスク: high）" type="high">/);
+  assert.match(xml, /<system-out>\[low\] 1:5 brand_mention\/streaming 「Netflix」/);
+});
+
+test('JUnit: 指摘のない文書は failure なしで出力する', () => {
+  const xml = generateJunitReport(check('今日はいい天気だ。', 'clean.md'));
+  assert.match(xml, /tests="1" failures="0"/);
+  assert.doesNotMatch(xml, /<failure/);
+});
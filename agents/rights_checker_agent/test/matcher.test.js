@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getMatcher, isBounded } = require('../lib/matcher');
+const { loadRules } = require('../lib/rulesLoader');
+const fixtures = require('./fixtures/matcher-boundaries.json');
+
+const { ruleset } = loadRules({});
+const find = (text, section) => getMatcher(ruleset, section).findAll(text).map(m => m.match);
+
+test('isBounded: 同じ文字種が続く位置は境界にしない', () => {
+  assert.equal(isBounded('LINEMO', 0, 4), false);
+  assert.equal(isBounded('楽天的', 0, 2), false);
+  assert.equal(isBounded('の楽天で', 1, 3), true);
+  assert.equal(isBounded('楽天市場', 0, 2), true);
+  assert.equal(isBounded('孫正義氏', 0, 3), true);
+});
+
+fixtures.matches.forEach(({ text, brands = [], persons = [] }) => {
+  test(`検出する: ${text}`, () => {
+    assert.deepEqual(find(text, 'brands'), brands);
+    assert.deepEqual(find(text, 'persons'), persons);
+  });
+});
+
+fixtures.nonMatches.forEach(({ text }) => {
+  test(`検出しない: ${text}`, () => {
+    assert.deepEqual(find(text, 'brands'), []);
+    assert.deepEqual(find(text, 'persons'), []);
+  });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalize, normalizeTerm, romajiToKatakana, katakanaToRomaji } = require('../lib/normalizer');
+const { createMatcher } = require('../lib/matcher');
+
+// 正規化後の文字列で見つけた範囲を元のテキストに戻す
+function original(text, term, options) {
+  const normalized = normalize(text, options);
+  const index = normalized.text.indexOf(term);
+  assert.notEqual(index, -1, `${term} が ${normalized.text} に見つかりません`);
+  const { start, end } = normalized.toOriginal(index, index + term.length);
+  return text.slice(start, end);
+}
+
+test('normalize: NFKC でそろえた文字を元の全角・半角の範囲に戻す', () => {
+  const text = '昨日ＮＥＴＦＬＩＸとﾈｯﾄﾌﾘｯｸｽを観た';
+  assert.equal(normalize(text).text, '昨日NETFLIXトネットフリックスヲ観タ');
+  assert.equal(original(text, 'NETFLIX'), 'ＮＥＴＦＬＩＸ');
+  assert.equal(original(text, 'ネットフリックス'), 'ﾈｯﾄﾌﾘｯｸｽ');
+});
+
+test('normalize: 半角カタカナの濁点と、1文字が複数文字になる NFKC をまとめて元の1文字に戻す', () => {
+  assert.equal(original('ｶﾞｽﾄで食事', 'ガスト'), 'ｶﾞｽﾄ');
+  const text = '㈱メルカリ';
+  const normalized = normalize(text);
+  assert.equal(normalized.text, '(株)メルカリ');
+  assert.deepEqual(normalized.toOriginal(0, 3), { start: 0, end: 1 });
+  assert.equal(original(text, 'メルカリ'), 'メルカリ');
+});
+
+test('normalize: 長音記号・中黒・カタカナの間の空白を除いても元の範囲は表記どおりに戻す', () => {
+  assert.equal(normalizeTerm('ウーバー・イーツ'), 'ウバイツ');
+  assert.equal(original('今夜はうーばー・いーつで頼む', 'ウバイツ'), 'うーばー・いーつ');
+  assert.equal(original('ウーバー イーツ で頼む', 'ウバイツ'), 'ウーバー イーツ');
+  // カタカナの後でも、次がカタカナでなければ空白は残す
+  assert.equal(normalize('ゾゾ タウン 3件').text, 'ゾゾタウン 3件');
+});
+
+test('normalize: サロゲートペアの前後でも位置がずれない', () => {
+  const text = '𠮷野家とＺｏｏｍ';
+  assert.equal(original(text, 'Zoom'), 'Ｚｏｏｍ');
+  assert.equal(original(text, '𠮷野家'), '𠮷野家');
+});
+
+test('normalize: 無効にした正規化は適用しない', () => {
+  const options = { foldWidth: false, foldKana: false, ignoreLongVowel: false, ignoreMiddleDot: false };
+  assert.equal(normalize('ＡＢ・うーばー', options).text, 'ＡＢ・うーばー');
+  assert.equal(normalize('うーばー', { foldKana: false }).text, 'うーばー');
+});
+
+test('romajiToKatakana / katakanaToRomaji: ヘボン式で相互に変換し、変換できない綴りは null', () => {
+  assert.equal(romajiToKatakana('Toyota'), 'トヨタ');
+  assert.equal(romajiToKatakana('Rakuten'), 'ラクテン');
+  assert.equal(romajiToKatakana('Netflix'), null);
+  assert.equal(katakanaToRomaji('シマムラ'), 'shimamura');
+  assert.equal(katakanaToRomaji('ソニー'), 'soni');
+  assert.equal(katakanaToRomaji('ABC'), null);
+});
+
+test('createMatcher: ローマ字・全角で書かれた名前も元の表記と位置で返す', () => {
+  const matcher = createMatcher([{ name: 'しまむら', category: 'fashion', aliases: [] }]);
+  const text = '昨日はＳＨＩＭＡＭＵＲＡで、今日はShimamuraで、明日はシマムラで買う。';
+  assert.deepEqual(matcher.findAll(text).map(m => [m.match, text.slice(m.start, m.end)]), [
+    ['ＳＨＩＭＡＭＵＲＡ', 'ＳＨＩＭＡＭＵＲＡ'],
+    ['Shimamura', 'Shimamura'],
+    ['シマムラ', 'シマムラ']
+  ]);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectPersonReferences } = require('../lib/personDetector');
+const { styleNameConfidence, MIN_CONFIDENCE } = require('../lib/personCandidates');
+const { checkText } = require('../lib/checker');
+
+const styleReferences = text => detectPersonReferences(text)
+  .filter(r => r.type === 'style_reference')
+  .map(r => r.referencedName);
+
+test('styleNameConfidence: カタカナだけの語は作風を指す語尾のときだけ閾値を超える', () => {
+  assert.ok(styleNameConfidence('ハンバーガー').confidence < MIN_CONFIDENCE);
+  assert.ok(styleNameConfidence('マツコ', { attributive: true }).confidence >= MIN_CONFIDENCE);
+  assert.equal(styleNameConfidence('北欧', { attributive: true }).confidence, 0);
+});
+
+test('比喩の「〜のような」「〜みたいな」「〜っぽい」の前の普通名詞は style_reference にしない', () => {
+  ['ハンバーガーのような形。', 'スマートフォンみたいな板。', 'テレビっぽい音。', 'コンビニのような店。'].forEach(text => {
+    assert.deepEqual(styleReferences(text), [], text);
+  });
+});
+
+test('人物名の手がかりがあれば、どの語尾でも style_reference にする', () => {
+  assert.deepEqual(styleReferences('マツコ風の語り口。'), ['マツコ']);
+  assert.deepEqual(styleReferences('バカリズム風の台本。'), ['バカリズム']);
+  assert.deepEqual(styleReferences('イーロン・マスクのような発想。'), ['イーロン・マスク']);
+  assert.deepEqual(styleReferences('佐藤健一みたいな俳優。'), ['佐藤健一']);
+});
+
+test('ブランド名として検出した範囲は人物候補にしない', () => {
+  const text = 'ウーバー・イーツで頼んだ。';
+  assert.deepEqual(detectPersonReferences(text).map(r => r.type), ['person_candidate']);
+  assert.deepEqual(detectPersonReferences(text, { exclude: [{ start: 0, end: 8 }] }), []);
+
+  const report = checkText(text, {});
+  assert.deepEqual(report.brandIssues.items.map(i => i.content), ['ウーバー・イーツ']);
+  assert.deepEqual(report.personIssues.items, []);
+});
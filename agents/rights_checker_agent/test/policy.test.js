@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validatePolicyFile } = require('../lib/policy');
+
+test('validatePolicyFile: 既定のポリシーファイルにはエラーがない', () => {
+  assert.deepEqual(validatePolicyFile(require('../policies/builtin.json'), 'builtin.json'), []);
+});
+
+test('validatePolicyFile: rules の null や配列の要素は検証エラーにする', () => {
+  const errors = validatePolicyFile({
+    useCases: {
+      blog: { rules: [null, ['high'], { level: 'high', minCount: 1 }] }
+    }
+  }, 'policy.yml');
+  assert.deepEqual(errors, [
+    'policy.yml: useCases.blog.rules[0] はオブジェクトである必要があります',
+    'policy.yml: useCases.blog.rules[1] はオブジェクトである必要があります'
+  ]);
+});
+
+test('validatePolicyFile: 不正な値を報告する', () => {
+  const errors = validatePolicyFile({
+    useCases: {
+      blog: { riskWeights: { huge: 1 }, rules: [{ level: 'severe' }], exitCodes: { high: -1 }, extra: true }
+    }
+  }, 'p.json');
+  assert.deepEqual(errors, [
+    'p.json: useCases.blog の未知のキー "extra"',
+    'p.json: useCases.blog.riskWeights のキーが不正です: huge',
+    'p.json: useCases.blog.rules[0].level は low / medium / high / critical のいずれかです',
+    'p.json: useCases.blog.rules[0] には minCount か minScore が必要です',
+    'p.json: useCases.blog.exitCodes.high が不正です'
+  ]);
+  assert.deepEqual(validatePolicyFile(null, 'p.json'), ['p.json: useCases（用途ごとのポリシー）が必要です']);
+});
+
+test('validatePolicyFile: 配列で書いた useCases・用途・重み・終了コードは検証エラーにする', () => {
+  assert.deepEqual(validatePolicyFile({ useCases: [{ rules: [] }] }, 'p.yml'), ['p.yml: useCases（用途ごとのポリシー）が必要です']);
+  assert.deepEqual(validatePolicyFile([], 'p.yml'), ['p.yml: useCases（用途ごとのポリシー）が必要です']);
+
+  const errors = validatePolicyFile({
+    useCases: {
+      list: ['high'],
+      blog: { riskWeights: [2, 3], typeWeights: [1], categoryWeights: { 'brand_mention/tech': 2 }, regionWeights: 'heading', exitCodes: [0, 0, 1, 2] }
+    }
+  }, 'p.yml');
+  assert.deepEqual(errors, [
+    'p.yml: useCases.list はオブジェクトである必要があります',
+    'p.yml: useCases.blog.riskWeights はオブジェクトである必要があります',
+    'p.yml: useCases.blog.typeWeights はオブジェクトである必要があります',
+    'p.yml: useCases.blog.regionWeights はオブジェクトである必要があります',
+    'p.yml: useCases.blog.exitCodes はオブジェクトである必要があります'
+  ]);
+});
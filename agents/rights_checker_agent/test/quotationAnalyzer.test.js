@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { analyzeQuotations } = require('../lib/quotationAnalyzer');
+
+const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'quotations.md'), 'utf-8');
+
+test('front matter・コードブロックの中の括弧や > は引用として扱わない', () => {
+  const { analysis, issues } = analyzeQuotations(text);
+  assert.equal(analysis.quotes, 3);
+  assert.deepEqual(issues.filter(i => i.line).map(i => [i.category, i.line]), [
+    ['author_only', 7],
+    ['no_source', 18]
+  ]);
+});
+
+test('引用ブロックの最後の「— 著者『作品名』」は出典として扱う', () => {
+  const { analysis } = analyzeQuotations(text);
+  assert.equal(analysis.attributed, 2);
+});
+
+test('指摘に文書上の位置（ブロックの種類と節）を付ける', () => {
+  const [issue] = analyzeQuotations(text).issues;
+  assert.equal(issue.region, 'paragraph');
+  assert.equal(issue.section, '引用のテスト');
+});
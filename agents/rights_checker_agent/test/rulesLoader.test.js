@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadRules, findDuplicates } = require('../lib/rulesLoader');
+
+function withPack(pack, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rc-rules-'));
+  try {
+    const file = path.join(dir, 'project.json');
+    fs.writeFileSync(file, JSON.stringify(pack));
+    return fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const BROKEN_PACK = {
+  brands: [
+    { name: '架空ドリンク', category: 'beverage', risk: 'extreme' },
+    { name: '架空モール', category: 'mall' },
+    { name: 'アマゾン', category: 'retail' },
+    'not an entry'
+  ]
+};
+
+test('loadRules: スキーマエラーのあるパックも未定義カテゴリをまとめて報告する', () => withPack(BROKEN_PACK, file => {
+  const { errors } = loadRules({ rulesFiles: [file], useProjectConfig: false, strict: false });
+  assert.ok(errors.some(e => e.includes('brands[0].risk が不正です: extreme')));
+  assert.ok(errors.some(e => e.includes('brands[3] はオブジェクトである必要があります')));
+  assert.ok(errors.some(e => e.includes('「架空モール」のカテゴリ "mall" は brandCategories に定義されていません')));
+}));
+
+test('loadRules: スキーマエラーのあるパックのエントリも重複の検出に含める', () => withPack(BROKEN_PACK, file => {
+  const { ruleset } = loadRules({ rulesFiles: [file], useProjectConfig: false, strict: false });
+  const duplicate = findDuplicates(ruleset).find(d => d.entries.some(e => e.source === file));
+  assert.ok(duplicate);
+  assert.ok(duplicate.entries.some(e => e.name === 'Amazon'));
+}));
+
+test('loadRules: strict ではすべてのエラーを1つの例外にまとめる', () => withPack(BROKEN_PACK, file => {
+  assert.throws(
+    () => loadRules({ rulesFiles: [file], useProjectConfig: false }),
+    err => err.message.includes('extreme') && err.message.includes('"mall"')
+  );
+}));
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { replacementFor, sanitize, normalizeMapping } = require('../lib/sanitizer');
+const { checkText } = require('../lib/checker');
+
+const mapping = normalizeMapping({ brands: { Netflix: '動画見放題サービス' }, persons: { ネトフリ: '使われない' } });
+
+test('replacementFor: 置換先は正式名（canonical）から先に探す', () => {
+  const alias = { type: 'brand_mention', category: 'streaming', content: 'ネトフリ', canonical: 'Netflix' };
+  assert.equal(replacementFor(alias, mapping), '動画見放題サービス');
+  assert.equal(replacementFor({ ...alias, content: 'NETFLIX', canonical: undefined }, mapping), '動画見放題サービス');
+});
+
+test('replacementFor: 置換先がなければカテゴリの一般名詞にする', () => {
+  const issue = { type: 'brand_mention', category: 'streaming', content: 'Hulu' };
+  assert.equal(replacementFor(issue, mapping), '動画配信サービス');
+});
+
+test('sanitize: 別名で書かれたブランドも --fix-map の正式名の置換先で置換する', () => {
+  const text = '昨日はネトフリを観た。';
+  const report = checkText(text);
+  const { text: fixed, replacements } = sanitize(text, report.brandIssues.items, { threshold: 'low', mapping });
+  assert.equal(fixed, '昨日は動画見放題サービスを観た。');
+  assert.deepEqual(replacements.map(r => [r.from, r.to]), [['ネトフリ', '動画見放題サービス']]);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkText } = require('../lib/checker');
+const { generateSarifReport, SARIF_LEVELS } = require('../lib/sarifReport');
+
+const check = (text, filePath) => checkText(text, { metadata: { fileName: filePath.split('/').pop(), filePath } });
+
+// high の指摘が1件ある文書と、low の指摘だけの文書
+const failing = check('前置き\n孫正義は顧客を騙して詐欺をしている。', 'docs/failing.md');
+const passing = check('昨日は Netflix を観た。', 'docs\\passing.md');
+
+test('SARIF: version・ツールのルール定義・結果の位置を出力する', () => {
+  const sarif = generateSarifReport([failing, passing]);
+  assert.equal(sarif.version, '2.1.0');
+  assert.match(sarif.$schema, /sarif-2\.1\.0/);
+  assert.equal(sarif.runs.length, 1);
+
+  const [run] = sarif.runs;
+  assert.equal(run.tool.driver.name, 'rights-checker');
+  assert.ok(run.tool.driver.version);
+  assert.deepEqual(run.tool.driver.rules.map(r => r.id), ['person_mention/business', 'brand_mention/streaming']);
+  run.tool.driver.rules.forEach(rule => {
+    assert.ok(rule.shortDescription.text);
+    assert.ok(Object.values(SARIF_LEVELS).includes(rule.defaultConfiguration.level));
+  });
+  assert.deepEqual(run.artifacts.map(a => a.location.uri), ['docs/failing.md', 'docs/passing.md']);
+
+  const [person, brand] = run.results;
+  assert.equal(person.ruleId, 'person_mention/business');
+  assert.equal(person.ruleIndex, 0);
+  assert.equal(person.level, 'error');
+  assert.equal(brand.level, 'note');
+  const { physicalLocation } = person.locations[0];
+  assert.equal(physicalLocation.artifactLocation.uri, 'docs/failing.md');
+  assert.deepEqual(physicalLocation.region, {
+    startLine: 2, startColumn: 1, endColumn: 4, charOffset: 4, charLength: 3, snippet: { text: '孫正義' }
+  });
+});
+
+test('SARIF: 1件のレポートも1つの run にする', () => {
+  const sarif = generateSarifReport(passing);
+  assert.equal(sarif.runs[0].results.length, 1);
+  assert.equal(sarif.runs[0].results[0].locations[0].physicalLocation.region.startLine, 1);
+});
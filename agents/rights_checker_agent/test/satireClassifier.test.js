@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifySatire } = require('../lib/satireClassifier');
+const { parseMarkdown } = require('../lib/markdownDocument');
+
+const text = [
+  '---',
+  'title: 便利なのに疲れる',
+  '---',
+  '',
+  '# 第一幕',
+  '',
+  '便利になったはずなのに、毎日疲れている。これが進化だ。',
+  '',
+  '```',
+  'なのに、なのに、なのに。',
+  '```',
+  '',
+  '---',
+  '',
+  '- 通知、広告、課金。'
+].join('\n');
+
+test('段落は文書モデルの本文のブロックから作り、front matter・コード・区切り線は除く', () => {
+  const { paragraphs } = classifySatire(text);
+  assert.deepEqual(paragraphs.map(p => text.slice(p.start, p.end)), [
+    '# 第一幕',
+    '便利になったはずなのに、毎日疲れている。これが進化だ。',
+    '- 通知、広告、課金。'
+  ]);
+  assert.ok(paragraphs[1].structures.includes('contrast'));
+  assert.ok(paragraphs[1].devices.includes('punchline'));
+});
+
+test('渡した文書モデルを使っても同じ結果になる', () => {
+  assert.deepEqual(classifySatire(text, { document: parseMarkdown(text) }), classifySatire(text));
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeSentence, applySentimentAnalysis } = require('../lib/sentimentAnalyzer');
+const { checkText } = require('../lib/checker');
+
+// 1文を1段落として渡し、指摘の位置に対応させる
+const paragraphsOf = sentence => [{ sentences: [{ text: sentence, start: 0, end: sentence.length }] }];
+const issueAt = (sentence, name, risk = 'medium') => ({
+  type: 'brand_mention', content: name, risk, start: sentence.indexOf(name), end: sentence.indexOf(name) + name.length
+});
+
+test('analyzeSentence: 数値を伴う否定的な内容は事実としての断定と判定する', () => {
+  const result = analyzeSentence('A社は顧客データを毎日3万件流出させている。');
+  assert.equal(result.polarity, 'negative');
+  assert.equal(result.assertion, 'fact');
+  assert.equal(result.numbers, true);
+  assert.deepEqual(result.terms, ['流出']);
+});
+
+test('analyzeSentence: 誇張・意見として書かれた文は断定と区別する', () => {
+  assert.equal(analyzeSentence('A社のサポートは宇宙一最悪だ！！').assertion, 'hyperbole');
+  assert.equal(analyzeSentence('A社の新料金は改悪だと思う。').assertion, 'opinion');
+  assert.equal(analyzeSentence('A社の新料金は改悪だ。').assertion, 'statement');
+});
+
+test('analyzeSentence: 否定で打ち消された語は数えない', () => {
+  const result = analyzeSentence('A社の対応は問題ない。危険はない。');
+  assert.equal(result.polarity, 'neutral');
+  assert.deepEqual(result.terms, []);
+});
+
+test('applySentimentAnalysis: 事実としての断定はリスクを1段階上げ、元のリスクと理由を残す', () => {
+  const sentence = 'A社は顧客情報を漏洩している。';
+  const [issue] = applySentimentAnalysis([issueAt(sentence, 'A社')], paragraphsOf(sentence));
+  assert.equal(issue.risk, 'high');
+  assert.equal(issue.sentiment.originalRisk, 'medium');
+  assert.equal(issue.sentiment.assertion, 'fact');
+  assert.match(issue.sentiment.reason, /「漏洩」.*事実として断定/);
+});
+
+test('applySentimentAnalysis: 意見・誇張はリスクを変えず、理由だけを付ける', () => {
+  ['A社の新料金は改悪だと思う。', 'A社は史上最悪の情報漏れを起こした！！'].forEach(sentence => {
+    const [issue] = applySentimentAnalysis([issueAt(sentence, 'A社')], paragraphsOf(sentence));
+    assert.equal(issue.risk, 'medium');
+    assert.equal(issue.sentiment.originalRisk, undefined);
+    assert.match(issue.sentiment.reason, /リスクは変えていません/);
+  });
+});
+
+test('applySentimentAnalysis: 否定的でない文・対象外の指摘はそのまま返す', () => {
+  const sentence = 'A社の対応は問題ない。';
+  const mention = issueAt(sentence, 'A社');
+  const quotation = { ...mention, type: 'quotation' };
+  const result = applySentimentAnalysis([mention, quotation], paragraphsOf(sentence));
+  assert.equal(result[0], mention);
+  assert.equal(result[1], quotation);
+});
+
+test('checkText: データの流出を数値つきで断定した実在企業の指摘はリスクを上げる', () => {
+  const report = checkText('Microsoftは顧客データを毎日3万件流出させている。');
+  const issue = report.brandIssues.items.find(i => i.content === 'Microsoft');
+  assert.ok(issue.sentiment);
+  assert.deepEqual(issue.sentiment.terms, ['流出']);
+  assert.equal(issue.sentiment.numbers, true);
+  assert.ok(issue.sentiment.originalRisk);
+  assert.notEqual(issue.risk, issue.sentiment.originalRisk);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createServer, MAX_BATCH_DOCUMENTS } = require('../lib/server');
+const { loadRules } = require('../lib/rulesLoader');
+const { loadPolicies, selectPolicy } = require('../lib/policy');
+
+// port 0 で起動し、テストごとに実際の HTTP リクエストを送る
+function startServer(options = {}) {
+  const { ruleset } = loadRules({});
+  const policies = loadPolicies({});
+  const server = createServer({ ruleset, policies, policy: selectPolicy(policies), ...options });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function request(server, { method = 'GET', path, body, headers = {} }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf-8');
+        resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null });
+      });
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+const postJson = (server, path, value, headers = {}) => request(server, {
+  method: 'POST',
+  path,
+  body: typeof value === 'string' ? value : JSON.stringify(value),
+  headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+test('API サーバー', async t => {
+  const server = await startServer();
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  await t.test('GET /health は稼働状況を返す', async () => {
+    const res = await request(server, { path: '/health' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.auth, false);
+    assert.ok(res.body.rules.brands > 0);
+  });
+
+  await t.test('GET /rules は有効なルールを返す', async () => {
+    const res = await request(server, { path: '/rules' });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.brands.some(b => b.name === 'Netflix'));
+    res.body.brands.forEach(b => assert.ok(b.risk));
+  });
+
+  await t.test('POST /check は JSON とテキスト本文を検査する', async () => {
+    const json = await postJson(server, '/check', { text: '昨日はNetflixを観た。', fileName: 'a.md' });
+    assert.equal(json.status, 200);
+    assert.equal(json.body.metadata.fileName, 'a.md');
+    assert.deepEqual(json.body.brandIssues.items.map(i => i.content), ['Netflix']);
+
+    const text = await request(server, {
+      method: 'POST',
+      path: '/check?fileName=b.md',
+      body: '昨日はNetflixを観た。',
+      headers: { 'Content-Type': 'text/markdown; charset=utf-8' }
+    });
+    assert.equal(text.status, 200);
+    assert.equal(text.body.metadata.fileName, 'b.md');
+    assert.equal(text.body.brandIssues.items.length, 1);
+  });
+
+  await t.test('POST /check/batch は文書ごとの結果と集計を返す', async () => {
+    const res = await postJson(server, '/check/batch', {
+      documents: [{ id: 'a', text: 'Netflixを観た。' }, { text: '散歩をした。', fileName: 'b.md' }]
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map(r => [r.id, r.fileName]), [['a', 'a'], [1, 'b.md']]);
+    assert.equal(res.body.results[0].report.brandIssues.items.length, 1);
+    assert.equal(res.body.results[1].report.brandIssues.items.length, 0);
+    assert.equal(res.body.summary.fileCount, 2);
+    assert.deepEqual(res.body.summary.topBrands.map(b => b.name), ['Netflix']);
+  });
+
+  await t.test('不正な JSON は 400 invalid_json', async () => {
+    const res = await postJson(server, '/check', '{"text": ');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'invalid_json');
+  });
+
+  await t.test('入力の誤りは 400 invalid_request', async () => {
+    assert.equal((await postJson(server, '/check', { text: '' })).body.error.code, 'invalid_request');
+    assert.equal((await postJson(server, '/check/batch', { documents: [] })).status, 400);
+    const tooMany = Array.from({ length: MAX_BATCH_DOCUMENTS + 1 }, () => ({ text: 'a' }));
+    assert.equal((await postJson(server, '/check/batch', { documents: tooMany })).status, 400);
+    assert.equal((await postJson(server, '/check', { text: 'a', policy: 'nope' })).body.error.code, 'unknown_policy');
+  });
+
+  await t.test('解釈できないリクエストターゲットは 400 invalid_url', async () => {
+    const res = await request(server, { path: '//' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'invalid_url');
+  });
+
+  await t.test('未知のパスは 404、未対応のメソッドは 405、未対応の Content-Type は 415', async () => {
+    assert.equal((await request(server, { path: '/nope' })).status, 404);
+    const notAllowed = await request(server, { method: 'DELETE', path: '/check' });
+    assert.equal(notAllowed.status, 405);
+    assert.equal(notAllowed.headers.allow, 'POST');
+    const unsupported = await request(server, { method: 'POST', path: '/check', body: 'x', headers: { 'Content-Type': 'text/html' } });
+    assert.equal(unsupported.status, 415);
+  });
+});
+
+test('API サーバー: 本文の上限と API キー', async t => {
+  const server = await startServer({ apiKey: 'secret', maxBodySize: 64 });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  assert.equal((await request(server, { path: '/health' })).status, 200);
+  const unauthorized = await request(server, { path: '/rules' });
+  assert.equal(unauthorized.status, 401);
+  assert.equal(unauthorized.headers['www-authenticate'], 'Bearer');
+  assert.equal((await request(server, { path: '/rules', headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  assert.equal((await request(server, { path: '/rules', headers: { 'X-API-Key': 'secret' } })).status, 200);
+
+  // 認証の前に経路・メソッドの有無を返さない
+  assert.equal((await request(server, { path: '/admin' })).status, 401);
+  assert.equal((await request(server, { method: 'DELETE', path: '/check' })).status, 401);
+  assert.equal((await request(server, { path: '/admin', headers: { 'X-API-Key': 'secret' } })).status, 404);
+  assert.equal((await request(server, { method: 'DELETE', path: '/check', headers: { 'X-API-Key': 'secret' } })).status, 405);
+
+  const tooLarge = await postJson(server, '/check', { text: 'a'.repeat(100) }, { Authorization: 'Bearer secret' });
+  assert.equal(tooLarge.status, 413);
+  assert.equal(tooLarge.body.error.code, 'payload_too_large');
+});
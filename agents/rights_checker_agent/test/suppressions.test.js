@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseInlineDirectives } = require('../lib/suppressions');
+const { checkText } = require('../lib/checker');
+
+const brands = report => report.brandIssues.items.map(i => i.content);
+const suppressed = report => report.suppressedIssues.items.map(i => i.content);
+
+test('parseInlineDirectives: HTML コメントの抑制コメントを読み取る', () => {
+  const { directives, warnings } = parseInlineDirectives([
+    '<!-- rights-ignore brand:Zoom -- 社内ツールの説明 -->',
+    '<!-- rights-ignore-next-line -->',
+    'Netflixを観た。'
+  ].join('\n'));
+  assert.deepEqual(directives.map(d => [d.line, d.nextLine, d.targets, d.reason]), [
+    [1, null, [{ kind: 'brand', value: 'Zoom' }], '社内ツールの説明'],
+    [2, 3, [], null]
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test('コードブロックの中の抑制コメントは使わない', () => {
+  const text = [
+    '抑制コメントの書き方:',
+    '',
+    '```markdown',
+    '<!-- rights-ignore brand:Zoom -->',
+    '<!-- rights-ignore-next-line -->',
+    '```',
+    'Zoomで会議をした。'
+  ].join('\n');
+  assert.deepEqual(parseInlineDirectives(text).directives, []);
+  const report = checkText(text, {});
+  assert.deepEqual(brands(report), ['Zoom']);
+  assert.deepEqual(suppressed(report), []);
+});
+
+test('インラインコードの中の抑制コメントは使わない', () => {
+  const text = '例: `<!-- rights-ignore brand:Zoom -->` と書く。\nZoomで会議をした。';
+  assert.deepEqual(parseInlineDirectives(text).directives, []);
+  assert.deepEqual(brands(checkText(text, {})), ['Zoom']);
+});
+
+test('コードの外の抑制コメントは指摘を抑制する', () => {
+  const report = checkText('<!-- rights-ignore-next-line brand:Zoom -- 社内ツール -->\nZoomで会議をした。', {});
+  assert.deepEqual(brands(report), []);
+  assert.deepEqual(suppressed(report), ['Zoom']);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPositionIndex, contextWindow, describeSpan, DEFAULT_CONTEXT_WIDTH } = require('../lib/textPosition');
+const { checkText } = require('../lib/checker');
+
+test('createPositionIndex: オフセットと1始まりの行・列を相互に変換する', () => {
+  const text = '一行目\r\n\r\n三行目のNetflix\n';
+  const index = createPositionIndex(text);
+  assert.equal(index.lineCount, 4);
+  assert.deepEqual(index.position(0), { line: 1, column: 1 });
+  assert.deepEqual(index.position(text.indexOf('Netflix')), { line: 3, column: 5 });
+  assert.equal(index.offsetOf(3, 5), text.indexOf('Netflix'));
+  assert.equal(index.lineText(1), '一行目');
+  assert.equal(index.lineText(2), '');
+  assert.deepEqual(index.position(text.length), { line: 4, column: 1 });
+});
+
+test('contextWindow: 一致を中心に切り出し、切り詰めた側に「…」を付ける', () => {
+  const text = `${'あ'.repeat(80)}Netflix${'い'.repeat(80)}`;
+  const context = contextWindow(text, 80, 87);
+  assert.equal(context.length, DEFAULT_CONTEXT_WIDTH + 2);
+  assert.match(context, /^…あ+Netflixい+…$/);
+  assert.equal(context.indexOf('Netflix'), 1 + Math.floor((DEFAULT_CONTEXT_WIDTH - 7) / 2));
+});
+
+test('contextWindow: 行をまたがず、行端で余った分は反対側に回す', () => {
+  assert.equal(contextWindow('短い行のNetflixです。\n次の行', 4, 11), '短い行のNetflixです。');
+  const text = `Netflix${'う'.repeat(200)}`;
+  assert.equal(contextWindow(text, 0, 7), `Netflix${'う'.repeat(DEFAULT_CONTEXT_WIDTH - 7)}…`);
+});
+
+test('describeSpan: 位置・一致した文字列・文脈をまとめる', () => {
+  const text = '前置き\nここでZoomを使う。';
+  const start = text.indexOf('Zoom');
+  assert.deepEqual(describeSpan(text, start, start + 4), {
+    line: 2, column: 4, start, end: start + 4, match: 'Zoom', context: 'ここでZoomを使う。'
+  });
+});
+
+test('checkText: 正規化して見つけた指摘も元のテキストの位置・表記で返す', () => {
+  const text = '# 題名\r\n\r\n昨日はＮＥＴＦＬＩＸを観て、孫正義氏の話をした。';
+  const report = checkText(text);
+  const issues = [...report.brandIssues.items, ...report.personIssues.items];
+  const index = createPositionIndex(text);
+  assert.deepEqual(issues.map(i => [i.match, i.line, i.column]), [['ＮＥＴＦＬＩＸ', 3, 4], ['孫正義', 3, 15]]);
+  issues.forEach(issue => {
+    assert.equal(text.slice(issue.start, issue.end), issue.match);
+    assert.equal(index.offsetOf(issue.line, issue.column), issue.start);
+    assert.equal(issue.context, '昨日はＮＥＴＦＬＩＸを観て、孫正義氏の話をした。');
+  });
+  assert.equal(report.brandIssues.items[0].canonical, 'Netflix');
+});